@@ -0,0 +1,307 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import fetch from 'node-fetch';
+import { RYSK_ASSETS } from './assets.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('alerts');
+
+const DEFAULT_ALERTS_FILE = 'data/alert-rules.json';
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const WEBHOOK_TIMEOUT = 5000;
+
+export const WEBHOOK_FORMATS = ['generic', 'slack', 'discord', 'telegram'];
+
+// Threshold alert rules, evaluated against every background refresh. A rule
+// matches a quote when every criterion it sets holds:
+//   { id, name, asset, optionType, minStrike, maxStrike, minMoneyness, maxMoneyness,
+//     minExcessApr, minApr, webhookUrl, format, telegramChatId, cooldownMinutes, enabled }
+// Moneyness is strike / spot (1.10 = 10% above spot). Each matching strike fires
+// at most once per cooldown, and all of a rule's new matches go out in one webhook.
+// Rules are kept in a local JSON file (ALERTS_FILE, default data/alert-rules.json),
+// along with the strikes still in their cooldown (firedAt), so a restart does not
+// send them again.
+export async function createAlertEngine({
+  filePath = process.env.ALERTS_FILE || DEFAULT_ALERTS_FILE,
+  fetchImpl = fetch
+} = {}) {
+  const rules = await loadRules(filePath);
+  // Last delivery per rule and strike, for the cooldown - "<ruleId>|<asset>:<expiry>:<type>:<strike>"
+  const lastFired = new Map();
+  for (const rule of rules) {
+    for (const [key, firedAt] of Object.entries(rule.firedAt ?? {})) {
+      const time = Date.parse(firedAt);
+      if (Number.isFinite(time)) lastFired.set(`${rule.id}|${key}`, time);
+    }
+    delete rule.firedAt;
+  }
+  log.info('Alert rules loaded', { filePath, rules: rules.length, cooling: lastFired.size });
+
+  // Each rule is saved with the strikes still in its cooldown at `now`
+  const firedAt = (rule, now) => {
+    const cooldown = rule.cooldownMinutes * 60 * 1000;
+    const entries = [];
+    for (const [key, time] of lastFired) {
+      const [ruleId, strike] = key.split('|');
+      if (ruleId === rule.id && now - time < cooldown) entries.push([strike, new Date(time).toISOString()]);
+    }
+    return Object.fromEntries(entries);
+  };
+
+  const save = async (now = Date.now()) => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const saved = rules.map(rule => ({ ...rule, firedAt: firedAt(rule, now) }));
+    await writeFile(filePath, JSON.stringify(saved, null, 2) + '\n');
+  };
+
+  return {
+    list: () => rules,
+    get: (id) => rules.find(rule => rule.id === id) || null,
+
+    create: async (input) => {
+      const { rule, error } = validateAlertRule(input);
+      if (error) return { error };
+      rule.id = randomUUID();
+      rule.createdAt = new Date().toISOString();
+      rule.lastTriggeredAt = null;
+      rules.push(rule);
+      await save();
+      return { rule };
+    },
+
+    // Fields given replace the rule's; everything else is kept
+    update: async (id, input) => {
+      const index = rules.findIndex(rule => rule.id === id);
+      if (index === -1) return { error: 'Alert rule not found', notFound: true };
+      const { rule, error } = validateAlertRule({ ...rules[index], ...input });
+      if (error) return { error };
+      rules[index] = { ...rule, id, createdAt: rules[index].createdAt, updatedAt: new Date().toISOString(), lastTriggeredAt: rules[index].lastTriggeredAt ?? null };
+      await save();
+      return { rule: rules[index] };
+    },
+
+    remove: async (id) => {
+      const index = rules.findIndex(rule => rule.id === id);
+      if (index === -1) return false;
+      rules.splice(index, 1);
+      for (const key of lastFired.keys()) {
+        if (key.startsWith(`${id}|`)) lastFired.delete(key);
+      }
+      await save();
+      return true;
+    },
+
+    // Check every enabled rule against fresh quotes and deliver new matches.
+    // Returns one entry per rule that fired: { ruleId, quotes, delivered, status, error }
+    evaluate: async (quotes, now = Date.now()) => {
+      const results = [];
+      let triggered = false;
+      for (const rule of rules) {
+        if (!rule.enabled) continue;
+
+        const cooldown = rule.cooldownMinutes * 60 * 1000;
+        const fresh = quotes.filter(quote => {
+          if (!matchesRule(rule, quote)) return false;
+          const last = lastFired.get(`${rule.id}|${quoteKey(quote)}`);
+          return last === undefined || now - last >= cooldown;
+        });
+        if (fresh.length === 0) continue;
+
+        const delivery = await deliverAlert(rule, fresh, { fetchImpl });
+        if (delivery.delivered) {
+          for (const quote of fresh) {
+            lastFired.set(`${rule.id}|${quoteKey(quote)}`, now);
+          }
+          rule.lastTriggeredAt = new Date(now).toISOString();
+          triggered = true;
+        }
+        results.push({ ruleId: rule.id, quotes: fresh.length, ...delivery });
+      }
+      // Keep lastTriggeredAt and the cooldowns in the rules file, so they survive a restart
+      if (triggered) {
+        try {
+          await save(now);
+        } catch (error) {
+          log.warn('Failed to save alert rules', { filePath, error });
+        }
+      }
+      return results;
+    },
+
+    // Send a rule's webhook a test message, ignoring its criteria and cooldown
+    test: async (id, quotes = []) => {
+      const rule = rules.find(entry => entry.id === id);
+      if (!rule) return null;
+      return deliverAlert(rule, quotes.slice(0, 3), { fetchImpl, test: true });
+    }
+  };
+}
+
+// Normalize and validate a rule from a request body. Returns { rule } or { error }
+export function validateAlertRule(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Alert rule must be an object' };
+  }
+
+  const rule = {
+    name: input.name ? String(input.name) : null,
+    asset: input.asset ? String(input.asset) : null,
+    optionType: input.optionType ?? null
+  };
+
+  if (rule.asset !== null && !RYSK_ASSETS.includes(rule.asset)) {
+    return { error: `asset must be one of: ${RYSK_ASSETS.join(', ')}` };
+  }
+  if (rule.optionType !== null && !['call', 'put'].includes(rule.optionType)) {
+    return { error: 'optionType must be call or put' };
+  }
+
+  const numberFields = ['minStrike', 'maxStrike', 'minMoneyness', 'maxMoneyness', 'minExcessApr', 'minApr'];
+  for (const field of numberFields) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      rule[field] = null;
+      continue;
+    }
+    const value = Number(input[field]);
+    if (!Number.isFinite(value)) {
+      return { error: `${field} must be a number` };
+    }
+    rule[field] = value;
+  }
+
+  if (rule.minStrike !== null && rule.maxStrike !== null && rule.minStrike > rule.maxStrike) {
+    return { error: 'minStrike must not exceed maxStrike' };
+  }
+  if (rule.minMoneyness !== null && rule.maxMoneyness !== null && rule.minMoneyness > rule.maxMoneyness) {
+    return { error: 'minMoneyness must not exceed maxMoneyness' };
+  }
+  if (numberFields.every(field => rule[field] === null)) {
+    return { error: 'Alert rule needs at least one threshold (strike range, moneyness, minExcessApr or minApr)' };
+  }
+
+  try {
+    const url = new URL(input.webhookUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+    rule.webhookUrl = url.toString();
+  } catch {
+    return { error: 'webhookUrl must be an http(s) URL' };
+  }
+
+  rule.format = input.format ?? 'generic';
+  if (!WEBHOOK_FORMATS.includes(rule.format)) {
+    return { error: `format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+  }
+  rule.telegramChatId = input.telegramChatId ? String(input.telegramChatId) : null;
+  if (rule.format === 'telegram' && !rule.telegramChatId) {
+    return { error: 'telegramChatId is required for telegram webhooks' };
+  }
+
+  rule.cooldownMinutes = input.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : Number(input.cooldownMinutes);
+  if (!Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+    return { error: 'cooldownMinutes must be a non-negative number' };
+  }
+  rule.enabled = input.enabled === undefined ? true : Boolean(input.enabled);
+
+  return { rule };
+}
+
+// Does a quote meet every threshold the rule sets? Placeholder rows never alert
+export function matchesRule(rule, quote) {
+  if (quote.dataQuality?.placeholder) return false;
+  if (rule.asset && quote.asset !== rule.asset) return false;
+  if (rule.optionType && (quote.optionType || 'call') !== rule.optionType) return false;
+  if (rule.minStrike !== null && quote.strike < rule.minStrike) return false;
+  if (rule.maxStrike !== null && quote.strike > rule.maxStrike) return false;
+
+  const moneyness = quote.spotPrice ? quote.strike / quote.spotPrice : null;
+  if ((rule.minMoneyness !== null || rule.maxMoneyness !== null) && moneyness === null) return false;
+  if (rule.minMoneyness !== null && moneyness < rule.minMoneyness) return false;
+  if (rule.maxMoneyness !== null && moneyness > rule.maxMoneyness) return false;
+
+  if (rule.minExcessApr !== null && !(quote.excessApr >= rule.minExcessApr)) return false;
+  if (rule.minApr !== null && !(quote.apr >= rule.minApr)) return false;
+  return true;
+}
+
+function quoteKey(quote) {
+  return `${quote.asset}:${quote.expiry}:${quote.optionType || 'call'}:${quote.strike}`;
+}
+
+const formatPercent = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(2)}%`);
+
+// One line per matching strike, e.g. "UBTC 124,000 call 29 Aug 2025: Rysk 27.49%, theo 24.10%, excess +3.39%"
+function alertText(rule, quotes, test) {
+  const title = test
+    ? `Test alert for rule "${rule.name || rule.id}"`
+    : `Rysk APR alert "${rule.name || rule.id}": ${quotes.length} strike${quotes.length === 1 ? '' : 's'} matched`;
+  const lines = quotes.map(quote => {
+    const expiry = new Date(quote.expiry * 1000).toUTCString().slice(5, 16);
+    const excess = quote.excessApr === null || quote.excessApr === undefined ? 'n/a' : `${quote.excessApr >= 0 ? '+' : ''}${formatPercent(quote.excessApr)}`;
+    return `${quote.asset} ${quote.strike.toLocaleString()} ${quote.optionType || 'call'} ${expiry}: Rysk ${formatPercent(quote.apr)}, theo ${formatPercent(quote.theoreticalApr)}, excess ${excess}`;
+  });
+  return [title, ...lines].join('\n');
+}
+
+// Payload in the shape the rule's webhook expects
+export function buildWebhookPayload(rule, quotes, { test = false } = {}) {
+  const text = alertText(rule, quotes, test);
+  switch (rule.format) {
+    case 'slack':
+      return { text };
+    case 'discord':
+      return { content: text.slice(0, 2000) }; // Discord message limit
+    case 'telegram':
+      return { chat_id: rule.telegramChatId, text };
+    default:
+      return {
+        text,
+        test,
+        rule: { id: rule.id, name: rule.name },
+        quotes: quotes.map(quote => ({
+          asset: quote.asset,
+          strike: quote.strike,
+          expiry: quote.expiry,
+          optionType: quote.optionType || 'call',
+          apr: quote.apr,
+          theoreticalApr: quote.theoreticalApr ?? null,
+          excessApr: quote.excessApr ?? null,
+          spotPrice: quote.spotPrice
+        }))
+      };
+  }
+}
+
+// POST the alert to the rule's webhook. Failures are reported, not thrown, so
+// one bad webhook cannot stop the others
+async function deliverAlert(rule, quotes, { fetchImpl, test = false }) {
+  try {
+    const response = await fetchImpl(rule.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildWebhookPayload(rule, quotes, { test })),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    if (!response.ok) {
+      log.warn('Alert webhook rejected delivery', { ruleId: rule.id, status: response.status });
+      return { delivered: false, status: response.status, error: `Webhook returned ${response.status}` };
+    }
+    log.info('Alert delivered', { ruleId: rule.id, strikes: quotes.length, host: new URL(rule.webhookUrl).host });
+    return { delivered: true, status: response.status, error: null };
+  } catch (error) {
+    log.warn('Alert webhook failed', { ruleId: rule.id, error });
+    return { delivered: false, status: null, error: error.message };
+  }
+}
+
+async function loadRules(filePath) {
+  try {
+    const rules = JSON.parse(await readFile(filePath, 'utf8'));
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Failed to read alert rules', { filePath, error });
+    }
+    return [];
+  }
+}
@@ -0,0 +1,71 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// Asset registry - the Rysk assets the dashboard tracks, in dashboard order.
+// Read once at startup from ASSETS_FILE (default config/assets.json), each entry:
+//   name               Rysk asset symbol (UBTC)
+//   coingeckoId        CoinGecko id for the spot price, null for no CoinGecko feed
+//   priceFeeds         further spot price feeds by adapter (see api/prices), e.g.
+//                      { "binance": "BTCUSDT", "hyperliquid": "HYPE", "pyth": "0x..." }
+//   deribitCurrency    Deribit currency for the IV surface, historical vol and
+//                      futures basis (BTC/ETH), null to price at realized vol
+//                      from price history (see api/realizedVol.js)
+//   contractSize       units of the underlying per Rysk contract
+//   defaultVolatility  volatility used without Deribit data or enough price history
+//   displayDecimals    decimals shown for strikes and spot prices
+const DEFAULT_ASSETS_FILE = fileURLToPath(new URL('../config/assets.json', import.meta.url));
+
+export const ASSETS = loadAssets(process.env.ASSETS_FILE || DEFAULT_ASSETS_FILE);
+export const RYSK_ASSETS = ASSETS.map(asset => asset.name);
+
+export function getAsset(name) {
+  return ASSETS.find(asset => asset.name === name) || null;
+}
+
+// Registry entries with a Deribit market, as { [asset]: currency }
+export function deribitCurrencies() {
+  return Object.fromEntries(ASSETS.filter(asset => asset.deribitCurrency).map(asset => [asset.name, asset.deribitCurrency]));
+}
+
+// A broken registry is a startup error - quoting half the assets silently would be worse
+function loadAssets(filePath) {
+  const entries = JSON.parse(readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Asset registry ${filePath} must be a non-empty array`);
+  }
+
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const { name } = entry || {};
+    if (typeof name !== 'string' || name === '' || names.has(name)) {
+      throw new Error(`Asset registry ${filePath}: entry ${index} needs a unique name`);
+    }
+    names.add(name);
+
+    for (const field of ['contractSize', 'defaultVolatility']) {
+      if (!(Number(entry[field]) > 0)) {
+        throw new Error(`Asset registry ${filePath}: ${name}.${field} must be a positive number`);
+      }
+    }
+    const displayDecimals = entry.displayDecimals ?? 4;
+    if (!Number.isInteger(displayDecimals) || displayDecimals < 0 || displayDecimals > 12) {
+      throw new Error(`Asset registry ${filePath}: ${name}.displayDecimals must be an integer from 0 to 12`);
+    }
+
+    const priceFeeds = entry.priceFeeds ?? {};
+    if (typeof priceFeeds !== 'object' || Array.isArray(priceFeeds) || Object.values(priceFeeds).some(id => typeof id !== 'string' || id === '')) {
+      throw new Error(`Asset registry ${filePath}: ${name}.priceFeeds must map adapter names to feed ids`);
+    }
+
+    return {
+      name,
+      coingeckoId: entry.coingeckoId || null,
+      // CoinGecko is one of the price feeds, keyed by adapter name like the rest
+      priceFeeds: { ...(entry.coingeckoId && { coingecko: entry.coingeckoId }), ...priceFeeds },
+      deribitCurrency: entry.deribitCurrency || null,
+      contractSize: Number(entry.contractSize),
+      defaultVolatility: Number(entry.defaultVolatility),
+      displayDecimals
+    };
+  });
+}
@@ -0,0 +1,152 @@
+import puppeteer from 'puppeteer';
+import { createLogger } from './logger.js';
+
+const log = createLogger('browser-pool');
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: true,
+  args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
+
+// One headless Chromium kept alive across refreshes, with a pool of reusable
+// tabs. withPage(fn, { timeout }) leases a page for fn(page); at most `size`
+// leases run at once and the rest queue. The browser is launched on first use
+// and relaunched after a crash or disconnect - a lease cut off by one is retried
+// once on the new browser. Timed out or crashed pages are closed, not reused.
+export function createBrowserPool({
+  size = 3,
+  userAgent = null,
+  launchOptions = DEFAULT_LAUNCH_OPTIONS,
+  launch = (options) => puppeteer.launch(options)
+} = {}) {
+  let browserPromise = null;
+  let idlePages = [];
+  const waiting = [];
+  const crashedPages = new WeakSet();
+  let active = 0;
+  let closed = false;
+
+  function getBrowser() {
+    if (!browserPromise) {
+      log.info('Launching headless browser', { poolSize: size });
+      const launching = launch(launchOptions).then(browser => {
+        browser.on('disconnected', () => {
+          if (browserPromise === launching) {
+            browserPromise = null;
+            idlePages = [];
+          }
+          if (!closed) log.warn('Browser disconnected - relaunching on next use');
+        });
+        return browser;
+      });
+      // A failed launch is retried by the next lease
+      launching.catch(() => {
+        if (browserPromise === launching) browserPromise = null;
+      });
+      browserPromise = launching;
+    }
+    return browserPromise;
+  }
+
+  async function acquireSlot() {
+    if (active < size) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  // Hand the slot straight to the next queued lease, if any
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  async function acquirePage() {
+    while (idlePages.length > 0) {
+      const page = idlePages.pop();
+      if (!page.isClosed()) return page;
+    }
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    page.on('error', (error) => {
+      crashedPages.add(page);
+      log.warn('Browser page crashed', { error });
+    });
+    if (userAgent) await page.setUserAgent(userAgent);
+    return page;
+  }
+
+  function releasePage(page, reusable) {
+    if (reusable && !closed && !page.isClosed() && !crashedPages.has(page) && page.browser().connected) {
+      idlePages.push(page);
+    } else if (!page.isClosed()) {
+      page.close().catch(() => {});
+    }
+  }
+
+  async function runLease(fn, { timeout, label }) {
+    let page = null;
+    let timer = null;
+    let reusable = false;
+    try {
+      page = await acquirePage();
+      const task = Promise.resolve(fn(page));
+      if (!(timeout > 0)) {
+        const result = await task;
+        reusable = true;
+        return result;
+      }
+      // The abandoned task fails once its page is closed - swallow that
+      task.catch(() => {});
+      const result = await Promise.race([
+        task,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeout}ms`)), timeout);
+        })
+      ]);
+      reusable = true;
+      return result;
+    } catch (error) {
+      if (page && !page.browser().connected) error.browserDisconnected = true;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (page) releasePage(page, reusable);
+    }
+  }
+
+  async function withPage(fn, { timeout = 0, label = 'Page task' } = {}) {
+    if (closed) throw new Error('Browser pool is closed');
+    await acquireSlot();
+    try {
+      try {
+        return await runLease(fn, { timeout, label });
+      } catch (error) {
+        if (!error.browserDisconnected || closed) throw error;
+        log.warn(`${label} lost its browser - retrying on a relaunched one`, { error });
+        return await runLease(fn, { timeout, label });
+      }
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  async function close() {
+    closed = true;
+    const pending = browserPromise;
+    browserPromise = null;
+    idlePages = [];
+    const browser = pending && await pending.catch(() => null);
+    if (browser && browser.connected) {
+      await browser.close();
+      log.debug('Browser closed');
+    }
+  }
+
+  return { withPage, close };
+}
@@ -0,0 +1,52 @@
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Normalize an expiry to unix seconds (midnight UTC for date-only values).
+// Accepts unix seconds/milliseconds, ISO dates ('2025-08-29') and the
+// '29 Aug 2025' / 'Aug 29, 2025' / '29AUG25' styles shown on Rysk and Deribit.
+// Returns null when the value cannot be parsed.
+export function parseExpiry(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0) return null;
+    // Millisecond timestamps are 13 digits, second timestamps 10
+    return numeric > 1e12 ? Math.floor(numeric / 1000) : Math.floor(numeric);
+  }
+
+  const text = String(value).trim().toUpperCase();
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return Date.UTC(+match[1], +match[2] - 1, +match[3]) / 1000;
+  }
+
+  match = text.match(/(\d{1,2})\s*([A-Z]{3})[A-Z]*,?\s*(\d{2,4})/);
+  if (match && MONTHS.includes(match[2])) {
+    return Date.UTC(fullYear(match[3]), MONTHS.indexOf(match[2]), +match[1]) / 1000;
+  }
+
+  match = text.match(/([A-Z]{3})[A-Z]*\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && MONTHS.includes(match[1])) {
+    return Date.UTC(+match[3], MONTHS.indexOf(match[1]), +match[2]) / 1000;
+  }
+
+  return null;
+}
+
+function fullYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+// Fallback expiry when a strike's own expiry could not be found: the next
+// Friday (Rysk lists weekly Friday expiries), as unix seconds at midnight UTC
+export function nextFridayExpiry(nowSeconds = Date.now() / 1000) {
+  const now = new Date(nowSeconds * 1000);
+  const daysUntilFriday = ((5 - now.getUTCDay() + 7) % 7) || 7;
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + daysUntilFriday) / 1000;
+}
+
+// Time to expiry in years
+export function yearsToExpiry(expirySeconds, nowSeconds) {
+  return (expirySeconds - nowSeconds) / (365 * 24 * 3600);
+}
@@ -0,0 +1,92 @@
+import { calculateTheoreticalApr } from './pricing.js';
+
+// Flat quote rows for /api/quotes.csv and /api/quotes.json. Columns, in order:
+const BASE_COLUMNS = [
+  'capturedAt', 'asset', 'optionType', 'expiry', 'expiryTimestamp', 'timeToExpiry',
+  'strike', 'spotPrice', 'moneyness', 'premium', 'premiumSource', 'apr',
+  'volatility', 'volatilitySource', 'volatilityEstimator', 'volatilityWindow',
+  'riskFreeRate', 'rateSource', 'dividendYield', 'source',
+  'placeholder', 'defaultVolatility', 'extrapolatedVolatility', 'assumedExpiry', 'calculatedPremium',
+  'staleSpot', 'spotDisagreement'
+];
+const THEO_COLUMNS = ['pricingModel', 'theoreticalApr', 'excessApr', 'ryskImpliedVol'];
+const GREEK_COLUMNS = ['delta', 'gamma', 'theta', 'vega', 'probabilityItm'];
+
+// Optional column groups, requested as ?include=theo,greeks
+export const EXPORT_INCLUDES = ['theo', 'greeks'];
+
+export function exportColumns(include = []) {
+  return [
+    ...BASE_COLUMNS,
+    ...(include.includes('theo') ? THEO_COLUMNS : []),
+    ...(include.includes('greeks') ? GREEK_COLUMNS : [])
+  ];
+}
+
+// Flatten a quote into an export row. Quotes come priced with the default model;
+// the theo columns are repriced when another model is asked for
+export function quoteToExportRow(quote, { include = [], model = null, capturedAt = null } = {}) {
+  const quality = quote.dataQuality || {};
+  const row = {
+    capturedAt,
+    asset: quote.asset,
+    optionType: quote.optionType || 'call',
+    expiry: new Date(quote.expiry * 1000).toISOString().slice(0, 10),
+    expiryTimestamp: quote.expiry,
+    timeToExpiry: quote.timeToExpiry,
+    strike: quote.strike,
+    spotPrice: quote.spotPrice,
+    moneyness: quote.spotPrice ? quote.strike / quote.spotPrice : null,
+    premium: quote.premium,
+    premiumSource: quote.premiumSource ?? null,
+    apr: quote.apr,
+    volatility: quote.volatility,
+    volatilitySource: quote.volatilitySource ?? null,
+    volatilityEstimator: quote.volatilityEstimate?.estimator ?? null,
+    volatilityWindow: quote.volatilityEstimate?.window ?? null,
+    riskFreeRate: quote.riskFreeRate,
+    rateSource: quote.rateSource ?? null,
+    dividendYield: quote.dividendYield ?? 0,
+    source: quote.source ?? null,
+    placeholder: Boolean(quality.placeholder),
+    defaultVolatility: Boolean(quality.defaultVolatility),
+    extrapolatedVolatility: Boolean(quality.extrapolatedVolatility),
+    assumedExpiry: Boolean(quality.assumedExpiry),
+    calculatedPremium: Boolean(quality.calculatedPremium),
+    staleSpot: Boolean(quality.staleSpot),
+    spotDisagreement: Boolean(quality.spotDisagreement)
+  };
+
+  if (include.includes('theo')) {
+    let { pricingModel = null, theoreticalApr = null, excessApr = null } = quote;
+    if (model && model !== pricingModel && quote.spotPrice && quote.volatility && quote.timeToExpiry > 0) {
+      ({ theoreticalApr } = calculateTheoreticalApr(quote.spotPrice, quote.strike, quote.timeToExpiry, quote.riskFreeRate, quote.volatility, {
+        model,
+        optionType: row.optionType,
+        dividendYield: row.dividendYield
+      }));
+      excessApr = quote.apr - theoreticalApr;
+      pricingModel = model;
+    }
+    Object.assign(row, { pricingModel, theoreticalApr, excessApr, ryskImpliedVol: quote.ryskImpliedVol ?? null });
+  }
+
+  if (include.includes('greeks')) {
+    for (const greek of GREEK_COLUMNS) {
+      row[greek] = quote.greeks?.[greek] ?? null;
+    }
+  }
+
+  return row;
+}
+
+// RFC 4180 CSV with a header line; null and undefined become empty cells
+export function rowsToCsv(rows, columns) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))];
+  return lines.join('\r\n') + '\r\n';
+}
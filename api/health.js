@@ -0,0 +1,67 @@
+import { upstreamErrors, upstreamRequests } from './metrics.js';
+
+// Upstream dependencies reported by /api/health (the spot price sources are the
+// adapters in api/prices)
+export const UPSTREAMS = ['rysk', 'coingecko', 'deribit', 'hyperliquid', 'binance', 'pyth'];
+
+const initialState = () => ({
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null,
+  consecutiveFailures: 0
+});
+
+const upstreams = Object.fromEntries(UPSTREAMS.map(name => [name, initialState()]));
+
+// Spot price coverage from the last getSpotPrices (see api/prices): the sources
+// it called, assets left with fewer fresh sources than minSources, and whether
+// every source failed
+let spotCoverage = { sources: [], minSources: null, belowMinimum: [], allSourcesFailed: false };
+
+// Record the outcome of one upstream call (pass the error when it failed).
+// operation names the call, e.g. spot_prices or vol_surface
+export function recordUpstream(upstream, operation, error = null) {
+  // Registered price adapters show up once they are first called
+  const state = upstreams[upstream] ??= initialState();
+  const now = new Date().toISOString();
+  upstreamRequests.inc({ upstream, operation, outcome: error ? 'error' : 'ok' });
+
+  if (error) {
+    upstreamErrors.inc({ upstream, operation });
+    state.lastFailureAt = now;
+    state.lastError = `${operation}: ${error.message || error}`;
+    state.consecutiveFailures++;
+  } else {
+    state.lastSuccessAt = now;
+    state.consecutiveFailures = 0;
+  }
+}
+
+export function recordSpotCoverage(coverage) {
+  spotCoverage = coverage;
+}
+
+export function spotHealth() {
+  return spotCoverage;
+}
+
+// Does a dependency degrade the service? A failing spot price source only does
+// when an asset drops below the minimum source count or every source failed -
+// the median still prices from the others
+export function dependenciesDegraded(dependencies = upstreamHealth()) {
+  if (spotCoverage.belowMinimum.length > 0 || spotCoverage.allSourcesFailed) return true;
+  return Object.entries(dependencies).some(([name, dependency]) => dependency.status === 'failing' && !spotCoverage.sources.includes(name));
+}
+
+// Per-dependency status: unknown (never called), ok (last call succeeded) or failing
+export function upstreamHealth() {
+  return Object.fromEntries(Object.entries(upstreams).map(([name, state]) => {
+    let status = 'unknown';
+    if (state.consecutiveFailures > 0) {
+      status = 'failing';
+    } else if (state.lastSuccessAt) {
+      status = 'ok';
+    }
+    return [name, { status, ...state }];
+  }));
+}
@@ -0,0 +1,249 @@
+import { createReadStream, createWriteStream } from 'node:fs';
+import { appendFile, mkdir, open, rename, rm, stat } from 'node:fs/promises';
+import { once } from 'node:events';
+import { createInterface } from 'node:readline';
+import path from 'node:path';
+import { createClient } from 'redis';
+import { createLogger } from './logger.js';
+
+const DEFAULT_HISTORY_FILE = 'data/apr-history.jsonl';
+const DEFAULT_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL = 60 * 60 * 1000; // Drop expired points at most once an hour
+const REDIS_PREFIX = 'rysk:history';
+const DAY = 24 * 60 * 60 * 1000;
+
+const log = createLogger('history');
+
+// APR history: one point per strike per cache refresh.
+// Stored in Redis when REDIS_DSN is set (one sorted set per asset/expiry/strike
+// series - puts get a :put suffix - scored by timestamp), otherwise appended to a
+// local JSON-lines file. Points older than HISTORY_RETENTION_DAYS (default 90)
+// are dropped as new ones are recorded, so neither store grows without limit.
+//
+// Point shape: { t, asset, strike, expiry, optionType, apr, theoreticalApr, spotPrice, volatility, source }
+// Points recorded before puts were tracked have no optionType and are calls.
+export async function createHistoryStore({
+  redisUrl = process.env.REDIS_DSN,
+  filePath = process.env.HISTORY_FILE || DEFAULT_HISTORY_FILE,
+  retentionDays = loadRetentionDays()
+} = {}) {
+  const retention = retentionDays * DAY;
+  if (redisUrl) {
+    try {
+      return await createRedisHistoryStore(redisUrl, { retention });
+    } catch (error) {
+      log.warn('Redis history store unavailable - falling back to file', { filePath, error });
+    }
+  }
+  return createFileHistoryStore(filePath, { retention });
+}
+
+// HISTORY_RETENTION_DAYS: days of APR history kept (default 90)
+export function loadRetentionDays(env = process.env) {
+  if (!env.HISTORY_RETENTION_DAYS) return DEFAULT_RETENTION_DAYS;
+  const days = Number(env.HISTORY_RETENTION_DAYS);
+  if (days > 0) return days;
+  log.warn('Ignoring invalid HISTORY_RETENTION_DAYS', { value: env.HISTORY_RETENTION_DAYS });
+  return DEFAULT_RETENTION_DAYS;
+}
+
+// Build history points from priced quotes. Placeholder rows are fabricated,
+// so they are never recorded.
+export function quotesToHistoryPoints(quotes, t = Date.now()) {
+  return quotes
+    .filter(quote => !quote.dataQuality?.placeholder)
+    .map(quote => ({
+      t,
+      asset: quote.asset,
+      strike: quote.strike,
+      expiry: quote.expiry,
+      optionType: quote.optionType || 'call',
+      apr: quote.apr,
+      theoreticalApr: quote.theoreticalApr ?? null,
+      spotPrice: quote.spotPrice,
+      volatility: quote.volatility,
+      source: quote.source
+    }));
+}
+
+// Group matching points into one series per asset/expiry/strike/option type
+export function groupHistorySeries(points) {
+  const series = new Map();
+  for (const point of points) {
+    const optionType = point.optionType || 'call';
+    const key = `${point.asset}:${point.expiry}:${point.strike}:${optionType}`;
+    if (!series.has(key)) {
+      series.set(key, { asset: point.asset, strike: point.strike, expiry: point.expiry, optionType, points: [] });
+    }
+    series.get(key).points.push({
+      t: point.t,
+      apr: point.apr,
+      theoreticalApr: point.theoreticalApr,
+      spotPrice: point.spotPrice,
+      volatility: point.volatility
+    });
+  }
+  return [...series.values()].map(entry => ({
+    ...entry,
+    points: entry.points.sort((a, b) => a.t - b.t)
+  }));
+}
+
+function matchesSeries(point, { asset, strike, optionType }) {
+  if (asset && point.asset !== asset) return false;
+  if (optionType && (point.optionType || 'call') !== optionType) return false;
+  if (strike !== undefined && strike !== null && Math.abs(point.strike - strike) >= 1e-9) return false;
+  return true;
+}
+
+async function createRedisHistoryStore(url, { retention }) {
+  const client = createClient({
+    url,
+    socket: {
+      connectTimeout: 5000,
+      reconnectStrategy: retries => (retries > 5 ? new Error('Redis reconnect attempts exhausted') : Math.min(retries * 200, 2000))
+    }
+  });
+  client.on('error', (err) => log.warn('Redis client error', { error: err }));
+  await client.connect();
+  log.info('APR history stored in Redis');
+
+  return {
+    kind: 'redis',
+    append: async (points, now = Date.now()) => {
+      if (points.length === 0) return;
+      const multi = client.multi();
+      for (const point of points) {
+        const key = `${REDIS_PREFIX}:${point.asset}:${point.expiry}:${point.strike}${point.optionType === 'put' ? ':put' : ''}`;
+        multi.sAdd(`${REDIS_PREFIX}:series`, key);
+        multi.zAdd(key, { score: point.t, value: JSON.stringify(point) });
+        multi.zRemRangeByScore(key, '-inf', now - retention);
+      }
+      await multi.exec();
+    },
+    query: async ({ asset, strike, optionType, from, to }) => {
+      const keys = await client.sMembers(`${REDIS_PREFIX}:series`);
+      const points = [];
+      for (const key of keys) {
+        const [, , keyAsset, , keyStrike, keyType] = key.split(':');
+        if (!matchesSeries({ asset: keyAsset, strike: Number(keyStrike), optionType: keyType }, { asset, strike, optionType })) continue;
+        const members = await client.zRangeByScore(key, from, to);
+        points.push(...members.map(member => JSON.parse(member)));
+      }
+      return points;
+    }
+  };
+}
+
+// The file store reads line by line, so a query never holds the whole file,
+// and skips lines that do not parse - a half-written line from a crash costs
+// that one point, not every request. Appends and the periodic prune (which
+// rewrites the file without expired points) run one at a time.
+function createFileHistoryStore(filePath, { retention }) {
+  log.info('APR history stored in file', { filePath, retentionDays: retention / DAY });
+  let lastPrune = 0;
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // Awaits fn(point, line) for every point that parses; returns how many lines did not
+  const readPoints = async (fn) => {
+    let skipped = 0;
+    const lines = createInterface({ input: createReadStream(filePath, { encoding: 'utf8' }), crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (line.length === 0) continue;
+        let point;
+        try {
+          point = JSON.parse(line);
+        } catch {
+          skipped++;
+          continue;
+        }
+        await fn(point, line);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return skipped;
+      throw error;
+    }
+    return skipped;
+  };
+
+  // A crash mid-append can leave the file without its final newline; start the
+  // next batch on a line of its own so only the broken point is lost
+  const endsWithNewline = async () => {
+    let handle;
+    try {
+      const { size } = await stat(filePath);
+      if (size === 0) return true;
+      handle = await open(filePath, 'r');
+      const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+      return buffer[0] === 0x0a;
+    } catch (error) {
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    } finally {
+      await handle?.close();
+    }
+  };
+
+  const prune = (now = Date.now()) => serialize(async () => {
+    lastPrune = now;
+    const cutoff = now - retention;
+    const tempPath = `${filePath}.tmp`;
+    const output = createWriteStream(tempPath);
+    let kept = 0;
+    let dropped = 0;
+    let skipped;
+    try {
+      skipped = await readPoints(async (point, line) => {
+        if (!(point.t >= cutoff)) {
+          dropped++;
+          return;
+        }
+        kept++;
+        if (!output.write(line + '\n')) await once(output, 'drain');
+      });
+    } finally {
+      output.end();
+      await once(output, 'finish');
+    }
+
+    if (dropped === 0 && skipped === 0) {
+      await rm(tempPath, { force: true });
+    } else {
+      await rename(tempPath, filePath);
+      log.info('Pruned APR history', { filePath, kept, dropped, skipped });
+    }
+    return { kept, dropped, skipped };
+  });
+
+  return {
+    kind: 'file',
+    append: async (points, now = Date.now()) => {
+      if (points.length === 0) return;
+      await serialize(async () => {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        const prefix = (await endsWithNewline()) ? '' : '\n';
+        await appendFile(filePath, prefix + points.map(point => JSON.stringify(point)).join('\n') + '\n');
+      });
+      if (now - lastPrune >= PRUNE_INTERVAL) {
+        await prune(now);
+      }
+    },
+    query: async ({ asset, strike, optionType, from, to }) => {
+      const points = [];
+      const skipped = await readPoints(point => {
+        if (point.t >= from && point.t <= to && matchesSeries(point, { asset, strike, optionType })) points.push(point);
+      });
+      if (skipped > 0) {
+        log.warn('Skipped unreadable APR history lines', { filePath, skipped });
+      }
+      return points;
+    },
+    prune
+  };
+}
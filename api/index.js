@@ -1,903 +1,529 @@
 import express from 'express';
-// import redis from 'redis';
-import fetch from 'node-fetch';
-import puppeteer from 'puppeteer';
-// Manual Black-Scholes implementation since the library seems problematic
-function normalCDF(x) {
-  // Approximation of the cumulative standard normal distribution
-  const a1 =  0.254829592;
-  const a2 = -0.284496736;
-  const a3 =  1.421413741;
-  const a4 = -1.453152027;
-  const a5 =  1.061405429;
-  const p  =  0.3275911;
-  
-  const sign = x < 0 ? -1 : 1;
-  x = Math.abs(x) / Math.sqrt(2.0);
-  
-  const t = 1.0 / (1.0 + p * x);
-  const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-  
-  return 0.5 * (1.0 + sign * y);
-}
-
-function blackScholesCall(S, K, T, r, sigma) {
-  if (T <= 0) return Math.max(S - K, 0); // Intrinsic value if expired
-  
-  const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
-  const d2 = d1 - sigma * Math.sqrt(T);
-  
-  const callPrice = S * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
-  return Math.max(callPrice, 0); // Ensure non-negative
-}
+import { getQuoteSource, recordSnapshot } from './sources/index.js';
+import { parseExpiry, nextFridayExpiry, yearsToExpiry } from './expiry.js';
+import { createHistoryStore, quotesToHistoryPoints, groupHistorySeries } from './history.js';
+import { surfaceVolatility } from './volSurface.js';
+import { loadRatesConfig, resolveCarry } from './rates.js';
+import { createAlertEngine, matchesRule } from './alerts.js';
+import { createPositionBook, markPosition, nearestQuote, summarizePortfolio } from './positions.js';
+import { optimizeAllocation, validateOptimizeRequest } from './optimizer.js';
+import { createEventStream } from './stream.js';
+import { createRefreshScheduler, loadRefreshConfig } from './scheduler.js';
+import { createQuoteCache } from './quoteCache.js';
+import { EXPORT_INCLUDES, exportColumns, quoteToExportRow, rowsToCsv } from './export.js';
+import { ASSETS, RYSK_ASSETS, getAsset } from './assets.js';
+import { createLogger } from './logger.js';
+import { UPSTREAMS, dependenciesDegraded, recordUpstream, spotHealth, upstreamHealth } from './health.js';
+import { metrics, placeholderFallbacks, placeholderStrikes, scrapeDuration, strikesPerAsset } from './metrics.js';
+import {
+  blackScholesGreeks,
+  calculateTheoreticalApr,
+  calculateRyskImpliedVol,
+  collateralPerUnit,
+  getPricingModel,
+  listPricingModels,
+  DEFAULT_PRICING_MODEL,
+  OPTION_TYPES
+} from './pricing.js';
 
 const app = express();
 const port = process.env.PORT || 3001;
+const log = createLogger('server');
+
+app.use(express.json({ limit: '1mb' }));
 
-// CACHING SYSTEM - Store last scraped data for instant responses
+// CACHING SYSTEM - Store last scraped data for instant responses. cachedQuotes is
+// this instance's copy of the shared quote cache (Redis when REDIS_DSN is set,
+// see api/quoteCache.js), which also holds the lock that lets one instance
+// scrape at a time
 let cachedQuotes = null;
 let lastScrapeTime = 0;
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
-let isRefreshing = false; // Prevent multiple background refreshes
+const quoteCache = createQuoteCache();
+
+// LIVE UPDATES - dashboards subscribed to /api/stream get every cache change and
+// the progress of running scrapes (see api/stream.js)
+const eventStream = createEventStream();
+let scrapeStartedAt = null; // Set while a quote source fetch is running
+let scrapeProgress = {}; // Per asset: { state: pending|scraping|done|failed, strikes }
+
+// APR HISTORY - every cache update is persisted (Redis or local file, see api/history.js)
+const historyStore = createHistoryStore();
+const HISTORY_MIN_INTERVAL = 60 * 1000; // Streaming sources update often - sample at most once a minute
+let lastHistoryTime = 0;
+
+// ALERTS - threshold rules checked after every background refresh (see api/alerts.js)
+const alertEngine = createAlertEngine();
+
+// POSITIONS - options we hold, marked to model against the cached quotes (see api/positions.js)
+const positionBook = createPositionBook();
+
+// RATES - base rate, staking yields and overrides from the environment (see api/rates.js).
+// The latest futures basis curves are kept for /api/rates
+const ratesConfig = loadRatesConfig();
+let latestCarry = { capturedAt: null, curves: {} };
+
+// SPOT - each asset's latest aggregated spot price with its per-source detail
+// (see api/prices), kept for /api/spot
+let latestSpot = { capturedAt: null, assets: {} };
+
+// Quote source selected via QUOTE_SOURCE (see api/sources)
+const quoteSource = getQuoteSource();
+
+// SCHEDULER - refreshes the cache on REFRESH_INTERVAL whether or not anyone is
+// asking, with backoff on failures (see api/scheduler.js). Every refresh goes
+// through it, so only one runs at a time
+const scheduler = createRefreshScheduler({
+  assets: RYSK_ASSETS,
+  ...loadRefreshConfig(),
+  refresh: refreshDataInBackground,
+  lastRefreshedAt: () => quoteCache.then(cache => cache.scrapeTimes())
+});
+
+// Quotes saved before a restart or by another instance are served straight away,
+// and later saves by other instances replace this instance's copy
+const quoteCacheRestored = quoteCache
+  .then(async cache => {
+    cache.onUpdate(applySharedQuotes);
+    const cached = await cache.load();
+    if (cached) {
+      applySharedQuotes(cached);
+      log.info('Restored shared quote cache', { quotes: cachedQuotes?.length ?? 0, ageSeconds: Math.round((Date.now() - lastScrapeTime) / 1000) });
+    }
+  })
+  .catch(error => log.warn('Failed to restore shared quote cache', { error }));
+
+// Streaming sources push snapshots between refreshes straight into the cache
+if (quoteSource.onSnapshot) {
+  quoteSource.onSnapshot(snapshot => {
+    const quotes = buildQuotesFromSnapshot(snapshot);
+    if (quotes.length > 0) {
+      cacheQuotes(quotes);
+      log.debug('Cached streamed quotes', { source: snapshot.source, quotes: quotes.length });
+    }
+  });
+}
+
+// Fresh quotes for some assets replace only those assets' cached quotes
+function mergeQuotes(freshQuotes, assets) {
+  if (!cachedQuotes || assets.length === RYSK_ASSETS.length) return freshQuotes;
+  return [...cachedQuotes.filter(quote => !assets.includes(quote.asset)), ...freshQuotes]
+    .sort((a, b) => RYSK_ASSETS.indexOf(a.asset) - RYSK_ASSETS.indexOf(b.asset));
+}
 
-// const redisClient = redis.createClient({
-//   url: process.env.REDIS_DSN || 'redis://localhost:6379'
-// });
+function setCachedQuotes(quotes, time) {
+  cachedQuotes = quotes;
+  lastScrapeTime = time;
+  eventStream.broadcast('quotes', { quotes, lastScrapeTime });
+  eventStream.broadcast('status', refreshStatus());
+  recordQuoteMetrics(quotes);
+}
+
+// Another instance's quotes - it has already recorded them in the history
+function applySharedQuotes({ quotes, lastScrapeTime: time }) {
+  if (!Array.isArray(quotes) || quotes.length === 0 || time <= lastScrapeTime) return;
+  setCachedQuotes(quotes, time);
+  log.debug('Applied shared quotes', { quotes: quotes.length });
+}
+
+// Replace the cached quotes, share them with the other instances and record the
+// update in the APR history. scrapedAssets were freshly scraped for this update
+// (streamed pushes are not scrapes)
+function cacheQuotes(quotes, scrapedAssets = []) {
+  setCachedQuotes(quotes, Date.now());
+  quoteCache
+    .then(cache => cache.save(quotes, lastScrapeTime, scrapedAssets))
+    .catch(error => log.warn('Failed to share cached quotes', { error }));
+
+  if (lastScrapeTime - lastHistoryTime < HISTORY_MIN_INTERVAL) return;
+  lastHistoryTime = lastScrapeTime;
+
+  historyStore
+    .then(store => store.append(quotesToHistoryPoints(quotes, lastScrapeTime)))
+    .catch(error => log.warn('Failed to record APR history', { error }));
+}
+
+// Strike and placeholder gauges describe the cached quotes
+function recordQuoteMetrics(quotes) {
+  strikesPerAsset.reset();
+  placeholderStrikes.reset();
+  const counts = {};
+  for (const quote of quotes) {
+    const key = quote.dataQuality?.placeholder ? `${quote.asset}|placeholder` : `${quote.asset}|${quote.optionType}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  for (const [key, count] of Object.entries(counts)) {
+    const [asset, kind] = key.split('|');
+    if (kind === 'placeholder') {
+      placeholderStrikes.set({ asset }, count);
+    } else {
+      strikesPerAsset.set({ asset, option_type: kind }, count);
+    }
+  }
+}
 
-// redisClient.on('error', (err) => console.log('Redis Client Error', err));
+// Refresh state sent to /api/stream clients
+function refreshStatus() {
+  return {
+    isRefreshing: scrapeStartedAt !== null,
+    refreshStartedAt: scrapeStartedAt,
+    lastScrapeTime: lastScrapeTime || null,
+    cacheAge: lastScrapeTime ? Date.now() - lastScrapeTime : null,
+    nextRefreshAt: scheduler.nextRunAt(),
+    source: quoteSource.name,
+    progress: scrapeProgress
+  };
+}
 
-// (async () => {
-//   await redisClient.connect();
-// })();
+function setScrapeProgress(asset, { state, strikes = null }) {
+  scrapeProgress = { ...scrapeProgress, [asset]: { state, strikes } };
+  eventStream.broadcast('status', refreshStatus());
+}
 
 // Function to get REAL Rysk V12 data 
 // NOTE: Rysk V12 is a client-side rendered Next.js app, so direct HTML scraping won't work
 // The data is loaded dynamically via JavaScript after page load
-// For now, we use live market data with realistic Rysk-style APRs
-async function scrapeRyskV12Data() {
+// The raw market data comes from a pluggable quote source (see api/sources)
+async function scrapeRyskV12Data(assets = RYSK_ASSETS) {
+  let outcome = 'error'; // For the scrape duration metric: ok, empty or error
   try {
-    console.log('Scraping real data from Rysk V12 app...');
-    
-    // Get live spot prices from CoinGecko
-    const spotPrices = await getLiveSpotPrices();
-    
-    // Get live volatilities from Deribit for BTC/ETH
-    const volatilities = await getLiveVolatilities();
-    
-    const quotes = [];
+    log.info('Fetching quote snapshot', { source: quoteSource.name, ...(assets.length < RYSK_ASSETS.length && { assets }) });
     
-        // Use Puppeteer to scrape the client-side rendered Rysk V12 app
-    let browser;
+    scrapeStartedAt = Date.now();
+    scrapeProgress = Object.fromEntries(assets.map(asset => [asset, { state: 'pending', strikes: null }]));
+    eventStream.broadcast('status', refreshStatus());
+
+    // Sources that scrape asset by asset report progress as they go; the rest
+    // are marked done from the finished snapshot
+    let snapshot;
     try {
-      console.log('Launching headless browser to scrape Rysk V12...');
-      browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      
-      const page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-      
-      console.log('Navigating to Rysk V12 app...');
-      await page.goto('https://app.rysk.finance', { 
-        waitUntil: 'networkidle2',
-        timeout: 20000 
-      });
-      
-      const title = await page.title();
-      console.log('Rysk page loaded successfully. Title:', title);
-      
-      // Wait for the app to load and render data
-      console.log('Waiting for Rysk app to load and render data...');
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      // Navigate to each asset's page to extract REAL strike prices
-      const assets = [
-        {
-          name: 'UBTC',
-          spotPrice: spotPrices.UBTC,
-          volatility: volatilities.BTC,
-          strikeData: await navigateToAssetAndExtractData(page, 'UBTC', spotPrices.UBTC)
-        },
-        {
-          name: 'UETH',
-          spotPrice: spotPrices.UETH,
-          volatility: volatilities.ETH,
-          strikeData: await navigateToAssetAndExtractData(page, 'UETH', spotPrices.UETH)
-        },
-        {
-          name: 'WHYPE',
-          spotPrice: spotPrices.WHYPE,
-          volatility: null, // No Deribit data for HYPE tokens
-          strikeData: await navigateToAssetAndExtractData(page, 'WHYPE', spotPrices.WHYPE)
-        },
-        {
-          name: 'kHYPE',
-          spotPrice: spotPrices.kHYPE,
-          volatility: null, // No Deribit data for HYPE tokens
-          strikeData: await navigateToAssetAndExtractData(page, 'kHYPE', spotPrices.kHYPE)
-        },
-        {
-          name: 'UPUMP',
-          spotPrice: spotPrices.UPUMP,
-          volatility: null,
-          strikeData: await navigateToAssetAndExtractData(page, 'UPUMP', spotPrices.UPUMP)
-        }
-      ];
-      
-      const currentTime = Math.floor(Date.now() / 1000);
-      const expiryTime = new Date('2025-08-29').getTime() / 1000;
-      const timeToExpiry = (expiryTime - currentTime) / (365 * 24 * 3600);
-      
-      // Process each asset with REAL scraped data only
-      for (const asset of assets) {
-        // Skip assets without critical data
-        if (asset.spotPrice === null) {
-          console.warn(`Skipping ${asset.name}: No spot price available`);
-          continue;
-        }
-        
-        if (asset.strikeData.length === 0) {
-          console.warn(`No real strike data found for ${asset.name} - Rysk scraping failed. Creating placeholder strikes based on spot price.`);
-          console.warn(`WARNING: ${asset.name} strikes are NOT real Rysk data - they are calculated placeholders!`);
-          
-          // Create placeholder strikes based on spot price
-          // This ensures assets are visible even when scraping fails
-          // NOTE: These are NOT real Rysk strike prices!
-          const spotPrice = asset.spotPrice;
-          
-          // Handle small price tokens (< $1) with more precision
-          const roundToSignificantDigits = (num, digits = 4) => {
-            if (num === 0) return 0;
-            if (num < 0.001) {
-              // For very small numbers, use fixed decimal places
-              return parseFloat(num.toFixed(6));
-            }
-            const magnitude = Math.floor(Math.log10(Math.abs(num)));
-            const factor = Math.pow(10, digits - 1 - magnitude);
-            return Math.round(num * factor) / factor;
-          };
-          
-          const placeholderStrikes = [
-            { strikePrice: roundToSignificantDigits(spotPrice * 0.85), apr: 0.18 }, // 15% OTM
-            { strikePrice: roundToSignificantDigits(spotPrice * 0.95), apr: 0.12 }, // 5% OTM
-            { strikePrice: roundToSignificantDigits(spotPrice * 1.05), apr: 0.08 }, // 5% ITM
-            { strikePrice: roundToSignificantDigits(spotPrice * 1.15), apr: 0.05 }  // 15% ITM
-          ];
-          
-          asset.strikeData = placeholderStrikes;
-          console.log(`Created ${placeholderStrikes.length} PLACEHOLDER strikes for ${asset.name} (NOT real Rysk data - scraping failed)`);
-        }
-        
-        // Add default volatility for assets without Deribit data
-        let assetVolatility = asset.volatility;
-        if (assetVolatility === null) {
-          // Use reasonable default volatilities for different asset types
-          const defaultVolatilities = {
-            'UPUMP': 1.5,  // High volatility for meme tokens
-            'WHYPE': 0.8,  // Medium-high volatility for HYPE derivatives
-            'kHYPE': 0.8   // Medium-high volatility for HYPE derivatives
-          };
-          assetVolatility = defaultVolatilities[asset.name] || 0.6; // Default 60%
-          console.log(`Using default volatility for ${asset.name}: ${(assetVolatility * 100).toFixed(1)}%`);
-        }
-        
-        // TARGETED FIX: Remove first strike for WHYPE and kHYPE only if it's too close to spot price
-        // This preserves legitimate strikes while removing garbage data
-        console.log(`MAIN LOOP DEBUG: Processing ${asset.name} with ${asset.strikeData.length} strikes`);
-        if ((asset.name === 'WHYPE' || asset.name === 'kHYPE') && asset.strikeData.length > 0 && asset.spotPrice) {
-          const firstStrike = asset.strikeData[0];
-          const percentDiff = Math.abs(firstStrike.strikePrice - asset.spotPrice) / asset.spotPrice;
-          
-          // Only remove if first strike is within 5% of spot price (likely garbage)
-          if (percentDiff < 0.05) {
-            const removedStrike = asset.strikeData.shift();
-            console.log(`MAIN LOOP: REMOVED first strike for ${asset.name}: $${removedStrike.strikePrice.toLocaleString()} @ ${(removedStrike.apr*100).toFixed(2)}% (too close to spot $${asset.spotPrice})`);
-            console.log(`MAIN LOOP: ${asset.name} now has ${asset.strikeData.length} strikes remaining`);
-          } else {
-            console.log(`MAIN LOOP: Keeping first strike for ${asset.name}: $${firstStrike.strikePrice.toLocaleString()} (${(percentDiff*100).toFixed(1)}% from spot)`);
-          }
-        }
-        
-        // DEFAULT TO CALCULATED PREMIUMS to ensure uniqueness
-        // Each strike gets its own calculated premium based on its specific APR
-        // Real scraped data can be used later for validation/comparison
-        for (const strikeInfo of asset.strikeData) {
-          let premium = null;
-          let premiumSource = 'calculated';
-          
-          // Always calculate premium first to ensure uniqueness
-          try {
-            if (asset.spotPrice !== null && strikeInfo.apr !== null) {
-              // Calculate premium using asset-specific contract size
-              premium = calculatePremiumFromAPR(strikeInfo.apr, asset.spotPrice, timeToExpiry, asset.name);
-              premiumSource = 'calculated';
-              console.log(`Calculated unique premium for ${asset.name} $${strikeInfo.strikePrice}: ${premium} USDT (APR: ${(strikeInfo.apr*100).toFixed(2)}%, contract size: ${getContractSize(asset.name)})`);
-            }
-          } catch (error) {
-            console.warn(`Failed to calculate premium for ${asset.name} $${strikeInfo.strikePrice}: ${error.message}`);
-            premium = null;
-          }
-          
-          // Note: Real scraped premiums available in strikeInfo.premium for future use/validation
-          if (strikeInfo.premium !== null && strikeInfo.premium !== undefined) {
-            console.log(`Real scraped premium available for ${asset.name} $${strikeInfo.strikePrice}: ${strikeInfo.premium} USDT (using calculated instead for uniqueness)`);
-          }
-          
-          quotes.push({
-            asset: asset.name,
-            strike: strikeInfo.strikePrice,
-            expiry: expiryTime,
-            premium: premium,
-            premiumSource: 'calculated', // Always calculated to ensure uniqueness
-            apr: strikeInfo.apr,
-            spotPrice: asset.spotPrice,
-            timeToExpiry: timeToExpiry,
-            riskFreeRate: 0.04,
-            volatility: assetVolatility
-          });
-        }
-      }
-      
+      snapshot = await quoteSource.fetchSnapshot({ onProgress: setScrapeProgress, assets });
     } catch (scrapeError) {
-      console.error('Failed to scrape Rysk app:', scrapeError.message);
-      console.warn('No real Rysk data available - returning empty array');
+      log.error('Quote source failed - no real Rysk data available', { source: quoteSource.name, error: scrapeError });
+      recordUpstream('rysk', 'snapshot', scrapeError);
+      for (const [asset, progress] of Object.entries(scrapeProgress)) {
+        if (progress.state !== 'done') setScrapeProgress(asset, { state: 'failed' });
+      }
       return [];
-    } finally {
-      if (browser) {
-        await browser.close();
-        console.log('Browser closed');
+    }
+    // Sources that cannot fetch a subset return every asset
+    snapshot = { ...snapshot, assets: snapshot.assets.filter(asset => assets.includes(asset.name)) };
+    for (const asset of snapshot.assets) {
+      if (!['done', 'failed'].includes(scrapeProgress[asset.name]?.state)) {
+        setScrapeProgress(asset.name, { state: 'done', strikes: (asset.strikeData || []).length });
       }
     }
+
+    // Rysk counts as up when at least one asset came back with real strikes
+    const emptyAssets = snapshot.assets.filter(asset => (asset.strikeData || []).length === 0);
+    for (const asset of emptyAssets) {
+      placeholderFallbacks.inc({ asset: asset.name });
+    }
+    recordUpstream('rysk', 'snapshot', emptyAssets.length === snapshot.assets.length ? new Error('No strikes found for any asset') : null);
+    
+    if (process.env.QUOTE_RECORD_PATH) {
+      await recordSnapshot(snapshot, process.env.QUOTE_RECORD_PATH).catch(error => {
+        log.warn('Failed to record snapshot', { error });
+      });
+    }
+    
+    const quotes = buildQuotesFromSnapshot(snapshot);
     
     if (quotes.length === 0) {
-      console.warn('No quotes generated - no real data found in Rysk app');
+      outcome = 'empty';
+      log.warn('No quotes generated - no real data found in Rysk app');
       return [];
     }
     
-    console.log(`Generated ${quotes.length} quotes with REAL Rysk data`);
+    outcome = 'ok';
+    log.info('Built quotes from snapshot', { quotes: quotes.length, placeholderAssets: emptyAssets.map(asset => asset.name) });
     return quotes;
     
   } catch (error) {
-    console.error('Error in scrapeRyskV12Data:', error.message);
+    log.error('Error in scrapeRyskV12Data', { error });
     return [];
+  } finally {
+    scrapeDuration.observe({ source: quoteSource.name, outcome }, (Date.now() - scrapeStartedAt) / 1000);
+    scrapeStartedAt = null;
+    eventStream.broadcast('status', refreshStatus());
   }
 }
 
-// Helper function to navigate to asset page and extract REAL strike prices and APRs
-async function navigateToAssetAndExtractData(page, asset, spotPrice) {
-  const strikeData = [];
+// Turn a quote source snapshot into priced quotes
+function buildQuotesFromSnapshot(snapshot) {
+  const quotes = [];
   
-  try {
-    console.log(`Navigating directly to ${asset} asset page to find REAL strike prices...`);
-    
-    // Navigate directly to the asset-specific URL where real strike prices are shown
-    const assetUrl = `https://app.rysk.finance/earn/${asset}/`;
-    console.log(`BROWSER [${asset}]: Navigating to ${assetUrl}`);
-    await page.goto(assetUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+  // Price off the snapshot's capture time so replayed fixtures are deterministic
+  const currentTime = Math.floor(new Date(snapshot.capturedAt || Date.now()).getTime() / 1000);
+  // Snapshots of a few assets keep the other assets' curves
+  latestCarry = {
+    capturedAt: currentTime,
+    curves: { ...latestCarry.curves, ...Object.fromEntries(snapshot.assets.map(asset => [asset.name, asset.carryCurve || null])) }
+  };
+  latestSpot = {
+    capturedAt: currentTime,
+    // Snapshots recorded without the per-source detail only carry the price
+    assets: {
+      ...latestSpot.assets,
+      ...Object.fromEntries(snapshot.assets.map(asset => [asset.name, asset.spot || { price: asset.spotPrice ?? null, stale: false, disagreement: false, sources: [] }]))
+    }
+  };
+  
+  // Process each asset with REAL scraped data only
+  for (const snapshotAsset of snapshot.assets) {
+    const asset = { ...snapshotAsset, strikeData: [...(snapshotAsset.strikeData || [])] };
     
-    console.log(`BROWSER [${asset}]: Page loaded, waiting for dynamic content...`);
+    // Skip assets without critical data
+    if (asset.spotPrice === null) {
+      log.warn('Skipping asset without a spot price', { asset: asset.name });
+      continue;
+    }
     
-    // Wait for dynamic premium calculations to complete
-    try {
-      // Wait for potential loading states to finish (increased time)
-      await new Promise(resolve => setTimeout(resolve, 4000));
+    if (asset.strikeData.length === 0) {
+
+      // Create placeholder strikes based on spot price
+      // This ensures assets are visible even when scraping fails
+      // NOTE: These are NOT real Rysk strike prices!
+      const spotPrice = asset.spotPrice;
       
-      // Wait for premium/upfront elements to appear (with longer timeout)
-      await page.waitForFunction(() => {
-        const upfrontElements = document.querySelectorAll('*');
-        let foundUpfront = false;
-        for (let el of upfrontElements) {
-          if (el.textContent && el.textContent.includes('upfront')) {
-            foundUpfront = true;
-            break;
-          }
+      // Handle small price tokens (< $1) with more precision
+      const roundToSignificantDigits = (num, digits = 4) => {
+        if (num === 0) return 0;
+        if (num < 0.001) {
+          // For very small numbers, use fixed decimal places
+          return parseFloat(num.toFixed(6));
         }
-        return foundUpfront;
-      }, { timeout: 15000 }).catch(() => {
-        console.log(`BROWSER [${asset}]: Timeout waiting for upfront elements, proceeding anyway`);
-      });
-      
-      // Additional wait for calculations
-      await new Promise(resolve => setTimeout(resolve, 1000));
+        const magnitude = Math.floor(Math.log10(Math.abs(num)));
+        const factor = Math.pow(10, digits - 1 - magnitude);
+        return Math.round(num * factor) / factor;
+      };
       
-      // Simulate user interactions to trigger premium calculations
-      console.log(`BROWSER [${asset}]: Simulating user interactions to trigger calculations...`);
-      try {
-        // Try to find and interact with strike price elements or buttons
-        const interactiveElements = await page.$$('button, [role="button"], .cursor-pointer, [class*="strike"], [class*="option"]');
-        
-        for (let i = 0; i < Math.min(interactiveElements.length, 5); i++) {
-          try {
-            await interactiveElements[i].click();
-            await new Promise(resolve => setTimeout(resolve, 300)); // Short wait between clicks
-            console.log(`BROWSER [${asset}]: Clicked interactive element ${i + 1}`);
-          } catch (clickError) {
-            // Ignore click errors, continue with next element
-          }
-        }
-        
-        // Try hovering over potential premium areas
-        const potentialPremiumElements = await page.$$('[class*="premium"], [class*="upfront"], [class*="cost"]');
-        for (let element of potentialPremiumElements.slice(0, 3)) {
-          try {
-            await element.hover();
-            await new Promise(resolve => setTimeout(resolve, 200));
-          } catch (hoverError) {
-            // Ignore hover errors
-          }
-        }
-        
-        // Final wait for any triggered calculations
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Wait for any loading indicators to disappear
-        console.log(`BROWSER [${asset}]: Waiting for loading indicators to complete...`);
-        await page.waitForFunction(() => {
-          // Check for common loading indicators
-          const loadingSelectors = [
-            '[class*="loading"]',
-            '[class*="spinner"]', 
-            '[class*="calculating"]',
-            '[class*="pending"]',
-            '.animate-spin',
-            '[data-loading="true"]'
-          ];
-          
-          for (let selector of loadingSelectors) {
-            const loadingElements = document.querySelectorAll(selector);
-            if (loadingElements.length > 0) {
-              console.log(`Found ${loadingElements.length} loading elements with selector: ${selector}`);
-              return false; // Still loading
-            }
-          }
-          return true; // No loading indicators found
-        }, { timeout: 10000 }).catch(() => {
-          console.log(`BROWSER [${asset}]: Timeout waiting for loading indicators, proceeding anyway`);
-        });
-        
-      } catch (interactionError) {
-        console.log(`BROWSER [${asset}]: Error during interactions: ${interactionError.message}`);
-      }
+      const placeholderStrikes = [
+        { strikePrice: roundToSignificantDigits(spotPrice * 0.85), apr: 0.18, source: 'placeholder', optionType: 'call' }, // 15% OTM
+        { strikePrice: roundToSignificantDigits(spotPrice * 0.95), apr: 0.12, source: 'placeholder', optionType: 'call' }, // 5% OTM
+        { strikePrice: roundToSignificantDigits(spotPrice * 1.05), apr: 0.08, source: 'placeholder', optionType: 'call' }, // 5% ITM
+        { strikePrice: roundToSignificantDigits(spotPrice * 1.15), apr: 0.05, source: 'placeholder', optionType: 'call' }  // 15% ITM
+      ];
       
-    } catch (error) {
-      console.log(`BROWSER [${asset}]: Error waiting for dynamic content: ${error.message}`);
+      asset.strikeData = placeholderStrikes; // No expiry - falls back below
+      log.warn('No Rysk strikes found - using PLACEHOLDER strikes from spot (NOT real Rysk data)', { asset: asset.name, strikes: placeholderStrikes.length });
     }
     
-    // Now extract the REAL strike prices and APRs from the asset page with retry logic
-    let data = [];
-    let attempts = 0;
-    const maxAttempts = 3;
+    // Assets without Deribit data use their realized vol estimate, else a default
+    let assetVolatility = asset.volatility;
+    let assetVolatilitySource = 'deribit_historical';
+    const volatilityEstimate = asset.volatility === null && asset.realizedVol ? asset.realizedVol : null;
+    if (volatilityEstimate) {
+      assetVolatility = volatilityEstimate.volatility;
+      assetVolatilitySource = 'realized';
+    } else if (assetVolatility === null) {
+      // Per-asset default from the asset registry (meme tokens higher than HYPE derivatives)
+      assetVolatility = getAsset(asset.name)?.defaultVolatility ?? 0.6; // Default 60%
+      assetVolatilitySource = 'default';
+      log.debug('Using default volatility', { asset: asset.name, volatility: assetVolatility });
+    }
     
-    while (attempts < maxAttempts) {
-      console.log(`BROWSER [${asset}]: Extraction attempt ${attempts + 1}/${maxAttempts}`);
-      
-      data = await page.evaluate((assetName, spotPrice) => {
-      const results = [];
-      
-      console.log(`Extracting REAL strike prices and APRs for ${assetName}...`);
-      console.log(`Spot price for validation: $${spotPrice}`);
-      
-      // Helper function to check if a price is too close to spot price (likely not a real strike)
-      const isTooCloseToSpot = (price) => {
-        if (!spotPrice || spotPrice === null) return false;
-        const percentDiff = Math.abs(price - spotPrice) / spotPrice;
-        return percentDiff < 0.05; // If within 5% of spot price, likely not a real strike
-      };
-      
-      const allText = document.body.innerText;
-      console.log('Asset page text sample:', allText.substring(0, 1200));
+    // TARGETED FIX: Remove first strike for WHYPE and kHYPE only if it's too close to spot price
+    // This preserves legitimate strikes while removing garbage data
+    if ((asset.name === 'WHYPE' || asset.name === 'kHYPE') && asset.strikeData.length > 0 && asset.spotPrice) {
+      const firstStrike = asset.strikeData[0];
+      const percentDiff = Math.abs(firstStrike.strikePrice - asset.spotPrice) / asset.spotPrice;
       
-      // NEW IMPROVED EXTRACTION LOGIC FOR RYSK PAGES
-      // Look for strike-specific APR patterns by analyzing the page structure
-      console.log('Attempting to extract individual strike-APR pairs...');
-      
-      // Method 1: Look for DOM elements that contain both strike and APR info
-      const allElements = document.querySelectorAll('*');
-      const strikeAprPairs = [];
-      
-      for (let element of allElements) {
-        const text = element.textContent?.trim();
-        if (!text || text.length > 200) continue;
-        
-        // Look for elements that contain both a price and APR
-        const priceMatch = text.match(/\$([0-9,]+(?:\.[0-9]{2})?)/);  
-        const aprMatch = text.match(/([0-9.]+)%/);
-        
-        if (priceMatch && aprMatch) {
-          const price = parseFloat(priceMatch[1].replace(/,/g, ''));
-          const apr = parseFloat(aprMatch[1]) / 100;
-          
-          if (price > 1000 && apr > 0 && apr < 2 && !isTooCloseToSpot(price)) { // Reasonable bounds + not spot price
-            strikeAprPairs.push({
-              strikePrice: price,
-              apr: apr,
-              premium: null,
-              source: 'dom_element_pair'
-            });
-            console.log(`Found strike-APR pair in element: $${price.toLocaleString()} @ ${(apr*100).toFixed(2)}%`);
-          } else if (isTooCloseToSpot(price)) {
-            console.log(`Rejected price $${price.toLocaleString()} - too close to spot price $${spotPrice}`);
-          }
-        }
-      }
-      
-      // If we found paired data, use it
-      if (strikeAprPairs.length > 0) {
-        results.push(...strikeAprPairs);
-        console.log(`Successfully extracted ${strikeAprPairs.length} strike-APR pairs from DOM elements`);
+      // Only remove if first strike is within 5% of spot price (likely garbage)
+      if (percentDiff < 0.05) {
+        const removedStrike = asset.strikeData.shift();
+        log.debug('Removed first strike too close to spot', { asset: asset.name, strike: removedStrike.strikePrice, apr: removedStrike.apr, spot: asset.spotPrice, remaining: asset.strikeData.length });
       } else {
-        // Fallback: Try to find patterns in text lines
-        console.log('No DOM pairs found, trying text pattern matching...');
-        
-        const lines = allText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-        
-        for (let i = 0; i < lines.length - 1; i++) {
-          // Look for adjacent lines with strike and APR
-          const currentLine = lines[i];
-          const nextLine = lines[i + 1];
-          
-          const priceMatch = currentLine.match(/\$([0-9,]+(?:\.[0-9]{2})?)/);  
-          const aprMatch = nextLine.match(/^([0-9.]+)%\s*APR/i) || nextLine.match(/^([0-9.]+)%$/);
-          
-          if (priceMatch && aprMatch) {
-            const price = parseFloat(priceMatch[1].replace(/,/g, ''));
-            const apr = parseFloat(aprMatch[1]) / 100;
-            
-            if (price > 1000 && apr > 0 && apr < 2 && !isTooCloseToSpot(price)) {
-              results.push({
-                strikePrice: price,
-                apr: apr,
-                premium: null,
-                source: 'text_line_pair'
-              });
-              console.log(`Found strike-APR pair in text: $${price.toLocaleString()} @ ${(apr*100).toFixed(2)}%`);
-            } else if (isTooCloseToSpot(price)) {
-              console.log(`Rejected price $${price.toLocaleString()} - too close to spot price $${spotPrice}`);
-            }
-          }
-        }
+        log.debug('Keeping first strike', { asset: asset.name, strike: firstStrike.strikePrice, fromSpot: Number(percentDiff.toFixed(4)) });
       }
+    }
+    
+    // Each strike carries the expiry it was listed under. Strikes whose expiry
+    // could not be found fall back to the asset's nearest listed expiry, or the
+    // next weekly Friday expiry when none was found at all
+    const listedExpiries = asset.strikeData
+      .map(strikeInfo => parseExpiry(strikeInfo.expiry))
+      .filter(expiry => expiry !== null && expiry > currentTime)
+      .sort((a, b) => a - b);
+    const fallbackExpiry = listedExpiries[0] || nextFridayExpiry(currentTime);
+    
+    // DEFAULT TO CALCULATED PREMIUMS to ensure uniqueness
+    // Each strike gets its own calculated premium based on its specific APR
+    // Real scraped data can be used later for validation/comparison
+    for (const strikeInfo of asset.strikeData) {
+      let premium = null;
+      let premiumSource = 'calculated';
+      // Covered call unless the source says it is a cash-secured put
+      const optionType = strikeInfo.optionType === 'put' ? 'put' : 'call';
       
-      // Debug: Log ALL lines that contain numbers or currency
-      const allLines = allText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-      console.log(`\n=== DEBUGGING ALL NUMERIC/CURRENCY LINES FOR ${assetName} ===`);
-      for (let i = 0; i < allLines.length; i++) {
-        if (allLines[i].match(/[0-9]/) || allLines[i].includes('$') || allLines[i].includes('USDT') || allLines[i].includes('upfront')) {
-          console.log(`[${i}]: "${allLines[i]}"`);
-        }
-      }
-      console.log(`=== END DEBUG FOR ${assetName} ===\n`);
-      
-      // Also log the raw HTML structure around potential premium areas
-      const potentialElements = document.querySelectorAll('*');
-      let foundUpfrontHTML = false;
-      for (let el of potentialElements) {
-        if (el.textContent && el.textContent.includes('upfront')) {
-          console.log(`Found upfront element HTML: ${el.outerHTML}`);
-          foundUpfrontHTML = true;
-        }
+      let expiryTime = parseExpiry(strikeInfo.expiry);
+      const assumedExpiry = expiryTime === null;
+      if (assumedExpiry) {
+        expiryTime = fallbackExpiry;
+        log.debug('No expiry found - assuming fallback expiry', { asset: asset.name, strike: strikeInfo.strikePrice, expiry: new Date(expiryTime * 1000).toISOString().slice(0, 10) });
       }
-      if (!foundUpfrontHTML) {
-        console.log('No upfront elements found in HTML');
+      const timeToExpiry = yearsToExpiry(expiryTime, currentTime);
+      if (timeToExpiry <= 0) {
+        log.debug('Skipping expired strike', { asset: asset.name, strike: strikeInfo.strikePrice, expiry: new Date(expiryTime * 1000).toISOString().slice(0, 10) });
+        continue;
       }
       
-      // Also log lines around APR patterns for debugging
-      const debugLines = allText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-      for (let i = 0; i < debugLines.length; i++) {
-        if (debugLines[i] === 'APR' && debugLines[i + 1] && debugLines[i + 1].match(/^[0-9.]+%$/)) {
-          console.log(`APR pattern found at line ${i}:`);
-          for (let k = Math.max(0, i - 2); k < Math.min(debugLines.length, i + 8); k++) {
-            console.log(`  [${k}]: "${debugLines[k]}"`);
-          }
-        }
-      }
+      // Price each strike off its own point on the Deribit IV surface when there is
+      // one; otherwise fall back to the single asset-level volatility
+      const surfacePoint = surfaceVolatility(asset.volSurface, strikeInfo.strikePrice, asset.spotPrice, timeToExpiry, currentTime);
+      const volatility = surfacePoint ? surfacePoint.volatility : assetVolatility;
+      const volatilitySource = surfacePoint ? 'deribit_surface' : assetVolatilitySource;
       
-      // The page shows APR/price/premium patterns. Look for:
-      // APR
-      // 31.98%
-      // $124,000.00
-      // Premium: $X.XX or similar
-      // OR consecutive APR/price/premium patterns
+      // Per-expiry carry: override, Deribit futures basis or the base rate, plus
+      // any staking yield as a dividend yield
+      const { rate, rateSource, dividendYield } = resolveCarry(asset.name, expiryTime, currentTime, { carryCurve: asset.carryCurve, config: ratesConfig });
       
-      const lines = allText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-      console.log(`Total lines: ${lines.length}`);
+      // Theoretical pricing happens here so /api/quotes is ready to display as-is
+      const { theoreticalApr } = calculateTheoreticalApr(asset.spotPrice, strikeInfo.strikePrice, timeToExpiry, rate, volatility, { dividendYield, optionType });
+      const { impliedVol: ryskImpliedVol } = calculateRyskImpliedVol(strikeInfo.apr, asset.spotPrice, strikeInfo.strikePrice, timeToExpiry, rate, dividendYield, optionType);
       
-      for (let i = 0; i < lines.length - 3; i++) {
-        // Look for pattern: "APR" followed by percentage, then price, then premium
-        if (lines[i] === 'APR' && lines[i + 1].match(/^[0-9.]+%$/)) {
-          const aprText = lines[i + 1];
-          const apr = parseFloat(aprText.replace('%', '')) / 100;
-          
-          // Look for strike price and premium ("upfront") in next few lines
-          let strikePrice = null;
-          let premium = null;
-          
-          for (let j = i + 2; j < Math.min(i + 10, lines.length); j++) {
-            // Strike price pattern
-            if (!strikePrice && lines[j].match(/^\$[0-9,]+(?:\.[0-9]{2})?$/)) {
-              strikePrice = parseFloat(lines[j].replace(/[$,]/g, ''));
-            }
-            // Premium pattern - look for "upfront" values with enhanced patterns
-            if (!premium && (
-              lines[j].includes('upfront') || 
-              lines[j].includes('USDT') ||
-              lines[j].match(/^[0-9.]+\s+(USDT|upfront)/) ||
-              lines[j].match(/^[0-9.]+\s*USDT/) ||
-              lines[j].match(/[0-9.]+\s*USDT[0-9]*\s*upfront/i) ||
-              lines[j].match(/upfront.*?[0-9.]+/i) ||
-              lines[j].match(/[0-9.]+.*?upfront/i)
-            )) {
-              console.log(`Potential premium (upfront) line found: "${lines[j]}"`);
-              // Try multiple extraction patterns
-              let premiumMatch = lines[j].match(/([0-9.]+)\s*USDT[0-9]*\s*upfront/i) ||
-                                lines[j].match(/([0-9.]+)\s*USDT/) ||
-                                lines[j].match(/([0-9.]+)/) ||
-                                lines[j].match(/upfront.*?([0-9.]+)/);
-              
-              if (premiumMatch && premiumMatch[1]) {
-                premium = parseFloat(premiumMatch[1]);
-                console.log(`Parsed premium value: ${premium} from line: "${lines[j]}" using pattern`);
-              }
-            }
-          }
-          
-          if (apr > 0 && strikePrice && strikePrice > 1000) {
-            console.log(`Found REAL ${assetName} data: $${strikePrice.toLocaleString()} @ ${(apr*100).toFixed(2)}% APR${premium ? ` Premium: ${premium} USDT` : ' (no premium found)'}`);
-            results.push({
-              strikePrice: strikePrice,
-              apr: apr,
-              premium: premium,
-              source: 'real_asset_page_lines'
-            });
-          }
+      // Always calculate premium first to ensure uniqueness
+      try {
+        if (asset.spotPrice !== null && strikeInfo.apr !== null) {
+          // Calculate premium using asset-specific contract size - puts earn on the strike in cash
+          premium = calculatePremiumFromAPR(strikeInfo.apr, collateralPerUnit(optionType, asset.spotPrice, strikeInfo.strikePrice), timeToExpiry, asset.name);
+          premiumSource = 'calculated';
+          log.debug('Calculated premium', { asset: asset.name, strike: strikeInfo.strikePrice, premium, apr: strikeInfo.apr, contractSize: getContractSize(asset.name) });
         }
+      } catch (error) {
+        log.warn('Failed to calculate premium', { asset: asset.name, strike: strikeInfo.strikePrice, error });
+        premium = null;
       }
       
-      // Note: Removed problematic fallback premium assignment that was reusing
-      // the same premium for multiple strikes. Each strike should have its own
-      // unique premium, either scraped directly or calculated individually.
-      
-      // Method 2: Look for separate APR and price elements that might be related
-      if (results.length === 0) {
-        const allElements = document.querySelectorAll('*');
-        const priceElements = [];
-        const aprElements = [];
-        
-        for (let element of allElements) {
-          const text = element.textContent?.trim();
-          if (!text || text.length > 50) continue;
-          
-          // Find strike price elements (larger values)
-          if (text.match(/^\$[0-9,]+(?:\.[0-9]{2})?$/)) {
-            const price = parseFloat(text.replace(/[$,]/g, ''));
-            if (price > 1000) {
-              priceElements.push({ element, price, text });
-            }
-          }
-          
-
-          
-          // Find APR elements
-          if (text.match(/^[0-9.]+%$/) || text.match(/^APR\s*[0-9.]+%$/)) {
-            const aprMatch = text.match(/([0-9.]+)%/);
-            if (aprMatch) {
-              const apr = parseFloat(aprMatch[1]) / 100;
-              if (apr > 0) {
-                aprElements.push({ element, apr, text });
-              }
-            }
-          }
-        }
-        
-        console.log(`Found ${priceElements.length} price elements and ${aprElements.length} APR elements`);
-        
-        // Try to match prices with APRs based on proximity
-        for (let priceEl of priceElements) {
-          for (let aprEl of aprElements) {
-            // Check if elements are close to each other in the DOM
-            const priceRect = priceEl.element.getBoundingClientRect();
-            const aprRect = aprEl.element.getBoundingClientRect();
-            
-            const distance = Math.sqrt(
-              Math.pow(priceRect.x - aprRect.x, 2) + 
-              Math.pow(priceRect.y - aprRect.y, 2)
-            );
-            
-            // If elements are close (within 200px), consider them related
-            if (distance < 200 && !isTooCloseToSpot(priceEl.price)) {
-              console.log(`Found REAL ${assetName} data via proximity: $${priceEl.price.toLocaleString()} @ ${(aprEl.apr*100).toFixed(2)}% APR (no premium on website)`);
-              results.push({
-                strikePrice: priceEl.price,
-                apr: aprEl.apr,
-                source: 'real_proximity_match'
-              });
-            } else if (distance < 200 && isTooCloseToSpot(priceEl.price)) {
-              console.log(`Rejected proximity match $${priceEl.price.toLocaleString()} - too close to spot price $${spotPrice}`);
-            }
-          }
-        }
+      // Note: Real scraped premiums available in strikeInfo.premium for future use/validation
+      if (strikeInfo.premium !== null && strikeInfo.premium !== undefined) {
+        log.debug('Scraped premium available (using calculated instead for uniqueness)', { asset: asset.name, strike: strikeInfo.strikePrice, premium: strikeInfo.premium });
       }
       
-      // Remove duplicates and sort
-      const unique = results.filter((item, index, self) => 
-        index === self.findIndex(t => Math.abs(t.strikePrice - item.strikePrice) < 0.01)
-      );
-      
-      return unique.sort((a, b) => a.strikePrice - b.strikePrice);
-    }, asset, spotPrice);
-    
-    // Check if we got premiums for all strikes
-    const strikesWithPremiums = data.filter(d => d.premium !== null && d.premium !== undefined).length;
-    const totalStrikes = data.length;
-    
-    console.log(`BROWSER [${asset}]: Found ${strikesWithPremiums}/${totalStrikes} strikes with premiums`);
-    
-    // If we have all premiums or this is the last attempt, break
-    if (strikesWithPremiums === totalStrikes || attempts === maxAttempts - 1) {
-      break;
-    }
-    
-    // Wait before retry
-    console.log(`BROWSER [${asset}]: Retrying in 2 seconds...`);
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    attempts++;
-  }
-  
-  strikeData.push(...data);
-  
-  // Note: Strike filtering now happens in main loop with more targeted logic
-  console.log(`DEBUG: ${asset} extracted ${strikeData.length} strikes from scraping`);
-  
-  console.log(`Extracted ${strikeData.length} strikes for ${asset}:`, 
-    strikeData.map(s => `$${s.strikePrice.toLocaleString()} @ ${(s.apr*100).toFixed(2)}%${s.premium ? ` Premium: ${s.premium}` : ''} (${s.source})`));
-  
-  } catch (error) {
-    console.error(`Error navigating to ${asset} page:`, error);
-  }
-  
-  return strikeData;
-}
-
-// Helper function to get live spot prices from CoinGecko - REAL DATA ONLY
-async function getLiveSpotPrices() {
-  try {
-    console.log('Fetching live spot prices from CoinGecko...');
-    
-    // Map Rysk assets to CoinGecko IDs - ALL REAL TOKENS
-    const assetMap = {
-      'UETH': 'ethereum',
-      'UBTC': 'bitcoin', 
-      'UPUMP': 'pump', // UPUMP = pump token on CoinGecko
-      'WHYPE': 'wrapped-hype', // WHYPE = wrapped HYPE
-      'kHYPE': 'kinetic-staked-hype'  // kHYPE = Kinetiq Staked HYPE
-    };
-    
-    const coinIds = Object.values(assetMap).filter(id => id !== null);
-    
-    if (coinIds.length === 0) {
-      throw new Error('No valid coin IDs to fetch');
-    }
-    
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/simple/price?ids=${coinIds.join(',')}&vs_currencies=usd`,
-      { timeout: 10000 }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    console.log('CoinGecko response:', data);
-    
-    const prices = {};
-    for (const [asset, coinId] of Object.entries(assetMap)) {
-      if (coinId === null) {
-        prices[asset] = null; // Explicitly null for unavailable tokens
-        console.log(`${asset}: No price feed available`);
-      } else if (data[coinId] && data[coinId].usd) {
-        prices[asset] = data[coinId].usd;
-        console.log(`${asset}: $${data[coinId].usd.toLocaleString()}`);
-      } else {
-        prices[asset] = null; // Failed to fetch
-        console.warn(`${asset}: Price not available in CoinGecko response`);
-      }
-    }
-    
-    return prices;
-    
-  } catch (error) {
-    console.error('Failed to fetch live prices:', error.message);
-    // Return null for all assets - no fallback fake data
-    return {
-      'UETH': null,
-      'UBTC': null,
-      'UPUMP': null,
-      'WHYPE': null,
-      'kHYPE': null
-    };
-  }
-}
-
-// Helper function to get live volatilities from Deribit - REAL DATA ONLY
-async function getLiveVolatilities() {
-  try {
-    console.log('Fetching live volatilities from Deribit...');
-    
-    const volatilities = {};
-    
-    // Get BTC volatility - NO FALLBACK
-    try {
-      const btcVol = await getDeribitVolatility('UBTC');
-      volatilities.BTC = btcVol;
-      console.log(`BTC volatility: ${(btcVol * 100).toFixed(1)}%`);
-    } catch (error) {
-      console.warn('Failed to get BTC volatility from Deribit:', error.message);
-      volatilities.BTC = null; // No fallback - use null
-    }
-    
-    // Get ETH volatility - NO FALLBACK
-    try {
-      const ethVol = await getDeribitVolatility('UETH');
-      volatilities.ETH = ethVol;
-      console.log(`ETH volatility: ${(ethVol * 100).toFixed(1)}%`);
-    } catch (error) {
-      console.warn('Failed to get ETH volatility from Deribit:', error.message);
-      volatilities.ETH = null; // No fallback - use null
+      quotes.push({
+        asset: asset.name,
+        strike: strikeInfo.strikePrice,
+        expiry: expiryTime,
+        optionType: optionType,
+        premium: premium,
+        premiumSource: 'calculated', // Always calculated to ensure uniqueness
+        apr: strikeInfo.apr,
+        spotPrice: asset.spotPrice,
+        timeToExpiry: timeToExpiry,
+        riskFreeRate: rate,
+        rateSource: rateSource,
+        dividendYield: dividendYield,
+        volatility: volatility,
+        volatilitySource: volatilitySource,
+        // Which estimator and window produced a realized volatility
+        volatilityEstimate: volatilitySource === 'realized'
+          ? { estimator: volatilityEstimate.estimator, window: volatilityEstimate.window, observations: volatilityEstimate.observations, source: volatilityEstimate.source }
+          : null,
+        greeks: blackScholesGreeks(asset.spotPrice, strikeInfo.strikePrice, timeToExpiry, rate, volatility, dividendYield, optionType),
+        pricingModel: DEFAULT_PRICING_MODEL,
+        theoreticalApr: theoreticalApr,
+        excessApr: strikeInfo.apr - theoreticalApr,
+        ryskImpliedVol: ryskImpliedVol,
+        // Where this row came from, so consumers can tell real Rysk data from fill-ins
+        source: strikeInfo.source || 'unknown',
+        dataQuality: {
+          feed: snapshot.source,
+          placeholder: strikeInfo.source === 'placeholder',
+          defaultVolatility: volatilitySource === 'default',
+          extrapolatedVolatility: surfacePoint ? surfacePoint.extrapolated : false,
+          assumedExpiry: assumedExpiry,
+          calculatedPremium: premiumSource === 'calculated',
+          staleSpot: Boolean(asset.spot?.stale),
+          spotDisagreement: Boolean(asset.spot?.disagreement)
+        }
+      });
     }
-    
-    return volatilities;
-    
-  } catch (error) {
-    console.error('Error fetching live volatilities:', error.message);
-    return { BTC: null, ETH: null }; // No fallback values
-  }
-}
-
-// Helper function to get implied volatility from Deribit - REAL DATA ONLY
-async function getDeribitVolatility(asset) {
-  // Map Rysk assets to Deribit instruments
-  const deribitMap = {
-    'UETH': 'ETH',
-    'UBTC': 'BTC',
-    'UPUMP': null, // No Deribit data for meme tokens
-    'WHYPE': null,
-    'kHYPE': null
-  };
-  
-  const deribitAsset = deribitMap[asset];
-  if (!deribitAsset) {
-    throw new Error(`No Deribit mapping for ${asset}`);
-  }
-  
-  console.log(`Fetching Deribit historical volatility for ${deribitAsset}...`);
-  
-  // Use JSON-RPC format to get historical volatility (latest value)
-  const response = await fetch('https://www.deribit.com/api/v2/public/get_historical_volatility', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'public/get_historical_volatility',
-      params: {
-        currency: deribitAsset
-      }
-    }),
-    timeout: 10000
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Deribit API error: ${response.status} ${response.statusText}`);
-  }
-  
-  const data = await response.json();
-  
-  if (data.error) {
-    throw new Error(`Deribit API error: ${data.error.message}`);
-  }
-  
-  const histData = data.result;
-  if (!histData || !Array.isArray(histData) || histData.length === 0) {
-    throw new Error('No historical volatility data available');
-  }
-  
-  // Get the latest volatility value (last entry in the array)
-  const latestEntry = histData[histData.length - 1];
-  const latestVolatility = latestEntry[1]; // [timestamp, volatility]
-  
-  if (!latestVolatility || latestVolatility <= 0) {
-    throw new Error('Invalid volatility value in latest data');
   }
   
-  const vol = latestVolatility / 100; // Convert percentage to decimal
-  console.log(`${asset} Deribit historical volatility (latest): ${latestVolatility.toFixed(2)}%`);
-  return vol;
+  return quotes;
 }
 
 
 
-// Helper function to get contract size for each asset
+// Helper function to get contract size for each asset (see config/assets.json)
 function getContractSize(assetName) {
-  const contractSizes = {
-    'UBTC': 0.05,  // 0.05 BTC per contract (corrected from 0.5)
-    'UETH': 0.5,   // 0.5 ETH per contract
-    'WHYPE': 0.5,  // 0.5 HYPE per contract
-    'kHYPE': 0.5,  // 0.5 kHYPE per contract
-    'UPUMP': 0.5   // 0.5 UPUMP per contract
-  };
-  return contractSizes[assetName] || 0.5; // Default to 0.5
+  return getAsset(assetName)?.contractSize ?? 0.5; // Default to 0.5
 }
 
 // Helper function to calculate premium from APR - REAL DATA ONLY
-function calculatePremiumFromAPR(apr, spotPrice, timeToExpiry, assetName) {
-  // Premium = (APR * spotPrice * timeToExpiry) * contractSize
-  // UBTC: contractSize = 0.05 BTC
-  // UETH: contractSize = 0.5 ETH  
-  // Others: contractSize = 0.5 of underlying
+// collateralPrice is the spot for covered calls and the strike for cash-secured puts
+function calculatePremiumFromAPR(apr, collateralPrice, timeToExpiry, assetName) {
+  // Premium = (APR * collateralPrice * timeToExpiry) * contractSize
+  // e.g. UBTC: contractSize = 0.05 BTC, UETH: 0.5 ETH
   const contractSize = getContractSize(assetName);
-  return (apr * spotPrice * timeToExpiry) * contractSize;
+  return (apr * collateralPrice * timeToExpiry) * contractSize;
 }
 
-// Background refresh function - updates cache without blocking API responses
-async function refreshDataInBackground() {
-  if (isRefreshing) {
-    console.log('Background refresh already in progress, skipping...');
-    return;
+// Background refresh function - updates cache without blocking API responses.
+// Run by the scheduler, which backs off the assets reported as failed. Holds the
+// shared refresh lock, so instances never scrape side by side
+async function refreshDataInBackground(assets = RYSK_ASSETS) {
+  const cache = await quoteCache;
+  let lock;
+  try {
+    lock = await cache.acquireLock();
+  } catch (error) {
+    log.warn('Refresh lock unavailable - refreshing without it', { error });
+    lock = { release: async () => {} };
   }
-  
-  isRefreshing = true;
-  console.log('Starting background data refresh...');
+  if (!lock) {
+    log.info('Another instance is refreshing - waiting for its quotes', { assets });
+    return { busy: true };
+  }
+
+  log.info('Starting background data refresh', { assets });
   
   try {
-    const freshQuotes = await scrapeRyskV12Data();
+    const freshQuotes = await scrapeRyskV12Data(assets);
     if (freshQuotes.length > 0) {
-      cachedQuotes = freshQuotes;
-      lastScrapeTime = Date.now();
-      console.log(`Background refresh completed - cached ${freshQuotes.length} quotes`);
-    } else {
-      console.warn('Background refresh returned no data - keeping existing cache');
+      const failed = assets.filter(asset => scrapeProgress[asset]?.state === 'failed');
+      cacheQuotes(mergeQuotes(freshQuotes, assets), assets.filter(asset => !failed.includes(asset)));
+      log.info('Background refresh completed', { quotes: freshQuotes.length });
+      
+      // Don't hold up the refresh on slow webhooks
+      alertEngine
+        .then(engine => engine.evaluate(freshQuotes))
+        .catch(error => log.warn('Failed to evaluate alert rules', { error }));
+      return { failed };
     }
+    log.warn('Background refresh returned no data - keeping existing cache');
   } catch (error) {
-    console.error('Background refresh failed:', error.message);
+    log.error('Background refresh failed', { error });
     // Keep existing cache on error
   } finally {
-    isRefreshing = false;
+    await lock.release().catch(error => log.warn('Failed to release refresh lock', { error }));
   }
+  return { failed: assets };
 }
 
 
 
 app.get('/api/quotes', async (req, res) => {
-  console.log('API request received - checking cache...');
   
   // Return cached data immediately if available
   if (cachedQuotes && cachedQuotes.length > 0) {
-    console.log(`Returning cached data (${cachedQuotes.length} quotes, age: ${Math.round((Date.now() - lastScrapeTime) / 1000)}s)`);
+    log.debug('Returning cached quotes', { quotes: cachedQuotes.length, ageSeconds: Math.round((Date.now() - lastScrapeTime) / 1000) });
     res.json(cachedQuotes);
     
-    // Check if cache is stale and refresh in background if needed
-    const cacheAge = Date.now() - lastScrapeTime;
-    if (cacheAge > CACHE_DURATION) {
-      console.log('Cache is stale, triggering background refresh...');
-      // Don't await - let it run in background
-      refreshDataInBackground().catch(err => {
-        console.error('Background refresh error:', err.message);
-      });
-    }
+    // Without a schedule, a stale cache is refreshed in the background
+    refreshIfStale();
     return;
   }
   
-  // No cache available - do initial scrape (this will be slow)
-  console.log('No cached data available - performing initial scrape...');
+  // No cache available - wait for the initial scrape (this will be slow),
+  // joining the scheduled one when it is already running
+  log.info('No cached data available - waiting for initial scrape');
   try {
-    const quotes = await scrapeRyskV12Data();
+    await scheduler.refreshNow().done;
+    const quotes = cachedQuotes || [];
     
     if (quotes.length === 0) {
-      console.warn('No real data available - returning empty array');
+      log.warn('No real data available - returning empty array');
       return res.json({ 
         quotes: [], 
         message: 'No live data available - all assets missing critical market data',
@@ -905,14 +531,11 @@ app.get('/api/quotes', async (req, res) => {
       });
     }
     
-    // Cache the results
-    cachedQuotes = quotes;
-    lastScrapeTime = Date.now();
-    console.log(`Initial scrape completed - cached ${quotes.length} quotes`);
+    log.info('Initial scrape completed', { quotes: quotes.length });
     
     res.json(quotes);
   } catch (error) {
-    console.error('Error fetching live market data:', error.message);
+    log.error('Error fetching live market data', { error });
     
     // NO FALLBACK TO FAKE DATA - return error response
     res.status(503).json({
@@ -923,6 +546,159 @@ app.get('/api/quotes', async (req, res) => {
   }
 });
 
+// Export rows for /api/quotes.csv and /api/quotes.json. Query parameters:
+//   include      comma-separated extra columns (theo, greeks)
+//   model        pricing model for the theo columns (default: the server's)
+//   asset, expiry (unix seconds), type (call/put)  filters
+//   placeholders=false  drop placeholder rows
+function buildQuoteExport(query) {
+  const include = query.include === undefined ? [] : String(query.include).split(',').map(part => part.trim()).filter(Boolean);
+  const unknown = include.filter(part => !EXPORT_INCLUDES.includes(part));
+  if (unknown.length > 0) {
+    return { error: `Unknown include ${unknown.join(', ')} (available: ${EXPORT_INCLUDES.join(', ')})` };
+  }
+
+  const model = query.model ?? null;
+  if (model !== null) {
+    try {
+      getPricingModel(model);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  const { asset, type } = query;
+  const expiry = query.expiry !== undefined ? Number(query.expiry) : undefined;
+  if (asset !== undefined && !RYSK_ASSETS.includes(asset)) {
+    return { error: `asset must be one of: ${RYSK_ASSETS.join(', ')}` };
+  }
+  if (type !== undefined && !OPTION_TYPES.includes(type)) {
+    return { error: 'type must be call or put' };
+  }
+  if (expiry !== undefined && !Number.isInteger(expiry)) {
+    return { error: 'expiry must be a unix timestamp in seconds' };
+  }
+
+  const capturedAt = new Date(lastScrapeTime).toISOString();
+  const rows = cachedQuotes
+    .filter(quote => (
+      (asset === undefined || quote.asset === asset) &&
+      (expiry === undefined || quote.expiry === expiry) &&
+      (type === undefined || quote.optionType === type) &&
+      (query.placeholders !== 'false' || !quote.dataQuality?.placeholder)
+    ))
+    .map(quote => quoteToExportRow(quote, { include, model, capturedAt }));
+
+  // e.g. rysk-quotes-UBTC-2025-08-29-20250815T0930Z
+  const filename = [
+    'rysk-quotes',
+    asset,
+    expiry !== undefined && new Date(expiry * 1000).toISOString().slice(0, 10),
+    capturedAt.replace(/[-:]/g, '').slice(0, 13) + 'Z'
+  ].filter(Boolean).join('-');
+
+  return { rows, columns: exportColumns(include), include, model: model ?? DEFAULT_PRICING_MODEL, capturedAt, filename };
+}
+
+// CSV download of the quote table - always with the theoretical/excess APR columns
+app.get('/api/quotes.csv', (req, res) => {
+  if (!cachedQuotes || cachedQuotes.length === 0) {
+    return res.status(503).json({ error: 'No quotes cached yet', message: 'Request /api/quotes first or retry after the initial scrape' });
+  }
+
+  const include = req.query.include === undefined ? 'theo' : `theo,${req.query.include}`;
+  const { rows, columns, filename, error } = buildQuoteExport({ ...req.query, include });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.attachment(`${filename}.csv`);
+  res.type('text/csv').send(rowsToCsv(rows, columns));
+});
+
+// JSON download of the quote table with export metadata
+app.get('/api/quotes.json', (req, res) => {
+  if (!cachedQuotes || cachedQuotes.length === 0) {
+    return res.status(503).json({ error: 'No quotes cached yet', message: 'Request /api/quotes first or retry after the initial scrape' });
+  }
+
+  const { rows, columns, include, model, capturedAt, filename, error } = buildQuoteExport(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.attachment(`${filename}.json`);
+  res.json({
+    exportedAt: new Date().toISOString(),
+    capturedAt,
+    source: quoteSource.name,
+    model: include.includes('theo') ? model : null,
+    include,
+    columns,
+    count: rows.length,
+    quotes: rows
+  });
+});
+
+// Live updates over Server-Sent Events: a `status` event (refresh state and
+// per-asset scrape progress) and a `quotes` event (the full cached quote list)
+// on connect and whenever either changes
+app.get('/api/stream', (req, res) => {
+  const initialEvents = [{ event: 'status', data: refreshStatus() }];
+  if (cachedQuotes && cachedQuotes.length > 0) {
+    initialEvents.push({ event: 'quotes', data: { quotes: cachedQuotes, lastScrapeTime } });
+  }
+  eventStream.connect(req, res, initialEvents);
+  log.debug('Stream client connected', { clients: eventStream.clientCount() });
+  refreshIfStale();
+});
+
+// With REFRESH_INTERVAL=0 nothing is scheduled - refresh a stale cache when
+// quotes are requested or dashboards are watching instead
+function refreshIfStale() {
+  if (!cachedQuotes || scheduler.isRunning() || scheduler.nextRunAt() !== null) return;
+  if (Date.now() - lastScrapeTime <= CACHE_DURATION) return;
+  log.info('Cache is stale, triggering background refresh');
+  scheduler.refreshNow();
+}
+
+setInterval(() => {
+  if (eventStream.clientCount() > 0) refreshIfStale();
+}, 60 * 1000).unref();
+
+// Refresh state plus each asset's schedule: next run, last success and backoff,
+// and where the quote cache lives (redis or memory)
+async function refreshJobStatus() {
+  const { kind, instanceId } = await quoteCache;
+  return { ...refreshStatus(), schedule: scheduler.status(), quoteCache: { kind, instanceId } };
+}
+
+// Force a refresh now, ignoring the schedule and any backoff. `assets` (JSON body
+// array or comma-separated query) limits it to some assets; with ?wait=true the
+// response comes once the refresh has finished instead of straight away (202)
+app.post('/api/refresh', async (req, res) => {
+  const requested = req.body?.assets ?? req.query.assets;
+  const names = requested === undefined
+    ? RYSK_ASSETS
+    : (Array.isArray(requested) ? requested : String(requested).split(',')).map(asset => String(asset).trim()).filter(Boolean);
+  const assets = RYSK_ASSETS.filter(asset => names.includes(asset));
+  if (assets.length === 0 || names.some(asset => !RYSK_ASSETS.includes(asset))) {
+    return res.status(400).json({ error: `assets must be some of: ${RYSK_ASSETS.join(', ')}` });
+  }
+
+  const { started, queued, done } = scheduler.refreshNow(assets);
+  log.info('Refresh requested', { assets, started, queued });
+  if (req.query.wait === 'true') {
+    await done;
+    return res.json(await refreshJobStatus());
+  }
+  res.status(202).json({ started, queued, ...await refreshJobStatus() });
+});
+
+app.get('/api/refresh/status', async (req, res) => {
+  res.json(await refreshJobStatus());
+});
+
 // Debug endpoint to check cache status
 app.get('/api/cache-status', (req, res) => {
   res.json({
@@ -931,11 +707,116 @@ app.get('/api/cache-status', (req, res) => {
     lastScrapeTime: lastScrapeTime,
     cacheAge: lastScrapeTime ? Date.now() - lastScrapeTime : null,
     cacheAgeMinutes: lastScrapeTime ? Math.round((Date.now() - lastScrapeTime) / 60000) : null,
-    isRefreshing: isRefreshing,
+    isRefreshing: scheduler.isRunning(),
     cacheDuration: CACHE_DURATION
   });
 });
 
+// Liveness/readiness with per-dependency status. down (503) until quotes are
+// cached; degraded when a dependency is failing (a spot price source only when
+// an asset is short of sources), the cache is stale or any asset is showing
+// placeholder strikes
+app.get('/api/health', async (req, res) => {
+  const dependencies = upstreamHealth();
+  const { kind: store } = await quoteCache;
+  const cacheAge = lastScrapeTime ? Date.now() - lastScrapeTime : null;
+  const placeholderAssets = [...new Set((cachedQuotes || []).filter(quote => quote.dataQuality?.placeholder).map(quote => quote.asset))];
+  const hasQuotes = Boolean(cachedQuotes && cachedQuotes.length > 0);
+  const stale = cacheAge !== null && cacheAge > CACHE_DURATION;
+
+  let status = 'ok';
+  if (!hasQuotes) {
+    status = 'down';
+  } else if (stale || placeholderAssets.length > 0 || dependenciesDegraded(dependencies)) {
+    status = 'degraded';
+  }
+
+  res.status(status === 'down' ? 503 : 200).json({
+    status,
+    uptimeSeconds: Math.round(process.uptime()),
+    quoteSource: quoteSource.name,
+    cache: {
+      store,
+      quotes: cachedQuotes ? cachedQuotes.length : 0,
+      lastScrapeTime: lastScrapeTime ? new Date(lastScrapeTime).toISOString() : null,
+      ageSeconds: cacheAge !== null ? Math.round(cacheAge / 1000) : null,
+      stale,
+      placeholderAssets
+    },
+    isRefreshing: scrapeStartedAt !== null,
+    spot: spotHealth(),
+    dependencies
+  });
+});
+
+// Gauges read from live state when /metrics is scraped
+const cacheAgeGauge = metrics.gauge('rysk_cache_age_seconds', 'Age of the cached quotes');
+const cachedQuotesGauge = metrics.gauge('rysk_cached_quotes', 'Quotes in the cache');
+const refreshingGauge = metrics.gauge('rysk_refresh_in_progress', '1 while a quote source fetch is running');
+const streamClientsGauge = metrics.gauge('rysk_stream_clients', 'Open /api/stream connections');
+const upstreamUpGauge = metrics.gauge('rysk_upstream_up', 'Last call to the dependency succeeded (1) or failed (0)');
+const uptimeGauge = metrics.gauge('process_uptime_seconds', 'Process uptime');
+const memoryGauge = metrics.gauge('process_resident_memory_bytes', 'Resident memory size');
+
+metrics.onCollect(() => {
+  if (lastScrapeTime) cacheAgeGauge.set({}, (Date.now() - lastScrapeTime) / 1000);
+  cachedQuotesGauge.set({}, cachedQuotes ? cachedQuotes.length : 0);
+  refreshingGauge.set({}, scrapeStartedAt !== null ? 1 : 0);
+  streamClientsGauge.set({}, eventStream.clientCount());
+  const dependencies = upstreamHealth();
+  for (const upstream of UPSTREAMS) {
+    if (dependencies[upstream].status !== 'unknown') {
+      upstreamUpGauge.set({ upstream }, dependencies[upstream].status === 'ok' ? 1 : 0);
+    }
+  }
+  uptimeGauge.set({}, process.uptime());
+  memoryGauge.set({}, process.memoryUsage.rss());
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Asset registry (config/assets.json) - the dashboard reads display settings from here
+app.get('/api/assets', (req, res) => {
+  res.json(ASSETS);
+});
+
+// Pricing model and model parameters from a query string or batch body:
+// model, type (call/put), q (dividend/staking yield), f (forward), lambda/jumpMean/jumpVol
+// (jump-diffusion). Returns { error } for an unknown model or type or a non-numeric parameter
+function parseModelOptions(source = {}, defaults = {}) {
+  const model = source.model ?? defaults.model ?? DEFAULT_PRICING_MODEL;
+  try {
+    getPricingModel(model);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const optionType = source.type ?? defaults.optionType ?? 'call';
+  if (!OPTION_TYPES.includes(optionType)) {
+    return { error: `Option type must be one of: ${OPTION_TYPES.join(', ')}` };
+  }
+
+  const paramNames = { q: 'dividendYield', f: 'forward', lambda: 'jumpIntensity', jumpMean: 'jumpMean', jumpVol: 'jumpVolatility' };
+  const options = { ...defaults, model, optionType };
+  for (const [key, name] of Object.entries(paramNames)) {
+    if (source[key] === undefined || source[key] === null || source[key] === '') continue;
+    const value = Number(source[key]);
+    if (!Number.isFinite(value)) {
+      return { error: `Model parameter ${key} must be a number` };
+    }
+    options[name] = value;
+  }
+  return { options };
+}
+
+// Available pricing models for the UI selector
+app.get('/api/pricing_models', (req, res) => {
+  res.json(listPricingModels());
+});
+
 app.get('/api/theoretical_apr', (req, res) => {
   const { s, k, t, r, sigma } = req.query;
 
@@ -943,6 +824,11 @@ app.get('/api/theoretical_apr', (req, res) => {
     return res.status(400).json({ error: 'Missing required query parameters' });
   }
 
+  const { options, error: modelError } = parseModelOptions(req.query);
+  if (modelError) {
+    return res.status(400).json({ error: modelError });
+  }
+
   try {
     const spot = parseFloat(s);
     const strike = parseFloat(k);
@@ -950,31 +836,415 @@ app.get('/api/theoretical_apr', (req, res) => {
     const rate = parseFloat(r);
     const volatility = parseFloat(sigma);
 
-    // Calculate call option price using Black-Scholes
-    const callPrice = blackScholesCall(spot, strike, time, rate, volatility);
-
-    // As per the spec, for 0.5 contracts
-    const premiumTheo = callPrice * 0.5;
-    const rawReturn = premiumTheo / (0.5 * spot);
-    // The formula in the spec is APR_theo = raw return * 365 / days_to_expiry
-    // time (t) is already in years, so time * 365 = days_to_expiry
-    const aprTheo = rawReturn / time;
+    // Calculate call option price using the selected model (Black-Scholes by default)
+    const { theoreticalApr, optionPrice, premiumTheo, rawReturn, model, optionType } = calculateTheoreticalApr(spot, strike, time, rate, volatility, options);
 
     res.json({ 
-      theoreticalApr: aprTheo,
+      theoreticalApr,
+      model,
+      optionType,
       debug: {
-        callPrice,
+        optionPrice,
         premiumTheo,
         rawReturn,
-        inputs: { spot, strike, time, rate, volatility }
+        inputs: { spot, strike, time, rate, volatility, ...options }
       }
     });
   } catch (error) {
-    console.error('Black-Scholes calculation error:', error);
+    log.error('Theoretical pricing error', { error });
     res.status(500).json({ error: 'Failed to calculate theoretical APR', details: error.message });
   }
 });
 
+const BATCH_MAX_INPUTS = 1000;
+
+// Price many inputs in one call. Body is an array, or { model, type, inputs: [...] } to
+// price every input with one model/type, of { s, k, t, r, sigma, apr?, model?, type?, q?, f?, ... }
+// - the same fields as the GET endpoint. When apr is given the result also
+// carries excessApr and the Rysk implied vol. Invalid entries get an error
+// instead of failing the whole batch.
+app.post('/api/theoretical_apr/batch', (req, res) => {
+  const inputs = Array.isArray(req.body) ? req.body : req.body?.inputs;
+
+  if (!Array.isArray(inputs)) {
+    return res.status(400).json({ error: 'Request body must be an array of pricing inputs (or { inputs: [...] })' });
+  }
+  if (inputs.length > BATCH_MAX_INPUTS) {
+    return res.status(400).json({ error: `At most ${BATCH_MAX_INPUTS} inputs per batch` });
+  }
+
+  const { options: batchOptions, error: modelError } = parseModelOptions(Array.isArray(req.body) ? {} : req.body);
+  if (modelError) {
+    return res.status(400).json({ error: modelError });
+  }
+
+  const results = inputs.map((input, index) => {
+    const spot = Number(input?.s);
+    const strike = Number(input?.k);
+    const time = Number(input?.t);
+    const rate = Number(input?.r);
+    const volatility = Number(input?.sigma);
+    const hasApr = input?.apr !== undefined && input?.apr !== null;
+    const apr = Number(input?.apr);
+
+    if (![spot, strike, time, rate, volatility].every(Number.isFinite) || (hasApr && !Number.isFinite(apr))) {
+      return { index, error: 'Missing or non-numeric s, k, t, r, sigma (or apr)' };
+    }
+    if (spot <= 0 || strike <= 0 || time <= 0 || volatility <= 0) {
+      return { index, error: 's, k, t and sigma must be positive' };
+    }
+
+    const { options, error } = parseModelOptions(input, batchOptions);
+    if (error) {
+      return { index, error };
+    }
+
+    const { theoreticalApr, model, optionType } = calculateTheoreticalApr(spot, strike, time, rate, volatility, options);
+    if (!hasApr) {
+      return { index, model, optionType, theoreticalApr };
+    }
+    const { impliedVol } = calculateRyskImpliedVol(apr, spot, strike, time, rate, options.dividendYield ?? 0, optionType);
+    return { index, model, optionType, theoreticalApr, excessApr: apr - theoreticalApr, ryskImpliedVol: impliedVol };
+  });
+
+  res.json({ results });
+});
+
+// Implied volatility of a Rysk APR - the sigma that makes the Black-Scholes APR
+// match it. q is an optional dividend (staking) yield and type call (default) or
+// put. impliedVol is null (with a reason) when the APR is outside no-arbitrage bounds
+app.get('/api/implied_vol', (req, res) => {
+  const { s, k, t, r, apr, q = '0', type = 'call' } = req.query;
+
+  if (!s || !k || !t || !r || !apr) {
+    return res.status(400).json({ error: 'Missing required query parameters' });
+  }
+
+  const spot = parseFloat(s);
+  const strike = parseFloat(k);
+  const time = parseFloat(t);
+  const rate = parseFloat(r);
+  const ryskApr = parseFloat(apr);
+  const dividendYield = parseFloat(q);
+
+  if ([spot, strike, time, rate, ryskApr, dividendYield].some(Number.isNaN)) {
+    return res.status(400).json({ error: 'Query parameters must be numbers' });
+  }
+  if (!OPTION_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Option type must be one of: ${OPTION_TYPES.join(', ')}` });
+  }
+
+  try {
+    const { impliedVol, iterations, method, reason, targetPrice } = calculateRyskImpliedVol(ryskApr, spot, strike, time, rate, dividendYield, type);
+
+    res.json({
+      impliedVol,
+      reason,
+      debug: {
+        targetPrice,
+        iterations,
+        method,
+        inputs: { spot, strike, time, rate, dividendYield, optionType: type, apr: ryskApr }
+      }
+    });
+  } catch (error) {
+    log.error('Implied volatility calculation error', { error });
+    res.status(500).json({ error: 'Failed to calculate implied volatility', details: error.message });
+  }
+});
+
+// Rates in use: the config, each asset's latest futures basis curve and the carry
+// resolved for every expiry currently quoted. Optional ?asset= filter
+app.get('/api/rates', (req, res) => {
+  const { asset } = req.query;
+  const assetNames = [...new Set([
+    ...Object.keys(latestCarry.curves),
+    ...(cachedQuotes || []).map(quote => quote.asset)
+  ])].filter(name => !asset || name === asset);
+
+  if (asset && assetNames.length === 0) {
+    return res.status(404).json({ error: `No rates for asset ${asset}` });
+  }
+
+  const assets = assetNames.map(name => {
+    const carryCurve = latestCarry.curves[name] || null;
+    const expiries = [...new Set((cachedQuotes || []).filter(quote => quote.asset === name).map(quote => quote.expiry))].sort((a, b) => a - b);
+    return {
+      asset: name,
+      carryCurve,
+      expiries: expiries.map(expiry => ({
+        expiry,
+        ...resolveCarry(name, expiry, latestCarry.capturedAt, { carryCurve, config: ratesConfig })
+      }))
+    };
+  });
+
+  res.json({
+    baseRate: ratesConfig.baseRate,
+    dividendYields: ratesConfig.dividendYields,
+    overrides: ratesConfig.overrides,
+    capturedAt: latestCarry.capturedAt,
+    assets
+  });
+});
+
+// Spot prices behind the quotes: per asset the aggregated price, its stale and
+// disagreement flags and every source's price, timestamp and status (used,
+// stale or outlier). Optional ?asset= filter
+app.get('/api/spot', (req, res) => {
+  const { asset } = req.query;
+  const assets = Object.entries(latestSpot.assets)
+    .filter(([name]) => !asset || name === asset)
+    .map(([name, spot]) => ({ asset: name, ...spot }));
+
+  if (asset && assets.length === 0) {
+    return res.status(404).json({ error: `No spot price for asset ${asset}` });
+  }
+
+  res.json({ capturedAt: latestSpot.capturedAt, assets });
+});
+
+// Alert rules CRUD. POST/PUT bodies are rule fields (see api/alerts.js); PUT only
+// replaces the fields it sends
+app.get('/api/alerts', async (req, res) => {
+  const engine = await alertEngine;
+  res.json(engine.list());
+});
+
+app.get('/api/alerts/:id', async (req, res) => {
+  const engine = await alertEngine;
+  const rule = engine.get(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  res.json(rule);
+});
+
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const engine = await alertEngine;
+    const { rule, error } = await engine.create(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json(rule);
+  } catch (error) {
+    log.error('Error creating alert rule', { error });
+    res.status(500).json({ error: 'Failed to save alert rule', details: error.message });
+  }
+});
+
+app.put('/api/alerts/:id', async (req, res) => {
+  try {
+    const engine = await alertEngine;
+    const { rule, error, notFound } = await engine.update(req.params.id, req.body);
+    if (error) {
+      return res.status(notFound ? 404 : 400).json({ error });
+    }
+    res.json(rule);
+  } catch (error) {
+    log.error('Error updating alert rule', { error });
+    res.status(500).json({ error: 'Failed to save alert rule', details: error.message });
+  }
+});
+
+app.delete('/api/alerts/:id', async (req, res) => {
+  try {
+    const engine = await alertEngine;
+    if (!(await engine.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting alert rule', { error });
+    res.status(500).json({ error: 'Failed to delete alert rule', details: error.message });
+  }
+});
+
+// Send a test message to a rule's webhook, with up to three cached quotes that match it
+app.post('/api/alerts/:id/test', async (req, res) => {
+  const engine = await alertEngine;
+  const rule = engine.get(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  const result = await engine.test(rule.id, (cachedQuotes || []).filter(quote => matchesRule(rule, quote)));
+  res.status(result.delivered ? 200 : 502).json(result);
+});
+
+// Positions CRUD. POST/PUT bodies are position fields (see api/positions.js);
+// PUT only replaces the fields it sends
+app.get('/api/positions', async (req, res) => {
+  const book = await positionBook;
+  res.json(book.list());
+});
+
+app.get('/api/positions/:id', async (req, res) => {
+  const book = await positionBook;
+  const position = book.get(req.params.id);
+  if (!position) {
+    return res.status(404).json({ error: 'Position not found' });
+  }
+  res.json(position);
+});
+
+app.post('/api/positions', async (req, res) => {
+  try {
+    const book = await positionBook;
+    const { position, error } = await book.create(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json(position);
+  } catch (error) {
+    log.error('Error creating position', { error });
+    res.status(500).json({ error: 'Failed to save position', details: error.message });
+  }
+});
+
+app.put('/api/positions/:id', async (req, res) => {
+  try {
+    const book = await positionBook;
+    const { position, error, notFound } = await book.update(req.params.id, req.body);
+    if (error) {
+      return res.status(notFound ? 404 : 400).json({ error });
+    }
+    res.json(position);
+  } catch (error) {
+    log.error('Error updating position', { error });
+    res.status(500).json({ error: 'Failed to save position', details: error.message });
+  }
+});
+
+app.delete('/api/positions/:id', async (req, res) => {
+  try {
+    const book = await positionBook;
+    if (!(await book.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting position', { error });
+    res.status(500).json({ error: 'Failed to delete position', details: error.message });
+  }
+});
+
+// Every position marked to model: spot and volatility from the nearest cached
+// quote of its asset (see nearestQuote), carry as for a quote on its expiry.
+// Positions whose asset has no cached quote come back with mark null
+function buildPortfolio(positions, quotes, nowSeconds = Date.now() / 1000) {
+  const marked = positions.map(position => {
+    const quote = nearestQuote(position, quotes);
+    if (!quote || !quote.spotPrice) {
+      return { ...position, mark: null };
+    }
+    const { rate, dividendYield } = resolveCarry(position.asset, position.expiry, nowSeconds, { carryCurve: latestCarry.curves[position.asset] ?? null, config: ratesConfig });
+    const mark = markPosition(position, { spotPrice: quote.spotPrice, volatility: quote.volatility, rate, dividendYield }, nowSeconds);
+    return {
+      ...position,
+      mark: {
+        ...mark,
+        volatilitySource: quote.volatilitySource ?? null,
+        volatilityFrom: { strike: quote.strike, expiry: quote.expiry, optionType: quote.optionType || 'call' }
+      }
+    };
+  });
+  return { positions: marked, totals: summarizePortfolio(marked) };
+}
+
+// Portfolio view: marked positions with unrealized P&L, assignment risk and ITM
+// flags, plus totals overall and per asset. Optional ?asset= filter
+app.get('/api/portfolio', async (req, res) => {
+  const { asset } = req.query;
+  if (asset && !RYSK_ASSETS.includes(asset)) {
+    return res.status(400).json({ error: `asset must be one of: ${RYSK_ASSETS.join(', ')}` });
+  }
+
+  const book = await positionBook;
+  const positions = book.list().filter(position => !asset || position.asset === asset);
+  res.json({
+    asOf: new Date().toISOString(),
+    quotesAt: lastScrapeTime ? new Date(lastScrapeTime).toISOString() : null,
+    ...buildPortfolio(positions, cachedQuotes || [])
+  });
+});
+
+// Allocation suggestions: spread a USD budget per asset across the cached
+// strikes in whole contracts, maximizing premium or excess APR under a ceiling
+// on each strike's probability of assignment. Body is
+// { capital: { UBTC: 10000 }, maxAssignmentProbability, objective, optionType,
+// maxStrikeShare, maxDaysToExpiry } - see api/optimizer.js
+app.post('/api/optimize', (req, res) => {
+  const { request, error } = validateOptimizeRequest(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!cachedQuotes || cachedQuotes.length === 0) {
+    return res.status(503).json({ error: 'No quotes cached yet', message: 'Request /api/quotes first or retry after the initial scrape' });
+  }
+
+  res.json({
+    asOf: new Date().toISOString(),
+    quotesAt: lastScrapeTime ? new Date(lastScrapeTime).toISOString() : null,
+    ...optimizeAllocation(cachedQuotes, request, { contractSize: getContractSize })
+  });
+});
+
+// APR history for one asset (optionally one strike and call/put type) between from/to
+// (ISO dates or ms timestamps, default: the last 7 days), grouped into per-expiry series
+app.get('/api/history', async (req, res) => {
+  const { asset, strike, type, from, to } = req.query;
+
+  const parseTime = (value, fallback) => {
+    if (value === undefined) return fallback;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  };
+
+  const toTime = parseTime(to, Date.now());
+  const fromTime = parseTime(from, (toTime ?? Date.now()) - 7 * 24 * 60 * 60 * 1000);
+  const strikeValue = strike !== undefined ? parseFloat(strike) : undefined;
+
+  if (fromTime === null || toTime === null || Number.isNaN(strikeValue) || (type !== undefined && !OPTION_TYPES.includes(type))) {
+    return res.status(400).json({ error: 'Invalid query parameters', message: 'from/to must be ISO dates or ms timestamps, strike a number and type call or put' });
+  }
+
+  try {
+    const store = await historyStore;
+    const points = await store.query({ asset, strike: strikeValue, optionType: type, from: fromTime, to: toTime });
+    res.json({
+      asset: asset || null,
+      strike: strikeValue ?? null,
+      optionType: type || null,
+      from: new Date(fromTime).toISOString(),
+      to: new Date(toTime).toISOString(),
+      storage: store.kind,
+      series: groupHistorySeries(points)
+    });
+  } catch (error) {
+    log.error('Error reading APR history', { error });
+    res.status(500).json({ error: 'Failed to read APR history', details: error.message });
+  }
+});
+
 app.listen(port, () => {
-  console.log(`Server listening at http://localhost:${port}`);
-});
\ No newline at end of file
+  log.info(`Server listening at http://localhost:${port}`, { source: quoteSource.name });
+  if (quoteSource.start) {
+    quoteSource.start();
+  }
+  // Scheduled scrapes wait for the shared cache, which may still be fresh
+  quoteCacheRestored.then(() => scheduler.start());
+});
+
+// Let the quote source release what it holds (the puppeteer source's browser)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    log.info('Shutting down', { signal });
+    try {
+      await quoteSource.close?.();
+    } catch (error) {
+      log.warn('Error closing quote source', { error });
+    }
+    process.exit(0);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Leveled logging for the backend. Each module gets a scoped logger:
+//   const log = createLogger('scrape');
+//   log.info('Cached quotes', { quotes: 32 });
+// Levels, lowest first: debug, info, warn, error (silent turns logging off).
+//   LOG_LEVEL   minimum level written (default info)
+//   DEBUG=true  shorthand for LOG_LEVEL=debug - per-strike and browser detail
+//   LOG_FORMAT  json for one JSON object per line (log shippers), text otherwise
+// warn and error go to stderr, the rest to stdout.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+export function resolveLogLevel(env = process.env) {
+  const level = String(env.LOG_LEVEL || '').toLowerCase();
+  if (level in LEVELS) return level;
+  if (level) console.warn(`Ignoring invalid LOG_LEVEL "${env.LOG_LEVEL}" (use ${Object.keys(LEVELS).join(', ')})`);
+  return env.DEBUG === 'true' || env.DEBUG === '1' ? 'debug' : 'info';
+}
+
+const threshold = LEVELS[resolveLogLevel()];
+const json = process.env.LOG_FORMAT === 'json';
+
+// key=value pairs for the text format; strings with spaces are quoted
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' && !/[\s"=]/.test(value) ? value : JSON.stringify(value)}`)
+    .join(' ');
+}
+
+function write(level, scope, message, fields) {
+  if (LEVELS[level] < threshold) return;
+  // Errors are logged by message - stacks only at debug level
+  if (fields.error instanceof Error) {
+    fields = { ...fields, error: fields.error.message, ...(threshold <= LEVELS.debug && { stack: fields.error.stack }) };
+  }
+
+  const time = new Date().toISOString();
+  const line = json
+    ? JSON.stringify({ time, level, scope, message, ...fields })
+    : `${time} ${level.toUpperCase().padEnd(5)} [${scope}] ${message}${Object.keys(fields).length > 0 ? ` ${formatFields(fields)}` : ''}`;
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+export function createLogger(scope) {
+  return {
+    debug: (message, fields = {}) => write('debug', scope, message, fields),
+    info: (message, fields = {}) => write('info', scope, message, fields),
+    warn: (message, fields = {}) => write('warn', scope, message, fields),
+    error: (message, fields = {}) => write('error', scope, message, fields),
+    isDebugEnabled: () => threshold <= LEVELS.debug
+  };
+}
@@ -0,0 +1,271 @@
+import fetch from 'node-fetch';
+import { buildVolSurface } from './volSurface.js';
+import { buildCarryCurve } from './rates.js';
+import { RYSK_ASSETS, deribitCurrencies } from './assets.js';
+import { createLogger } from './logger.js';
+import { recordUpstream } from './health.js';
+import { getSpotPrices } from './prices/index.js';
+import { getPriceHistory } from './prices/history.js';
+import { estimateRealizedVol, loadRealizedVolConfig, realizedVolSettings } from './realizedVol.js';
+
+const log = createLogger('market');
+
+// Market data feeds (spot prices and volatilities) shared by the live quote sources.
+// Every feed takes an optional { fetchImpl } so tests can stub the HTTP calls,
+// and records its outcome for /api/health and /metrics.
+
+// Rysk assets with Deribit option and futures markets (see api/assets.js)
+const DERIBIT_CURRENCIES = deribitCurrencies();
+
+const realizedVolConfig = loadRealizedVolConfig();
+
+// Spot price (with its per-source detail in spot), volatility, Deribit IV
+// surface and futures basis curve per Rysk asset. volatility is the asset-level fallback (null without Deribit coverage);
+// realizedVol is the estimate used instead without Deribit coverage;
+// volSurface/carryCurve are null when the chain or futures could not be fetched;
+// options and futures that expired before capturedAt (default: now) are dropped.
+export async function getAssetMarketData({ fetchImpl = fetch, capturedAt } = {}) {
+  // The feeds are independent - fetch them side by side
+  const [spotPrices, volatilities, realizedVols, volSurfaces, carryCurves] = await Promise.all([
+    getLiveSpotPrices({ fetchImpl }),
+    getLiveVolatilities({ fetchImpl }),
+    getLiveRealizedVols({ fetchImpl }),
+    getLiveVolSurfaces({ fetchImpl, capturedAt }),
+    getLiveCarryCurves({ fetchImpl, capturedAt })
+  ]);
+
+  return RYSK_ASSETS.map(name => ({
+    name,
+    spotPrice: spotPrices[name]?.price ?? null,
+    spot: spotPrices[name] ?? null,
+    volatility: volatilities[DERIBIT_CURRENCIES[name]] ?? null,
+    realizedVol: realizedVols[name] ?? null,
+    volSurface: volSurfaces[name] ?? null,
+    carryCurve: carryCurves[name] ?? null
+  }));
+}
+
+// Spot prices from every configured source (CoinGecko, Hyperliquid, Binance,
+// Pyth - see api/prices), median-aggregated per asset:
+// { [asset]: { price, stale, disagreement, sources } }
+export async function getLiveSpotPrices({ fetchImpl = fetch } = {}) {
+  return getSpotPrices({ fetchImpl });
+}
+
+// Helper function to get live volatilities from Deribit - REAL DATA ONLY
+export async function getLiveVolatilities({ fetchImpl = fetch } = {}) {
+  try {
+    log.debug('Fetching live volatilities from Deribit');
+    
+    // One volatility per Deribit currency (BTC, ETH) - NO FALLBACK
+    const volatilities = {};
+    for (const [asset, currency] of Object.entries(DERIBIT_CURRENCIES)) {
+      if (currency in volatilities) continue;
+      try {
+        volatilities[currency] = await getDeribitVolatility(asset, { fetchImpl });
+        recordUpstream('deribit', 'historical_volatility');
+        log.info('Fetched Deribit historical volatility', { currency, volatility: volatilities[currency] });
+      } catch (error) {
+        recordUpstream('deribit', 'historical_volatility', error);
+        log.warn('Failed to get volatility from Deribit', { currency, error });
+        volatilities[currency] = null; // No fallback - use null
+      }
+    }
+    
+    return volatilities;
+    
+  } catch (error) {
+    log.error('Error fetching live volatilities', { error });
+    return Object.fromEntries(Object.values(DERIBIT_CURRENCIES).map(currency => [currency, null])); // No fallback values
+  }
+}
+
+// Realized vol for every Rysk asset without a Deribit market, from its daily
+// price history with the configured estimator and window (see api/realizedVol.js).
+// null when there is too little history - the asset is then priced at its default
+export async function getLiveRealizedVols({ fetchImpl = fetch, config = realizedVolConfig } = {}) {
+  const estimates = {};
+
+  for (const asset of RYSK_ASSETS.filter(name => !DERIBIT_CURRENCIES[name])) {
+    const settings = realizedVolSettings(asset, config);
+    // One extra day: returns need the close before the window
+    const history = await getPriceHistory(asset, { fetchImpl, days: settings.window + 1 });
+    const estimate = history && estimateRealizedVol(history.bars, settings);
+    if (!estimate) {
+      log.warn('No realized volatility - too little price history', { asset, days: history ? history.bars.length : 0, window: settings.window });
+      estimates[asset] = null;
+      continue;
+    }
+    estimates[asset] = { ...estimate, source: history.source };
+    log.info('Estimated realized volatility', { asset, volatility: Number(estimate.volatility.toFixed(4)), estimator: estimate.estimator, window: estimate.window, source: history.source });
+  }
+
+  return estimates;
+}
+
+// Helper function to get historical volatility from Deribit - REAL DATA ONLY
+// Single realized-vol number per currency; only used where no IV surface is available
+export async function getDeribitVolatility(asset, { fetchImpl = fetch } = {}) {
+  // Map Rysk assets to Deribit instruments
+  const deribitAsset = DERIBIT_CURRENCIES[asset];
+  if (!deribitAsset) {
+    throw new Error(`No Deribit mapping for ${asset}`);
+  }
+  
+  log.debug('Fetching Deribit historical volatility', { currency: deribitAsset });
+  
+  // Use JSON-RPC format to get historical volatility (latest value)
+  const response = await fetchImpl('https://www.deribit.com/api/v2/public/get_historical_volatility', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'public/get_historical_volatility',
+      params: {
+        currency: deribitAsset
+      }
+    }),
+    timeout: 10000
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Deribit API error: ${response.status} ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  
+  if (data.error) {
+    throw new Error(`Deribit API error: ${data.error.message}`);
+  }
+  
+  const histData = data.result;
+  if (!histData || !Array.isArray(histData) || histData.length === 0) {
+    throw new Error('No historical volatility data available');
+  }
+  
+  // Get the latest volatility value (last entry in the array)
+  const latestEntry = histData[histData.length - 1];
+  const latestVolatility = latestEntry[1]; // [timestamp, volatility]
+  
+  if (!latestVolatility || latestVolatility <= 0) {
+    throw new Error('Invalid volatility value in latest data');
+  }
+  
+  const vol = latestVolatility / 100; // Convert percentage to decimal
+  return vol;
+}
+
+// Deribit IV surfaces for every Rysk asset with an option market - REAL DATA ONLY
+export async function getLiveVolSurfaces({ fetchImpl = fetch, capturedAt } = {}) {
+  const surfaces = {};
+
+  for (const asset of Object.keys(DERIBIT_CURRENCIES)) {
+    try {
+      surfaces[asset] = await getDeribitVolSurface(asset, { fetchImpl, capturedAt });
+      recordUpstream('deribit', 'vol_surface');
+      const points = surfaces[asset].slices.reduce((total, slice) => total + slice.points.length, 0);
+      log.info('Fetched Deribit IV surface', { asset, expiries: surfaces[asset].slices.length, strikes: points });
+    } catch (error) {
+      recordUpstream('deribit', 'vol_surface', error);
+      log.warn('Failed to get IV surface from Deribit', { asset, error });
+      surfaces[asset] = null; // Falls back to the asset-level volatility
+    }
+  }
+
+  return surfaces;
+}
+
+// Helper function to build an implied volatility surface from the Deribit option
+// chain (mark IV per instrument) - see api/volSurface.js. Options that expired
+// before capturedAt (default: now) are dropped
+export async function getDeribitVolSurface(asset, { fetchImpl = fetch, capturedAt = new Date().toISOString() } = {}) {
+  const currency = DERIBIT_CURRENCIES[asset];
+  if (!currency) {
+    throw new Error(`No Deribit mapping for ${asset}`);
+  }
+
+  log.debug('Fetching Deribit option chain', { currency });
+  const chain = await getDeribitBookSummary(currency, 'option', { fetchImpl });
+
+  const surface = buildVolSurface(currency, chain, { capturedAt });
+  if (surface.slices.length === 0) {
+    throw new Error('Option chain has no usable mark IVs');
+  }
+  return surface;
+}
+
+// Deribit futures basis curves for every Rysk asset with a futures market - REAL DATA ONLY
+export async function getLiveCarryCurves({ fetchImpl = fetch, capturedAt } = {}) {
+  const curves = {};
+
+  for (const asset of Object.keys(DERIBIT_CURRENCIES)) {
+    try {
+      curves[asset] = await getDeribitCarryCurve(asset, { fetchImpl, capturedAt });
+      recordUpstream('deribit', 'futures_basis');
+      log.info('Fetched Deribit basis curve', { asset, rates: curves[asset].points.map(point => Number(point.rate.toFixed(4))) });
+    } catch (error) {
+      recordUpstream('deribit', 'futures_basis', error);
+      log.warn('Failed to get basis curve from Deribit', { asset, error });
+      curves[asset] = null; // Falls back to the base rate
+    }
+  }
+
+  return curves;
+}
+
+// Helper function to build an annualized futures basis curve from the Deribit
+// dated futures - see api/rates.js
+export async function getDeribitCarryCurve(asset, { fetchImpl = fetch, capturedAt = new Date().toISOString() } = {}) {
+  const currency = DERIBIT_CURRENCIES[asset];
+  if (!currency) {
+    throw new Error(`No Deribit mapping for ${asset}`);
+  }
+
+  log.debug('Fetching Deribit futures', { currency });
+  const futures = await getDeribitBookSummary(currency, 'future', { fetchImpl });
+
+  const curve = buildCarryCurve(currency, futures, { capturedAt });
+  if (curve.points.length === 0) {
+    throw new Error('No dated futures with a usable basis');
+  }
+  return curve;
+}
+
+// public/get_book_summary_by_currency for one currency and instrument kind
+async function getDeribitBookSummary(currency, kind, { fetchImpl = fetch } = {}) {
+  const response = await fetchImpl('https://www.deribit.com/api/v2/public/get_book_summary_by_currency', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'public/get_book_summary_by_currency',
+      params: {
+        currency,
+        kind
+      }
+    }),
+    timeout: 10000
+  });
+
+  if (!response.ok) {
+    throw new Error(`Deribit API error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  if (data.error) {
+    throw new Error(`Deribit API error: ${data.error.message}`);
+  }
+
+  if (!Array.isArray(data.result) || data.result.length === 0) {
+    throw new Error(`No ${kind} data available`);
+  }
+
+  return data.result;
+}
@@ -0,0 +1,114 @@
+// Minimal Prometheus registry - counters, gauges and histograms rendered in the
+// text exposition format served at /metrics
+export function createMetricsRegistry() {
+  const families = [];
+  const collectors = [];
+
+  const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+  };
+  const formatValue = (value) => (Number.isFinite(value) ? String(value) : Number.isNaN(value) ? 'NaN' : value > 0 ? '+Inf' : '-Inf');
+
+  // One metric name; series maps label sets to { labels, value } (histograms: { labels, counts, sum, count })
+  const family = (type, name, help, extra = {}) => {
+    const entry = { type, name, help, series: new Map(), ...extra };
+    families.push(entry);
+    return entry;
+  };
+
+  const renderFamily = ({ type, name, help, series, bounds }) => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const entry of series.values()) {
+      if (type !== 'histogram') {
+        lines.push(`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      bounds.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines;
+  };
+
+  return {
+    counter: (name, help) => {
+      const { series } = family('counter', name, help);
+      return {
+        inc: (labels = {}, value = 1) => {
+          const key = labelKey(labels);
+          const entry = series.get(key) || { labels, value: 0 };
+          entry.value += value;
+          series.set(key, entry);
+        }
+      };
+    },
+
+    gauge: (name, help) => {
+      const { series } = family('gauge', name, help);
+      return {
+        set: (labels, value) => series.set(labelKey(labels), { labels, value }),
+        reset: () => series.clear()
+      };
+    },
+
+    // Cumulative buckets, upper bounds inclusive (le)
+    histogram: (name, help, buckets) => {
+      const { series, bounds } = family('histogram', name, help, { bounds: [...buckets].sort((a, b) => a - b) });
+      return {
+        observe: (labels, value) => {
+          const key = labelKey(labels);
+          const entry = series.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+          series.set(key, entry);
+        }
+      };
+    },
+
+    // Run before every render, e.g. to set gauges read from live state
+    onCollect: (collector) => collectors.push(collector),
+
+    render: () => {
+      for (const collector of collectors) collector();
+      return families.flatMap(renderFamily).join('\n') + '\n';
+    }
+  };
+}
+
+// The backend's metrics, shared by the modules that record them
+export const metrics = createMetricsRegistry();
+
+export const scrapeDuration = metrics.histogram(
+  'rysk_scrape_duration_seconds',
+  'Quote source snapshot fetch duration by source and outcome (ok, empty, error)',
+  [1, 5, 10, 30, 60, 120, 300]
+);
+export const strikesPerAsset = metrics.gauge(
+  'rysk_strikes',
+  'Real Rysk strikes in the cached quotes by asset and option type (placeholders excluded)'
+);
+export const placeholderStrikes = metrics.gauge(
+  'rysk_placeholder_strikes',
+  'Placeholder strikes in the cached quotes by asset'
+);
+export const placeholderFallbacks = metrics.counter(
+  'rysk_placeholder_fallbacks_total',
+  'Snapshots in which an asset had no Rysk strikes and fell back to placeholders'
+);
+export const upstreamRequests = metrics.counter(
+  'rysk_upstream_requests_total',
+  'Upstream calls by dependency (rysk, deribit and the spot price sources), operation and outcome'
+);
+export const upstreamErrors = metrics.counter(
+  'rysk_upstream_errors_total',
+  'Failed upstream calls by dependency and operation'
+);
@@ -0,0 +1,193 @@
+import { RYSK_ASSETS } from './assets.js';
+import { OPTION_TYPES, collateralPerUnit } from './pricing.js';
+
+// Allocation optimizer: spreads a capital budget per asset across the currently
+// listed strikes, in whole Rysk contracts, favouring one objective:
+//   premium     premium received per year on the collateral (the APR)
+//   excess_apr  premium above the model value per year (the excess APR) -
+//               strikes quoted at or below fair value are left out
+// subject to a ceiling on each strike's probability of assignment (P(ITM)) and
+// on the share of an asset's capital any one strike may take. Both objectives
+// are annualized so expiries compare fairly: a 7-day strike paying 30% a year
+// ranks above a 30-day strike paying 20%, even though the 30-day one pays more
+// in total. expectedIncome / expectedExcess are still in USD over each option's
+// life.
+
+export const OPTIMIZE_OBJECTIVES = ['premium', 'excess_apr'];
+
+const DEFAULT_OBJECTIVE = 'premium';
+const DEFAULT_MAX_ASSIGNMENT_PROBABILITY = 0.25;
+const DEFAULT_MAX_STRIKE_SHARE = 0.5; // At most half an asset's capital on one strike
+const LOT_EPSILON = 1e-9; // Floating point slack when counting whole lots
+
+// Normalize and validate an optimize request body:
+//   { capital: { UBTC: 10000, ... }, maxAssignmentProbability, objective,
+//     optionType, maxStrikeShare, maxDaysToExpiry }
+// Returns { request } or { error }
+export function validateOptimizeRequest(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Request body must be an object' };
+  }
+
+  const capitalInput = input.capital;
+  if (!capitalInput || typeof capitalInput !== 'object' || Array.isArray(capitalInput) || Object.keys(capitalInput).length === 0) {
+    return { error: 'capital must map at least one asset to a USD amount, e.g. { "UBTC": 10000 }' };
+  }
+  const capital = {};
+  for (const [asset, amount] of Object.entries(capitalInput)) {
+    if (!RYSK_ASSETS.includes(asset)) {
+      return { error: `capital assets must be among: ${RYSK_ASSETS.join(', ')}` };
+    }
+    const value = Number(amount);
+    if (!(value > 0) || !Number.isFinite(value)) {
+      return { error: `capital for ${asset} must be a positive USD amount` };
+    }
+    capital[asset] = value;
+  }
+
+  const request = {
+    capital,
+    objective: input.objective ?? DEFAULT_OBJECTIVE,
+    optionType: input.optionType ?? null,
+    maxAssignmentProbability: DEFAULT_MAX_ASSIGNMENT_PROBABILITY,
+    maxStrikeShare: DEFAULT_MAX_STRIKE_SHARE,
+    maxDaysToExpiry: null
+  };
+
+  if (!OPTIMIZE_OBJECTIVES.includes(request.objective)) {
+    return { error: `objective must be one of: ${OPTIMIZE_OBJECTIVES.join(', ')}` };
+  }
+  if (request.optionType !== null && !OPTION_TYPES.includes(request.optionType)) {
+    return { error: 'optionType must be call or put (omit for both)' };
+  }
+
+  const fractions = { maxAssignmentProbability: 'a probability between 0 and 1', maxStrikeShare: 'a fraction between 0 and 1' };
+  for (const [field, description] of Object.entries(fractions)) {
+    if (input[field] === undefined || input[field] === null) continue;
+    const value = Number(input[field]);
+    if (!(value > 0 && value <= 1)) {
+      return { error: `${field} must be ${description}` };
+    }
+    request[field] = value;
+  }
+
+  if (input.maxDaysToExpiry !== undefined && input.maxDaysToExpiry !== null) {
+    const days = Number(input.maxDaysToExpiry);
+    if (!(days > 0)) {
+      return { error: 'maxDaysToExpiry must be a positive number of days' };
+    }
+    request.maxDaysToExpiry = days;
+  }
+
+  return { request };
+}
+
+// The quotes of one asset that may be sold under the request, each priced per
+// contract: collateral locked, premium received, the objective's value and its
+// annualized value per dollar of collateral
+function candidateLots(quotes, asset, request, contractSize) {
+  const size = contractSize(asset);
+  const candidates = [];
+
+  for (const quote of quotes) {
+    const optionType = quote.optionType || 'call';
+    if (quote.asset !== asset || quote.dataQuality?.placeholder) continue;
+    if (!(quote.premium > 0) || !(quote.timeToExpiry > 0) || !(quote.spotPrice > 0)) continue;
+    if (request.optionType && optionType !== request.optionType) continue;
+    if (request.maxDaysToExpiry && quote.timeToExpiry * 365 > request.maxDaysToExpiry) continue;
+
+    const probabilityItm = quote.greeks?.probabilityItm;
+    if (!Number.isFinite(probabilityItm) || probabilityItm > request.maxAssignmentProbability) continue;
+
+    const collateral = collateralPerUnit(optionType, quote.spotPrice, quote.strike) * size;
+    const excessValue = Number.isFinite(quote.excessApr) ? quote.excessApr * collateral * quote.timeToExpiry : null;
+    const value = request.objective === 'excess_apr' ? excessValue : quote.premium;
+    if (!(value > 0) || !(collateral > 0)) continue;
+
+    const density = value / collateral / quote.timeToExpiry;
+    candidates.push({ quote, optionType, size, collateral, premium: quote.premium, excessValue, probabilityItm, value, density });
+  }
+
+  // Best value per dollar per year first; the safer strike wins a tie
+  return candidates.sort((a, b) => b.density - a.density || a.probabilityItm - b.probabilityItm);
+}
+
+// Risk and income over allocations, weighted by the collateral behind each
+function summarizeAllocations(allocations, capital) {
+  const sum = (field) => allocations.reduce((total, allocation) => total + allocation[field], 0);
+  const allocated = sum('collateral');
+  const weighted = (field) => (allocated > 0
+    ? allocations.reduce((total, allocation) => total + allocation[field] * allocation.collateral, 0) / allocated
+    : null);
+
+  return {
+    capital,
+    allocated,
+    unallocated: Math.max(capital - allocated, 0),
+    contracts: sum('contracts'),
+    expectedIncome: sum('premium'),
+    expectedExcess: allocations.every(allocation => allocation.excessValue !== null) ? sum('excessValue') : null,
+    weightedApr: weighted('apr'),
+    weightedProbabilityItm: weighted('probabilityItm'),
+    maxProbabilityItm: allocations.length > 0 ? Math.max(...allocations.map(allocation => allocation.probabilityItm)) : null,
+    // Collateral expected to end up delivered (calls) or spent on the underlying (puts)
+    expectedAssignedCollateral: allocations.reduce((total, allocation) => total + allocation.probabilityItm * allocation.collateral, 0)
+  };
+}
+
+// Allocate each asset's capital over the cached quotes. contractSize(asset) is
+// the Rysk lot size in units of the underlying. Greedy by annualized objective
+// value per dollar of collateral: as many whole lots of the best strike as its
+// share cap and the remaining capital allow, then the next. A heuristic, not an
+// integer optimum - whole lots and share caps can leave capital that another
+// mix would have used (reported as unallocated).
+export function optimizeAllocation(quotes, request, { contractSize }) {
+  const assets = Object.entries(request.capital).map(([asset, capital]) => {
+    const candidates = candidateLots(quotes, asset, request, contractSize);
+    const strikeBudget = capital * request.maxStrikeShare;
+    let remaining = capital;
+    const allocations = [];
+
+    for (const candidate of candidates) {
+      const lots = Math.floor(Math.min(strikeBudget, remaining) / candidate.collateral + LOT_EPSILON);
+      if (lots <= 0) continue;
+      const { quote } = candidate;
+      remaining -= lots * candidate.collateral;
+      allocations.push({
+        strike: quote.strike,
+        expiry: quote.expiry,
+        optionType: candidate.optionType,
+        contracts: lots,
+        size: lots * candidate.size,
+        collateral: lots * candidate.collateral,
+        premium: lots * candidate.premium,
+        excessValue: candidate.excessValue === null ? null : lots * candidate.excessValue,
+        apr: quote.apr,
+        theoreticalApr: quote.theoreticalApr ?? null,
+        excessApr: quote.excessApr ?? null,
+        probabilityItm: candidate.probabilityItm,
+        // Delta of the options sold, in units of the underlying
+        delta: Number.isFinite(quote.greeks?.delta) ? -quote.greeks.delta * lots * candidate.size : null
+      });
+    }
+
+    return {
+      asset,
+      contractSize: contractSize(asset),
+      candidates: candidates.length,
+      ...summarizeAllocations(allocations, capital),
+      delta: allocations.reduce((total, allocation) => total + (allocation.delta ?? 0), 0),
+      allocations
+    };
+  });
+
+  const allAllocations = assets.flatMap(asset => asset.allocations);
+  const totalCapital = assets.reduce((total, asset) => total + asset.capital, 0);
+  return {
+    objective: request.objective,
+    maxAssignmentProbability: request.maxAssignmentProbability,
+    maxStrikeShare: request.maxStrikeShare,
+    assets,
+    totals: summarizeAllocations(allAllocations, totalCapital)
+  };
+}
@@ -0,0 +1,211 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { RYSK_ASSETS } from './assets.js';
+import { parseExpiry, yearsToExpiry } from './expiry.js';
+import { OPTION_TYPES, blackScholesCall, blackScholesPut, blackScholesGreeks, collateralPerUnit } from './pricing.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('positions');
+
+const DEFAULT_POSITIONS_FILE = 'data/positions.json';
+
+// Rysk positions we hold - options we sold, recorded by hand:
+//   { id, asset, optionType, strike, expiry, size, premium, openedAt, notes }
+// expiry is unix seconds, size is in units of the underlying (0.5 for one UETH
+// contract) and premium the total USD received for the position. Positions are
+// kept in a local JSON file (POSITIONS_FILE, default data/positions.json).
+export async function createPositionBook({ filePath = process.env.POSITIONS_FILE || DEFAULT_POSITIONS_FILE } = {}) {
+  const positions = await loadPositions(filePath);
+  log.info('Positions loaded', { filePath, positions: positions.length });
+
+  const save = async () => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, JSON.stringify(positions, null, 2) + '\n');
+  };
+
+  return {
+    list: () => positions,
+    get: (id) => positions.find(position => position.id === id) || null,
+
+    create: async (input) => {
+      const { position, error } = validatePosition(input);
+      if (error) return { error };
+      position.id = randomUUID();
+      position.createdAt = new Date().toISOString();
+      positions.push(position);
+      await save();
+      return { position };
+    },
+
+    // Fields given replace the position's; everything else is kept
+    update: async (id, input) => {
+      const index = positions.findIndex(position => position.id === id);
+      if (index === -1) return { error: 'Position not found', notFound: true };
+      const { position, error } = validatePosition({ ...positions[index], ...input });
+      if (error) return { error };
+      positions[index] = { ...position, id, createdAt: positions[index].createdAt, updatedAt: new Date().toISOString() };
+      await save();
+      return { position: positions[index] };
+    },
+
+    remove: async (id) => {
+      const index = positions.findIndex(position => position.id === id);
+      if (index === -1) return false;
+      positions.splice(index, 1);
+      await save();
+      return true;
+    }
+  };
+}
+
+// Normalize and validate a position from a request body. Returns { position } or { error }
+export function validatePosition(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Position must be an object' };
+  }
+
+  const position = {
+    asset: input.asset ? String(input.asset) : null,
+    optionType: input.optionType ?? 'call'
+  };
+
+  if (!RYSK_ASSETS.includes(position.asset)) {
+    return { error: `asset must be one of: ${RYSK_ASSETS.join(', ')}` };
+  }
+  if (!OPTION_TYPES.includes(position.optionType)) {
+    return { error: 'optionType must be call or put' };
+  }
+
+  for (const field of ['strike', 'size']) {
+    const value = Number(input[field]);
+    if (!(value > 0)) {
+      return { error: `${field} must be a positive number` };
+    }
+    position[field] = value;
+  }
+
+  position.premium = Number(input.premium);
+  if (input.premium === undefined || input.premium === null || input.premium === '' || !(position.premium >= 0)) {
+    return { error: 'premium must be the USD premium received (0 or more)' };
+  }
+
+  position.expiry = parseExpiry(input.expiry);
+  if (position.expiry === null) {
+    return { error: 'expiry must be a date (2025-08-29) or unix timestamp' };
+  }
+
+  const openedAt = input.openedAt ? new Date(/^\d+$/.test(String(input.openedAt)) ? Number(input.openedAt) : input.openedAt) : new Date();
+  if (Number.isNaN(openedAt.getTime())) {
+    return { error: 'openedAt must be a date' };
+  }
+  if (openedAt.getTime() / 1000 >= position.expiry) {
+    return { error: 'openedAt must be before expiry' };
+  }
+  position.openedAt = openedAt.toISOString();
+  position.notes = input.notes ? String(input.notes) : null;
+
+  return { position };
+}
+
+// The cached quote to take a position's volatility from: the same asset, nearest
+// expiry, then nearest strike - its own strike when Rysk still lists it
+export function nearestQuote(position, quotes) {
+  const distance = (quote) => [
+    Math.abs(quote.expiry - position.expiry),
+    Math.abs(Math.log(quote.strike / position.strike)),
+    (quote.optionType || 'call') === position.optionType ? 0 : 1
+  ];
+  const closer = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+  let best = null;
+  for (const quote of quotes) {
+    if (quote.asset !== position.asset || !(quote.volatility > 0)) continue;
+    const candidate = { quote, distance: distance(quote) };
+    if (!best || closer(candidate.distance, best.distance) < 0) best = candidate;
+  }
+  return best ? best.quote : null;
+}
+
+// Mark a short option position to model against market inputs
+// { spotPrice, volatility, rate, dividendYield } at nowSeconds. The option is
+// valued with Black-Scholes (blackScholesCall / blackScholesPut); markValue is
+// what buying it back would cost, so unrealizedPnl = premium - markValue.
+// probabilityItm is the assignment risk - the chance a call is called away or
+// a put assigned. Expired positions are marked at intrinsic value.
+export function markPosition(position, market, nowSeconds = Date.now() / 1000) {
+  const { spotPrice, volatility, rate = 0, dividendYield = 0 } = market;
+  const { strike, size, premium, optionType } = position;
+  const timeToExpiry = yearsToExpiry(position.expiry, nowSeconds);
+  const expired = timeToExpiry <= 0;
+  const intrinsicValue = Math.max(optionType === 'put' ? strike - spotPrice : spotPrice - strike, 0);
+
+  const optionValue = expired ? intrinsicValue
+    : (optionType === 'put' ? blackScholesPut : blackScholesCall)(spotPrice, strike, timeToExpiry, rate, volatility, dividendYield);
+  const greeks = blackScholesGreeks(spotPrice, strike, Math.max(timeToExpiry, 0), rate, volatility, dividendYield, optionType);
+  const markValue = optionValue * size;
+  const unrealizedPnl = premium - markValue;
+
+  // Yield on the capital locked up, over the life of the position
+  const collateral = collateralPerUnit(optionType, spotPrice, strike) * size;
+  const term = yearsToExpiry(position.expiry, new Date(position.openedAt).getTime() / 1000);
+
+  return {
+    spotPrice,
+    volatility,
+    rate,
+    dividendYield,
+    timeToExpiry: Math.max(timeToExpiry, 0),
+    expired,
+    itm: intrinsicValue > 0,
+    moneyness: strike / spotPrice,
+    intrinsicValue,
+    optionValue,
+    markValue,
+    unrealizedPnl,
+    pnlPercent: premium > 0 ? unrealizedPnl / premium : null,
+    probabilityItm: greeks.probabilityItm,
+    delta: greeks.delta,
+    collateral,
+    annualizedYield: collateral > 0 && term > 0 ? premium / collateral / term : null
+  };
+}
+
+// Portfolio totals over marked positions [{ ...position, mark }] (mark null
+// when the asset has no spot price): income is the premium received on every
+// position, P&L and ITM counts cover the marked ones
+export function summarizePortfolio(marked) {
+  const totals = (entries) => {
+    const withMark = entries.filter(entry => entry.mark);
+    const sum = (field) => withMark.reduce((total, entry) => total + entry.mark[field], 0);
+    return {
+      positions: entries.length,
+      open: withMark.filter(entry => !entry.mark.expired).length,
+      expired: withMark.filter(entry => entry.mark.expired).length,
+      unmarked: entries.length - withMark.length,
+      itm: withMark.filter(entry => entry.mark.itm).length,
+      totalIncome: entries.reduce((total, entry) => total + entry.premium, 0),
+      markValue: sum('markValue'),
+      unrealizedPnl: sum('unrealizedPnl'),
+      collateral: sum('collateral')
+    };
+  };
+
+  const assets = [...new Set(marked.map(entry => entry.asset))];
+  return {
+    ...totals(marked),
+    byAsset: Object.fromEntries(assets.map(asset => [asset, totals(marked.filter(entry => entry.asset === asset))]))
+  };
+}
+
+async function loadPositions(filePath) {
+  try {
+    const positions = JSON.parse(await readFile(filePath, 'utf8'));
+    return Array.isArray(positions) ? positions : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Failed to read positions', { filePath, error });
+    }
+    return [];
+  }
+}
@@ -0,0 +1,55 @@
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Combine one asset's price observations [{ source, price, timestamp }] (epoch ms)
+// into a single spot price:
+//   - observations older than maxAge (ms) are stale, and only used when no
+//     source has a fresh price - the result is then flagged stale
+//   - the price is the median of the rest; with three or more sources, prices
+//     more than maxDeviation (fraction) from it are rejected as outliers and the
+//     median retaken
+//   - disagreement flags rejected outliers, or two sources further apart than
+//     maxDeviation (with two there is no telling which is right)
+// Each observation is reported back with its status: used, stale or outlier.
+export function aggregateSpotPrice(observations, { now = Date.now(), maxAge, maxDeviation }) {
+  const valid = observations.filter(observation => Number.isFinite(observation.price) && observation.price > 0);
+  const fresh = valid.filter(observation => now - observation.timestamp <= maxAge);
+  const stale = fresh.length === 0 && valid.length > 0;
+  const candidates = stale ? valid : fresh;
+
+  let used = candidates;
+  let disagreement = false;
+  if (candidates.length >= 2) {
+    const center = median(candidates.map(observation => observation.price));
+    const deviation = (observation) => Math.abs(observation.price - center) / center;
+    if (candidates.length === 2) {
+      disagreement = Math.abs(candidates[0].price - candidates[1].price) / center > maxDeviation;
+    } else {
+      const agreeing = candidates.filter(observation => deviation(observation) <= maxDeviation);
+      disagreement = agreeing.length < candidates.length;
+      // No cluster around the median (e.g. two pairs far apart) - keep them all
+      if (agreeing.length > 0) used = agreeing;
+    }
+  }
+
+  const status = (observation) => {
+    if (used.includes(observation)) return 'used';
+    return candidates.includes(observation) ? 'outlier' : 'stale';
+  };
+
+  return {
+    price: used.length > 0 ? median(used.map(observation => observation.price)) : null,
+    stale,
+    disagreement,
+    sources: valid.map(observation => ({
+      source: observation.source,
+      price: observation.price,
+      timestamp: observation.timestamp,
+      ageSeconds: Math.round((now - observation.timestamp) / 1000),
+      status: status(observation)
+    }))
+  };
+}
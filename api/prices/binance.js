@@ -0,0 +1,23 @@
+// Binance spot ticker - last trade price by USDT pair (BTCUSDT), taken as USD.
+// The ticker carries no timestamp, so prices are stamped on receipt
+export function createBinanceAdapter({ baseUrl = 'https://api.binance.com' } = {}) {
+  return {
+    name: 'binance',
+    fetchPrices: async (feeds, { fetchImpl }) => {
+      const symbols = JSON.stringify([...new Set(Object.values(feeds))]);
+      const response = await fetchImpl(`${baseUrl}/api/v3/ticker/price?symbols=${encodeURIComponent(symbols)}`, { timeout: 10000 });
+      if (!response.ok) {
+        throw new Error(`Binance API error: ${response.status} ${response.statusText}`);
+      }
+
+      const tickers = await response.json();
+      const timestamp = Date.now();
+      const bySymbol = Object.fromEntries(tickers.map(ticker => [ticker.symbol, Number(ticker.price)]));
+      const prices = {};
+      for (const [asset, symbol] of Object.entries(feeds)) {
+        if (bySymbol[symbol] > 0) prices[asset] = { price: bySymbol[symbol], timestamp };
+      }
+      return prices;
+    }
+  };
+}
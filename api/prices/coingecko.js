@@ -0,0 +1,44 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// CoinGecko simple price API - every registry asset with a coingeckoId.
+// last_updated_at is CoinGecko's own timestamp, so a stalled feed shows up as stale.
+// Daily history (market_chart) has closes only - no high/low
+export function createCoinGeckoAdapter({ baseUrl = 'https://api.coingecko.com/api/v3' } = {}) {
+  return {
+    name: 'coingecko',
+    fetchPrices: async (feeds, { fetchImpl }) => {
+      const ids = [...new Set(Object.values(feeds))];
+      const response = await fetchImpl(
+        `${baseUrl}/simple/price?ids=${ids.join(',')}&vs_currencies=usd&include_last_updated_at=true`,
+        { timeout: 10000 }
+      );
+      if (!response.ok) {
+        throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const prices = {};
+      for (const [asset, id] of Object.entries(feeds)) {
+        if (data[id] && data[id].usd) {
+          prices[asset] = { price: data[id].usd, timestamp: data[id].last_updated_at ? data[id].last_updated_at * 1000 : Date.now() };
+        }
+      }
+      return prices;
+    },
+
+    // Daily closes at 00:00 UTC for the last `days` days, oldest first. The
+    // series ends with the live price, which is not a daily close and is dropped
+    fetchDailyBars: async (id, { fetchImpl, days, now = Date.now() }) => {
+      const response = await fetchImpl(`${baseUrl}/coins/${id}/market_chart?vs_currency=usd&days=${days}&interval=daily`, { timeout: 10000 });
+      if (!response.ok) {
+        throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
+      }
+
+      const { prices = [] } = await response.json();
+      const today = Math.floor(now / DAY) * DAY;
+      return prices
+        .filter(([time, price]) => time <= today && price > 0)
+        .map(([time, price]) => ({ time, open: null, high: null, low: null, close: price }));
+    }
+  };
+}
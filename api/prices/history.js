@@ -0,0 +1,46 @@
+import { getAsset } from '../assets.js';
+import { createLogger } from '../logger.js';
+import { recordUpstream } from '../health.js';
+import { priceAdapter } from './index.js';
+
+const log = createLogger('price-history');
+
+// Daily bars only change once a day
+const CACHE_TTL = 60 * 60 * 1000;
+// OHLC candles first, so range-based estimators have highs and lows
+const HISTORY_SOURCES = ['hyperliquid', 'coingecko'];
+
+const cache = new Map();
+
+// Daily price bars for one registry asset, { source, bars } with bars as
+// [{ time, open, high, low, close }] oldest first (see api/realizedVol.js), or
+// null when no source with a feed for the asset has history. Tries the
+// HISTORY_SOURCES in order; a series covering at least `days` is served from
+// the cache for an hour
+export async function getPriceHistory(name, { fetchImpl, days, now = Date.now } = {}) {
+  const cached = cache.get(name);
+  const time = now();
+  if (cached && cached.days >= days && time - cached.fetchedAt < CACHE_TTL) {
+    return { source: cached.source, bars: cached.bars };
+  }
+
+  const asset = getAsset(name);
+  for (const source of HISTORY_SOURCES) {
+    const feed = asset?.priceFeeds[source];
+    if (!feed) continue;
+    try {
+      const bars = await priceAdapter(source).fetchDailyBars(feed, { fetchImpl, days, now: time });
+      recordUpstream(source, 'price_history');
+      if (bars.length === 0) continue;
+      cache.set(name, { source, bars, days, fetchedAt: time });
+      log.debug('Fetched daily price history', { asset: name, source, days: bars.length });
+      return { source, bars };
+    } catch (error) {
+      recordUpstream(source, 'price_history', error);
+      log.warn('Failed to fetch price history', { asset: name, source, error });
+    }
+  }
+
+  // An expired series still beats none
+  return cached ? { source: cached.source, bars: cached.bars } : null;
+}
@@ -0,0 +1,42 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Hyperliquid mid prices (allMids) by coin, e.g. HYPE for WHYPE. Mids are live
+// book prices with no timestamp of their own, so they are stamped on receipt.
+// Daily OHLC history comes from candleSnapshot
+export function createHyperliquidAdapter({ url = 'https://api.hyperliquid.xyz/info' } = {}) {
+  const post = async (body, { fetchImpl }) => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      timeout: 10000
+    });
+    if (!response.ok) {
+      throw new Error(`Hyperliquid API error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'hyperliquid',
+    fetchPrices: async (feeds, { fetchImpl }) => {
+      const mids = await post({ type: 'allMids' }, { fetchImpl });
+      const timestamp = Date.now();
+      const prices = {};
+      for (const [asset, coin] of Object.entries(feeds)) {
+        const price = Number(mids[coin]);
+        if (price > 0) prices[asset] = { price, timestamp };
+      }
+      return prices;
+    },
+
+    // The last `days` completed daily candles, oldest first - today's is still open
+    fetchDailyBars: async (coin, { fetchImpl, days, now = Date.now() }) => {
+      const endTime = Math.floor(now / DAY) * DAY;
+      const candles = await post({ type: 'candleSnapshot', req: { coin, interval: '1d', startTime: endTime - days * DAY, endTime } }, { fetchImpl });
+      return candles
+        .filter(candle => candle.T < endTime)
+        .map(candle => ({ time: candle.t, open: Number(candle.o), high: Number(candle.h), low: Number(candle.l), close: Number(candle.c) }));
+    }
+  };
+}
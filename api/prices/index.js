@@ -0,0 +1,131 @@
+import { ASSETS } from '../assets.js';
+import { createLogger } from '../logger.js';
+import { recordSpotCoverage, recordUpstream } from '../health.js';
+import { aggregateSpotPrice } from './aggregate.js';
+import { createCoinGeckoAdapter } from './coingecko.js';
+import { createHyperliquidAdapter } from './hyperliquid.js';
+import { createBinanceAdapter } from './binance.js';
+import { createPythAdapter } from './pyth.js';
+
+const log = createLogger('prices');
+
+const DEFAULT_MAX_AGE = 5 * 60; // seconds
+const DEFAULT_MAX_DEVIATION = 0.02;
+const DEFAULT_MIN_SOURCES = 1;
+
+// A price adapter fetches spot prices from one source:
+//   { name, fetchPrices(feeds, { fetchImpl }) }
+// where feeds maps each asset to the adapter's feed id (from the registry's
+// priceFeeds, keyed by adapter name) and the result maps assets to
+// { price, timestamp } (USD, epoch ms). Assets the source has no price for are
+// left out; a failed request throws. Adapters with price history also have
+// fetchDailyBars(feed, { fetchImpl, days, now }) - see history.js
+const priceAdapters = {
+  coingecko: () => createCoinGeckoAdapter(),
+  hyperliquid: () => createHyperliquidAdapter(),
+  binance: () => createBinanceAdapter(),
+  pyth: () => createPythAdapter()
+};
+
+export function registerPriceAdapter(name, factory) {
+  priceAdapters[name] = factory;
+}
+
+// A new instance of the named adapter (history is fetched through it too - see history.js)
+export function priceAdapter(name) {
+  return priceAdapters[name]();
+}
+
+// Spot settings from the environment:
+//   SPOT_SOURCES        comma-separated adapters to use (default all)
+//   SPOT_MAX_AGE        seconds before a source's price is stale (default 300)
+//   SPOT_MAX_DEVIATION  fraction from the median before a price is an outlier (default 0.02)
+//   SPOT_MIN_SOURCES    fresh sources an asset needs before /api/health reports degraded (default 1)
+export function loadSpotConfig(env = process.env) {
+  const names = env.SPOT_SOURCES ? env.SPOT_SOURCES.split(',').map(name => name.trim()).filter(Boolean) : Object.keys(priceAdapters);
+  const unknown = names.filter(name => !priceAdapters[name]);
+  if (unknown.length > 0) {
+    log.warn('Ignoring unknown SPOT_SOURCES', { sources: unknown, available: Object.keys(priceAdapters) });
+  }
+
+  const positive = (name, fallback) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    const value = Number(env[name]);
+    if (value > 0) return value;
+    log.warn(`Ignoring invalid ${name}`, { value: env[name] });
+    return fallback;
+  };
+
+  return {
+    sources: names.filter(name => priceAdapters[name]),
+    maxAge: positive('SPOT_MAX_AGE', DEFAULT_MAX_AGE) * 1000,
+    maxDeviation: positive('SPOT_MAX_DEVIATION', DEFAULT_MAX_DEVIATION),
+    minSources: Math.ceil(positive('SPOT_MIN_SOURCES', DEFAULT_MIN_SOURCES))
+  };
+}
+
+// The environment's settings, read on first use
+let defaultConfig = null;
+
+// Spot price per registry asset from every configured source, combined by
+// aggregateSpotPrice: { [asset]: { price, stale, disagreement, sources } }.
+// A failing source only loses its own prices; an asset no source could price
+// gets price null. Coverage against config.minSources goes to /api/health.
+export async function getSpotPrices({ fetchImpl, assets = ASSETS, config = defaultConfig ??= loadSpotConfig(), adapters, now = Date.now } = {}) {
+  const selected = adapters || config.sources.map(name => priceAdapters[name]());
+
+  const results = await Promise.all(selected.map(async adapter => {
+    const feeds = Object.fromEntries(assets.filter(asset => asset.priceFeeds[adapter.name]).map(asset => [asset.name, asset.priceFeeds[adapter.name]]));
+    if (Object.keys(feeds).length === 0) return { source: adapter.name, prices: {}, failed: false };
+    try {
+      const prices = await adapter.fetchPrices(feeds, { fetchImpl });
+      recordUpstream(adapter.name, 'spot_prices');
+      log.debug('Fetched spot prices', { source: adapter.name, prices: Object.fromEntries(Object.entries(prices).map(([asset, { price }]) => [asset, price])) });
+      return { source: adapter.name, prices, failed: false };
+    } catch (error) {
+      recordUpstream(adapter.name, 'spot_prices', error);
+      log.warn('Spot price source failed', { source: adapter.name, error });
+      return { source: adapter.name, prices: {}, failed: true };
+    }
+  }));
+
+  const time = now();
+  const spot = {};
+  for (const asset of assets) {
+    const observations = results
+      .filter(({ prices }) => prices[asset.name])
+      .map(({ source, prices }) => ({ source, ...prices[asset.name] }));
+    spot[asset.name] = aggregateSpotPrice(observations, { now: time, maxAge: config.maxAge, maxDeviation: config.maxDeviation });
+
+    const { price, stale, disagreement, sources } = spot[asset.name];
+    if (price === null) {
+      log.warn('No spot price from any source', { asset: asset.name });
+    } else if (stale || disagreement) {
+      log.warn('Spot price needs checking', {
+        asset: asset.name,
+        price,
+        stale,
+        disagreement,
+        sources: sources.map(source => `${source.source} ${source.price} (${source.status}, ${source.ageSeconds}s old)`)
+      });
+    }
+  }
+
+  // Fresh prices the median used - a stale fallback does not count
+  const minSources = config.minSources ?? DEFAULT_MIN_SOURCES;
+  const belowMinimum = Object.entries(spot)
+    .filter(([, { stale, sources }]) => (stale ? 0 : sources.filter(source => source.status === 'used').length) < minSources)
+    .map(([asset]) => asset);
+  recordSpotCoverage({
+    sources: results.map(({ source }) => source),
+    minSources,
+    belowMinimum,
+    allSourcesFailed: results.length > 0 && results.every(({ failed }) => failed)
+  });
+
+  log.info('Fetched spot prices', {
+    sources: results.filter(({ prices }) => Object.keys(prices).length > 0).map(({ source }) => source),
+    assets: Object.values(spot).filter(({ price }) => price !== null).length
+  });
+  return spot;
+}
@@ -0,0 +1,28 @@
+// Pyth Network oracle prices through its Hermes API, by price feed id. These are
+// the prices published on-chain, timestamped with their publish time
+export function createPythAdapter({ baseUrl = 'https://hermes.pyth.network' } = {}) {
+  return {
+    name: 'pyth',
+    fetchPrices: async (feeds, { fetchImpl }) => {
+      const ids = [...new Set(Object.values(feeds))];
+      const query = ids.map(id => `ids[]=${id}`).join('&');
+      const response = await fetchImpl(`${baseUrl}/v2/updates/price/latest?${query}&parsed=true`, { timeout: 10000 });
+      if (!response.ok) {
+        throw new Error(`Pyth Hermes API error: ${response.status} ${response.statusText}`);
+      }
+
+      // Hermes returns ids without the 0x prefix; price is an integer scaled by 10^expo
+      const { parsed = [] } = await response.json();
+      const normalizeId = (id) => id.toLowerCase().replace(/^0x/, '');
+      const byId = Object.fromEntries(parsed.map(update => [normalizeId(update.id), update.price]));
+      const prices = {};
+      for (const [asset, id] of Object.entries(feeds)) {
+        const update = byId[normalizeId(id)];
+        if (!update) continue;
+        const price = Number(update.price) * 10 ** update.expo;
+        if (price > 0) prices[asset] = { price, timestamp: update.publish_time * 1000 };
+      }
+      return prices;
+    }
+  };
+}
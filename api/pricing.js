@@ -0,0 +1,327 @@
+// Option pricing engine. Hand-rolled rather than a library (the Black-Scholes
+// packages we tried were problematic); every model prices European calls and
+// puts so theoretical APRs can be compared across models.
+//
+// Common inputs: { spot, strike, time (years), rate, volatility, dividendYield, optionType }
+// where dividendYield is a continuous dividend/staking yield (e.g. kHYPE) and
+// optionType is 'call' (covered call, the default) or 'put' (cash-secured put).
+
+export const DEFAULT_PRICING_MODEL = 'black-scholes';
+
+// Default Merton jump parameters: ~4 jumps a year averaging -3% with 15% jump vol
+const DEFAULT_JUMP_PARAMS = { jumpIntensity: 4, jumpMean: -0.03, jumpVolatility: 0.15 };
+
+export const OPTION_TYPES = ['call', 'put'];
+
+// Capital locked per unit of underlying: the underlying itself for a covered
+// call, the strike in cash for a cash-secured put. Rysk APRs are quoted on it.
+export function collateralPerUnit(optionType, spot, strike) {
+  return optionType === 'put' ? strike : spot;
+}
+
+// Cumulative standard normal (Hart 1968 as given by West 2005), accurate to
+// double precision - the Abramowitz-Stegun version it replaces was only good to ~1e-7
+export function normalCDF(x) {
+  const xAbs = Math.abs(x);
+  let cumulative;
+
+  if (xAbs > 37) {
+    cumulative = 0;
+  } else {
+    const exponential = Math.exp(-xAbs * xAbs / 2);
+    if (xAbs < 7.07106781186547) {
+      let build = 3.52624965998911e-2 * xAbs + 0.700383064443688;
+      build = build * xAbs + 6.37396220353165;
+      build = build * xAbs + 33.912866078383;
+      build = build * xAbs + 112.079291497871;
+      build = build * xAbs + 221.213596169931;
+      build = build * xAbs + 220.206867912376;
+      cumulative = exponential * build;
+      build = 8.83883476483184e-2 * xAbs + 1.75566716318264;
+      build = build * xAbs + 16.064177579207;
+      build = build * xAbs + 86.7807322029461;
+      build = build * xAbs + 296.564248779674;
+      build = build * xAbs + 637.333633378831;
+      build = build * xAbs + 793.826512519948;
+      build = build * xAbs + 440.413735824752;
+      cumulative = cumulative / build;
+    } else {
+      let build = xAbs + 0.65;
+      build = xAbs + 4 / build;
+      build = xAbs + 3 / build;
+      build = xAbs + 2 / build;
+      build = xAbs + 1 / build;
+      cumulative = exponential / build / 2.506628274631;
+    }
+  }
+
+  return x > 0 ? 1 - cumulative : cumulative;
+}
+
+export function normalPDF(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+function d1d2(S, K, T, r, sigma, q) {
+  const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+  return { d1, d2: d1 - sigma * Math.sqrt(T) };
+}
+
+// Black-Scholes(-Merton) call with a continuous dividend/staking yield q
+export function blackScholesCall(S, K, T, r, sigma, q = 0) {
+  if (T <= 0) return Math.max(S - K, 0); // Intrinsic value if expired
+
+  const { d1, d2 } = d1d2(S, K, T, r, sigma, q);
+  const callPrice = S * Math.exp(-q * T) * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
+  return Math.max(callPrice, 0); // Ensure non-negative
+}
+
+// Black-Scholes(-Merton) put with a continuous dividend/staking yield q
+export function blackScholesPut(S, K, T, r, sigma, q = 0) {
+  if (T <= 0) return Math.max(K - S, 0);
+
+  const { d1, d2 } = d1d2(S, K, T, r, sigma, q);
+  const putPrice = K * Math.exp(-r * T) * normalCDF(-d2) - S * Math.exp(-q * T) * normalCDF(-d1);
+  return Math.max(putPrice, 0);
+}
+
+// Black-Scholes vega (price sensitivity to a 1.00 change in volatility)
+export function blackScholesVega(S, K, T, r, sigma, q = 0) {
+  if (T <= 0 || sigma <= 0) return 0;
+  const { d1 } = d1d2(S, K, T, r, sigma, q);
+  return S * Math.exp(-q * T) * normalPDF(d1) * Math.sqrt(T);
+}
+
+// Greeks of a long call or put plus the risk-neutral probability of finishing
+// ITM (N(d2) for a call, N(-d2) for a put) - the chance a covered call gets
+// called away or a cash-secured put assigned. theta is per calendar day, vega
+// per 1 vol point (0.01)
+export function blackScholesGreeks(S, K, T, r, sigma, q = 0, optionType = 'call') {
+  const sign = optionType === 'put' ? -1 : 1;
+  if (T <= 0 || sigma <= 0) {
+    const itm = sign * (S - K) > 0 ? 1 : 0;
+    return { delta: sign * itm, gamma: 0, theta: 0, vega: 0, probabilityItm: itm };
+  }
+
+  const sqrtT = Math.sqrt(T);
+  const { d1, d2 } = d1d2(S, K, T, r, sigma, q);
+  const dividendDiscount = Math.exp(-q * T);
+  const discount = Math.exp(-r * T);
+
+  return {
+    delta: sign * dividendDiscount * normalCDF(sign * d1),
+    gamma: dividendDiscount * normalPDF(d1) / (S * sigma * sqrtT),
+    theta: (-S * dividendDiscount * normalPDF(d1) * sigma / (2 * sqrtT)
+      + sign * q * S * dividendDiscount * normalCDF(sign * d1)
+      - sign * r * K * discount * normalCDF(sign * d2)) / 365,
+    vega: blackScholesVega(S, K, T, r, sigma, q) / 100,
+    probabilityItm: normalCDF(sign * d2)
+  };
+}
+
+// Black-76 call on a futures/forward price F (defaults to the cost-of-carry forward)
+export function black76Call(F, K, T, r, sigma) {
+  if (T <= 0) return Math.max(F - K, 0);
+
+  const { d1, d2 } = d1d2(F, K, T, 0, sigma, 0);
+  return Math.max(Math.exp(-r * T) * (F * normalCDF(d1) - K * normalCDF(d2)), 0);
+}
+
+export function black76Put(F, K, T, r, sigma) {
+  if (T <= 0) return Math.max(K - F, 0);
+
+  const { d1, d2 } = d1d2(F, K, T, 0, sigma, 0);
+  return Math.max(Math.exp(-r * T) * (K * normalCDF(-d2) - F * normalCDF(-d1)), 0);
+}
+
+// Bachelier (normal) call on the forward. normalVolatility is in price units
+// per sqrt(year); callers convert a lognormal vol with sigma * forward
+export function bachelierCall(F, K, T, r, normalVolatility) {
+  if (T <= 0) return Math.max(F - K, 0);
+
+  const stdDev = normalVolatility * Math.sqrt(T);
+  const d = (F - K) / stdDev;
+  return Math.max(Math.exp(-r * T) * ((F - K) * normalCDF(d) + stdDev * normalPDF(d)), 0);
+}
+
+export function bachelierPut(F, K, T, r, normalVolatility) {
+  if (T <= 0) return Math.max(K - F, 0);
+
+  const stdDev = normalVolatility * Math.sqrt(T);
+  const d = (F - K) / stdDev;
+  return Math.max(Math.exp(-r * T) * ((K - F) * normalCDF(-d) + stdDev * normalPDF(d)), 0);
+}
+
+// Merton (1976) jump-diffusion call: a Poisson-weighted sum of Black-Scholes
+// prices. sigma is the diffusive vol; jumps are lognormal with mean jumpMean and
+// std jumpVolatility, arriving jumpIntensity times a year. Suits assets that gap
+// (UPUMP) where a single lognormal vol understates the right tail.
+export function mertonJumpCall(S, K, T, r, sigma, q = 0, { jumpIntensity, jumpMean, jumpVolatility } = DEFAULT_JUMP_PARAMS) {
+  if (T <= 0) return Math.max(S - K, 0);
+
+  const meanJumpSize = Math.exp(jumpMean + 0.5 * jumpVolatility * jumpVolatility) - 1;
+  const adjustedIntensity = jumpIntensity * (1 + meanJumpSize);
+  const poissonMean = adjustedIntensity * T;
+
+  let price = 0;
+  let weight = Math.exp(-poissonMean);
+  for (let n = 0; n <= 100; n++) {
+    if (n > 0) weight *= poissonMean / n;
+    const sigmaN = Math.sqrt(sigma * sigma + (n * jumpVolatility * jumpVolatility) / T);
+    const rateN = r - jumpIntensity * meanJumpSize + (n * Math.log(1 + meanJumpSize)) / T;
+    price += weight * blackScholesCall(S, K, T, rateN, sigmaN, q);
+    // Stop once past the Poisson mean and the remaining weights are negligible
+    if (n > poissonMean && weight < 1e-12) break;
+  }
+  return Math.max(price, 0);
+}
+
+// Jump-compensated drift keeps the forward at S*e^((r-q)T), so put-call parity holds
+export function mertonJumpPut(S, K, T, r, sigma, q = 0, jumpParams = DEFAULT_JUMP_PARAMS) {
+  if (T <= 0) return Math.max(K - S, 0);
+
+  const callPrice = mertonJumpCall(S, K, T, r, sigma, q, jumpParams);
+  return Math.max(callPrice - S * Math.exp(-q * T) + K * Math.exp(-r * T), 0);
+}
+
+// Selectable models for theoretical pricing. Each price() takes the common
+// inputs plus its own optional parameters
+const pricingModels = {
+  'black-scholes': {
+    label: 'Black-Scholes',
+    description: 'Lognormal spot model with a continuous dividend/staking yield',
+    params: ['dividendYield'],
+    price: ({ spot, strike, time, rate, volatility, dividendYield = 0, optionType = 'call' }) =>
+      (optionType === 'put' ? blackScholesPut : blackScholesCall)(spot, strike, time, rate, volatility, dividendYield)
+  },
+  'black-76': {
+    label: 'Black-76',
+    description: 'Lognormal model on the futures price (forward defaults to spot carried at rate minus yield)',
+    params: ['forward', 'dividendYield'],
+    price: ({ spot, strike, time, rate, volatility, dividendYield = 0, forward, optionType = 'call' }) =>
+      (optionType === 'put' ? black76Put : black76Call)(forward ?? spot * Math.exp((rate - dividendYield) * time), strike, time, rate, volatility)
+  },
+  'bachelier': {
+    label: 'Bachelier',
+    description: 'Normal model on the forward, normal vol = volatility x forward',
+    params: ['forward', 'dividendYield'],
+    price: ({ spot, strike, time, rate, volatility, dividendYield = 0, forward, optionType = 'call' }) => {
+      const F = forward ?? spot * Math.exp((rate - dividendYield) * time);
+      return (optionType === 'put' ? bachelierPut : bachelierCall)(F, strike, time, rate, volatility * F);
+    }
+  },
+  'jump-diffusion': {
+    label: 'Jump-diffusion (Merton)',
+    description: 'Black-Scholes plus lognormal Poisson jumps, for assets that gap like UPUMP',
+    params: ['dividendYield', 'jumpIntensity', 'jumpMean', 'jumpVolatility'],
+    price: ({ spot, strike, time, rate, volatility, dividendYield = 0, optionType = 'call', ...jumpParams }) =>
+      (optionType === 'put' ? mertonJumpPut : mertonJumpCall)(spot, strike, time, rate, volatility, dividendYield, {
+        jumpIntensity: jumpParams.jumpIntensity ?? DEFAULT_JUMP_PARAMS.jumpIntensity,
+        jumpMean: jumpParams.jumpMean ?? DEFAULT_JUMP_PARAMS.jumpMean,
+        jumpVolatility: jumpParams.jumpVolatility ?? DEFAULT_JUMP_PARAMS.jumpVolatility
+      })
+  }
+};
+
+export function listPricingModels() {
+  return Object.entries(pricingModels).map(([id, model]) => ({
+    id,
+    label: model.label,
+    description: model.description,
+    params: model.params,
+    default: id === DEFAULT_PRICING_MODEL
+  }));
+}
+
+export function getPricingModel(name = DEFAULT_PRICING_MODEL) {
+  const model = pricingModels[name];
+  if (!model) {
+    throw new Error(`Unknown pricing model "${name}" (available: ${Object.keys(pricingModels).join(', ')})`);
+  }
+  return model;
+}
+
+// Theoretical APR of selling one call (or put) at the model's fair value
+export function calculateTheoreticalApr(spot, strike, time, rate, volatility, { model = DEFAULT_PRICING_MODEL, optionType = 'call', ...modelParams } = {}) {
+  const optionPrice = getPricingModel(model).price({ spot, strike, time, rate, volatility, optionType, ...modelParams });
+
+  // As per the spec, for 0.5 contracts - puts earn on the cash locked at the strike
+  const premiumTheo = optionPrice * 0.5;
+  const rawReturn = premiumTheo / (0.5 * collateralPerUnit(optionType, spot, strike));
+  // The formula in the spec is APR_theo = raw return * 365 / days_to_expiry
+  // time (t) is already in years, so time * 365 = days_to_expiry
+  const theoreticalApr = rawReturn / time;
+
+  return { theoreticalApr, optionPrice, premiumTheo, rawReturn, model, optionType };
+}
+
+const IV_MIN = 1e-4;
+const IV_MAX = 10; // 1000% - anything above is treated as unsolvable
+const IV_MAX_ITERATIONS = 100;
+
+// Invert blackScholesCall (or blackScholesPut) for volatility. Newton steps on
+// vega, falling back to bisection whenever a step leaves the bracket or vega
+// vanishes (deep ITM/OTM), so it always converges when a solution exists.
+// Returns { impliedVol: null, reason } when the price is outside the no-arbitrage
+// bounds. q is a continuous dividend (staking) yield, as in blackScholesCall.
+export function impliedVolatility(targetPrice, S, K, T, r, q = 0, optionType = 'call') {
+  if (!(targetPrice > 0) || !(S > 0) || !(K > 0) || !(T > 0)) {
+    return { impliedVol: null, iterations: 0, method: null, reason: 'Price, spot, strike and time must be positive' };
+  }
+
+  const isPut = optionType === 'put';
+  const price = isPut ? blackScholesPut : blackScholesCall;
+  const discountedSpot = S * Math.exp(-q * T);
+  const discountedStrike = K * Math.exp(-r * T);
+  const intrinsic = Math.max(isPut ? discountedStrike - discountedSpot : discountedSpot - discountedStrike, 0);
+  if (targetPrice <= intrinsic) {
+    return { impliedVol: null, iterations: 0, method: null, reason: 'Price at or below intrinsic value' };
+  }
+  // A call is worth less than the spot, a put less than the discounted strike
+  if (targetPrice >= (isPut ? discountedStrike : discountedSpot)) {
+    return { impliedVol: null, iterations: 0, method: null, reason: isPut ? 'Price at or above discounted strike' : 'Price at or above spot' };
+  }
+
+  let low = IV_MIN;
+  let high = IV_MAX;
+  if (price(S, K, T, r, high, q) < targetPrice) {
+    return { impliedVol: null, iterations: 0, method: null, reason: `Implied volatility above ${IV_MAX * 100}%` };
+  }
+  if (price(S, K, T, r, low, q) > targetPrice) {
+    return { impliedVol: IV_MIN, iterations: 0, method: 'bound', reason: null };
+  }
+
+  // Brenner-Subrahmanyam ATM approximation as the starting point
+  let sigma = Math.min(Math.max(Math.sqrt(2 * Math.PI / T) * targetPrice / S, low), high);
+  let usedBisection = false;
+  const tolerance = 1e-8 * S;
+
+  for (let iteration = 1; iteration <= IV_MAX_ITERATIONS; iteration++) {
+    const diff = price(S, K, T, r, sigma, q) - targetPrice;
+    if (Math.abs(diff) < tolerance || high - low < 1e-10) {
+      return { impliedVol: sigma, iterations: iteration, method: usedBisection ? 'newton+bisection' : 'newton', reason: null };
+    }
+
+    // Price is increasing in sigma for calls and puts alike, so the sign of diff tightens the bracket
+    if (diff > 0) high = sigma; else low = sigma;
+
+    const vega = blackScholesVega(S, K, T, r, sigma, q);
+    const next = vega > 1e-12 ? sigma - diff / vega : NaN;
+    if (Number.isFinite(next) && next > low && next < high) {
+      sigma = next;
+    } else {
+      sigma = 0.5 * (low + high);
+      usedBisection = true;
+    }
+  }
+
+  return { impliedVol: sigma, iterations: IV_MAX_ITERATIONS, method: 'bisection', reason: 'Did not fully converge' };
+}
+
+// Volatility Rysk is implicitly paying: the vol at which the Black-Scholes
+// theoretical APR (see calculateTheoreticalApr) equals the Rysk APR
+export function calculateRyskImpliedVol(apr, spot, strike, time, rate, dividendYield = 0, optionType = 'call') {
+  // theoreticalApr = optionPrice / collateral / time, so invert for the option price
+  const targetPrice = apr * collateralPerUnit(optionType, spot, strike) * time;
+  return { ...impliedVolatility(targetPrice, spot, strike, time, rate, dividendYield, optionType), targetPrice };
+}
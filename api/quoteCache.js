@@ -0,0 +1,178 @@
+import { randomUUID } from 'node:crypto';
+import { createClient } from 'redis';
+import { createLogger } from './logger.js';
+
+const REDIS_PREFIX = 'rysk:cache';
+const LOCK_KEY = `${REDIS_PREFIX}:refresh-lock`;
+// Renewed while its holder is alive, so a crashed instance frees it within this
+const LOCK_TTL = 2 * 60 * 1000;
+
+const log = createLogger('quote-cache');
+
+// Compare-and-delete / compare-and-extend, so an instance only touches its own lock
+const RELEASE_LOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+const RENEW_LOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+
+// The cached quotes shared by every server instance. In Redis when REDIS_DSN
+// is set, so instances serve the same data, survive restarts and take turns to
+// scrape; in memory (this instance only) otherwise, when Redis is down at
+// startup or once it has given up reconnecting.
+//   load()                  -> { quotes, lastScrapeTime } or null
+//   save(quotes, lastScrapeTime, scrapedAssets)  store the quotes, tell the other
+//                           instances and record when those assets were scraped
+//   scrapeTimes()           -> { [asset]: epoch ms of its last scrape by any instance }
+//   acquireLock()           -> { release() } for the refresh lock, null while
+//                           another instance holds it
+//   onUpdate(listener)      listener({ quotes, lastScrapeTime }) after another
+//                           instance saves
+export async function createQuoteCache({ redisUrl = process.env.REDIS_DSN, client } = {}) {
+  if (redisUrl || client) {
+    try {
+      return await createRedisQuoteCache(client || createClient({
+        url: redisUrl,
+        socket: {
+          connectTimeout: 5000,
+          reconnectStrategy: retries => (retries > 5 ? new Error('Redis reconnect attempts exhausted') : Math.min(retries * 200, 2000))
+        }
+      }));
+    } catch (error) {
+      log.warn('Redis quote cache unavailable - falling back to in-memory', { error });
+    }
+  }
+  log.info('Quote cache held in memory (set REDIS_DSN to share it between instances)');
+  return createMemoryQuoteCache();
+}
+
+async function createRedisQuoteCache(client) {
+  const instanceId = randomUUID();
+  const listeners = new Set();
+  let connected = false;
+  // The in-memory cache taken over once Redis gives up reconnecting, seeded with
+  // the last quotes and scrape times this instance saw
+  let fallback = null;
+  let lastKnown = null;
+  const lastScraped = {};
+
+  client.on('error', (err) => {
+    log.warn('Redis client error', { error: err });
+    // The reconnect strategy gave up and closed the client (a failed first
+    // connect is handled by createQuoteCache instead)
+    if (!connected || client.isOpen || fallback) return;
+    fallback = createMemoryQuoteCache({ cached: lastKnown, scraped: lastScraped });
+    log.warn('Redis reconnect attempts exhausted - quote cache falling back to in-memory', { instanceId, quotes: lastKnown?.quotes?.length ?? 0 });
+    if (subscriber.isOpen) subscriber.destroy();
+  });
+  await client.connect();
+  // Pub/sub needs a connection of its own
+  const subscriber = client.duplicate();
+  subscriber.on('error', (err) => log.warn('Redis subscriber error', { error: err }));
+  await subscriber.connect();
+  connected = true;
+
+  const load = async () => {
+    if (fallback) return fallback.load();
+    const value = await client.get(`${REDIS_PREFIX}:quotes`);
+    if (value) lastKnown = JSON.parse(value);
+    return value ? lastKnown : null;
+  };
+
+  // Updates carry only the sender; the quotes are read from the shared key
+  await subscriber.subscribe(`${REDIS_PREFIX}:updates`, async (message) => {
+    try {
+      if (JSON.parse(message).instanceId === instanceId || listeners.size === 0) return;
+      const cached = await load();
+      if (!cached) return;
+      for (const listener of listeners) {
+        listener(cached);
+      }
+    } catch (error) {
+      log.warn('Failed to apply shared quote update', { error });
+    }
+  });
+
+  log.info('Quote cache shared through Redis', { instanceId });
+
+  return {
+    get kind() {
+      return fallback ? 'memory' : 'redis';
+    },
+    instanceId,
+    load,
+
+    save: async (quotes, lastScrapeTime, scrapedAssets = []) => {
+      if (fallback) return fallback.save(quotes, lastScrapeTime, scrapedAssets);
+      lastKnown = { quotes, lastScrapeTime };
+      for (const asset of scrapedAssets) {
+        lastScraped[asset] = lastScrapeTime;
+      }
+      const multi = client.multi().set(`${REDIS_PREFIX}:quotes`, JSON.stringify({ quotes, lastScrapeTime }));
+      if (scrapedAssets.length > 0) {
+        multi.hSet(`${REDIS_PREFIX}:scraped`, Object.fromEntries(scrapedAssets.map(asset => [asset, String(lastScrapeTime)])));
+      }
+      multi.publish(`${REDIS_PREFIX}:updates`, JSON.stringify({ instanceId, lastScrapeTime }));
+      await multi.exec();
+    },
+
+    scrapeTimes: async () => {
+      if (fallback) return fallback.scrapeTimes();
+      const times = await client.hGetAll(`${REDIS_PREFIX}:scraped`);
+      const scraped = Object.fromEntries(Object.entries(times).map(([asset, time]) => [asset, Number(time)]));
+      Object.assign(lastScraped, scraped);
+      return scraped;
+    },
+
+    acquireLock: async () => {
+      if (fallback) return fallback.acquireLock();
+      const token = `${instanceId}:${randomUUID()}`;
+      const acquired = await client.set(LOCK_KEY, token, { condition: 'NX', expiration: { type: 'PX', value: LOCK_TTL } });
+      if (acquired !== 'OK') return null;
+
+      const renewTimer = setInterval(() => {
+        if (fallback) {
+          clearInterval(renewTimer);
+          return;
+        }
+        client.eval(RENEW_LOCK_SCRIPT, { keys: [LOCK_KEY], arguments: [token, String(LOCK_TTL)] })
+          .catch(error => log.warn('Failed to renew refresh lock', { error }));
+      }, LOCK_TTL / 3);
+      renewTimer.unref();
+
+      return {
+        release: async () => {
+          clearInterval(renewTimer);
+          if (fallback) return;
+          await client.eval(RELEASE_LOCK_SCRIPT, { keys: [LOCK_KEY], arguments: [token] });
+        }
+      };
+    },
+
+    onUpdate: (listener) => listeners.add(listener),
+
+    close: async () => {
+      if (subscriber.isOpen) await subscriber.close();
+      if (client.isOpen) await client.close();
+    }
+  };
+}
+
+// Single instance: nothing to share, and the scheduler already runs one refresh at a time
+function createMemoryQuoteCache({ cached: seeded = null, scraped: seededScrapes = {} } = {}) {
+  let cached = seeded;
+  const scraped = { ...seededScrapes };
+
+  return {
+    kind: 'memory',
+    instanceId: null,
+    load: async () => cached,
+    save: async (quotes, lastScrapeTime, scrapedAssets = []) => {
+      cached = { quotes, lastScrapeTime };
+      for (const asset of scrapedAssets) {
+        scraped[asset] = lastScrapeTime;
+      }
+    },
+    scrapeTimes: async () => ({ ...scraped }),
+    acquireLock: async () => ({ release: async () => {} }),
+    onUpdate: () => {},
+    close: async () => {}
+  };
+}
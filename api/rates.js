@@ -0,0 +1,138 @@
+import { parseExpiry, yearsToExpiry } from './expiry.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('rates');
+
+// Per-asset, per-expiry carry for pricing. A quote's rate comes from, in order:
+//   1. RATE_OVERRIDES for the asset
+//   2. the Deribit futures basis curve for its currency (BTC/ETH), interpolated to the expiry
+//   3. the base rate (RISK_FREE_RATE, e.g. a stablecoin lending or T-bill rate)
+// Staking yield (kHYPE) is priced as a continuous dividend yield.
+//
+// Carry curves are plain JSON so they travel inside quote source snapshots:
+//   { currency, indexPrice, capturedAt, points: [{ expiry, forward, rate }] }
+
+const DEFAULT_BASE_RATE = 0.04; // US Treasury rate approximation
+const MIN_BASIS_DAYS = 2; // Annualized basis of a future this close to expiry is mostly noise
+
+// Rates config from the environment:
+//   RISK_FREE_RATE       base annual rate for assets without a futures curve (default 4%)
+//   KHYPE_STAKING_YIELD  kHYPE staking yield, priced as a dividend yield (default 0)
+//   RATE_OVERRIDES       JSON per asset, a rate or { rate, dividendYield },
+//                        e.g. {"UPUMP": 0.08, "kHYPE": {"dividendYield": 0.03}}
+export function loadRatesConfig(env = process.env) {
+  const config = {
+    baseRate: DEFAULT_BASE_RATE,
+    dividendYields: { kHYPE: 0 },
+    overrides: {}
+  };
+
+  if (env.RISK_FREE_RATE !== undefined && env.RISK_FREE_RATE !== '') {
+    const baseRate = Number(env.RISK_FREE_RATE);
+    if (Number.isFinite(baseRate)) {
+      config.baseRate = baseRate;
+    } else {
+      log.warn('Ignoring invalid RISK_FREE_RATE', { value: env.RISK_FREE_RATE });
+    }
+  }
+
+  if (env.KHYPE_STAKING_YIELD !== undefined && env.KHYPE_STAKING_YIELD !== '') {
+    const stakingYield = Number(env.KHYPE_STAKING_YIELD);
+    if (Number.isFinite(stakingYield)) {
+      config.dividendYields.kHYPE = stakingYield;
+    } else {
+      log.warn('Ignoring invalid KHYPE_STAKING_YIELD', { value: env.KHYPE_STAKING_YIELD });
+    }
+  }
+
+  if (env.RATE_OVERRIDES) {
+    try {
+      const overrides = JSON.parse(env.RATE_OVERRIDES);
+      for (const [asset, value] of Object.entries(overrides)) {
+        const override = typeof value === 'number' ? { rate: value } : value;
+        if (!override || typeof override !== 'object') continue;
+        config.overrides[asset] = {
+          ...(Number.isFinite(override.rate) && { rate: override.rate }),
+          ...(Number.isFinite(override.dividendYield) && { dividendYield: override.dividendYield })
+        };
+      }
+    } catch (error) {
+      log.warn('Ignoring invalid RATE_OVERRIDES', { error });
+    }
+  }
+
+  return config;
+}
+
+// Deribit dated futures look like BTC-29AUG25; perpetuals (BTC-PERPETUAL) are skipped
+function parseFutureName(name) {
+  const match = /^([A-Z]+)-(\d{1,2}[A-Z]{3}\d{2})$/.exec(name || '');
+  return match ? parseExpiry(match[2]) : null;
+}
+
+// Build an annualized basis curve, ln(F / S) / t per dated future, from
+// public/get_book_summary_by_currency (kind=future) results
+export function buildCarryCurve(currency, futures, { capturedAt = new Date().toISOString() } = {}) {
+  const nowSeconds = Math.floor(new Date(capturedAt).getTime() / 1000);
+  const points = [];
+  let indexPrice = null;
+
+  for (const entry of futures) {
+    const expiry = parseFutureName(entry.instrument_name);
+    const forward = Number(entry.mark_price);
+    const index = Number(entry.estimated_delivery_price);
+    if (expiry === null || !(forward > 0) || !(index > 0)) continue;
+
+    const time = yearsToExpiry(expiry, nowSeconds);
+    if (time * 365 < MIN_BASIS_DAYS) continue;
+
+    if (indexPrice === null) indexPrice = index;
+    points.push({ expiry, forward, rate: Math.log(forward / index) / time });
+  }
+
+  return { currency, indexPrice, capturedAt, points: points.sort((a, b) => a.expiry - b.expiry) };
+}
+
+// Basis rate at an expiry: linear in time between listed futures, flat outside
+export function curveRate(curve, expiry, nowSeconds) {
+  if (!curve || !curve.points || curve.points.length === 0) return null;
+
+  const points = curve.points.map(point => ({ ...point, t: yearsToExpiry(point.expiry, nowSeconds) }));
+  const time = yearsToExpiry(expiry, nowSeconds);
+
+  if (time <= points[0].t) return points[0].rate;
+  if (time >= points[points.length - 1].t) return points[points.length - 1].rate;
+
+  const rightIndex = points.findIndex(point => point.t >= time);
+  const left = points[rightIndex - 1];
+  const right = points[rightIndex];
+  return left.rate + ((time - left.t) / (right.t - left.t)) * (right.rate - left.rate);
+}
+
+// Rate and dividend yield to price one asset/expiry with, and where each came from
+export function resolveCarry(assetName, expiry, nowSeconds, { carryCurve = null, config = loadRatesConfig() } = {}) {
+  const override = config.overrides[assetName] || {};
+
+  let rate = config.baseRate;
+  let rateSource = 'base';
+  const basisRate = curveRate(carryCurve, expiry, nowSeconds);
+  if (override.rate !== undefined) {
+    rate = override.rate;
+    rateSource = 'override';
+  } else if (basisRate !== null) {
+    rate = basisRate;
+    rateSource = 'deribit_basis';
+  }
+
+  let dividendYield = 0;
+  let dividendSource = 'none';
+  if (override.dividendYield !== undefined) {
+    dividendYield = override.dividendYield;
+    dividendSource = 'override';
+  } else if (config.dividendYields[assetName]) {
+    dividendYield = config.dividendYields[assetName];
+    dividendSource = 'staking';
+  }
+
+  return { rate, rateSource, dividendYield, dividendSource };
+}
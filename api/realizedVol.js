@@ -0,0 +1,152 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('realized-vol');
+
+// Realized volatility for assets without a Deribit option market, estimated
+// from daily price bars [{ time, open, high, low, close }] (time in epoch ms,
+// oldest first; high/low are null when the source only has closes):
+//   close_to_close  sample standard deviation of daily log returns
+//   ewma            exponentially weighted (RiskMetrics) variance of daily log
+//                   returns, weighting recent days by lambda
+//   parkinson       daily high/low range - uses intraday moves, so it needs
+//                   fewer days, but misses overnight gaps (none in crypto)
+// All annualized over 365 days, since crypto trades every day. Estimates are
+// plain JSON so they travel inside quote source snapshots:
+//   { volatility, estimator, window, observations, from, to, source }
+
+export const VOL_ESTIMATORS = ['close_to_close', 'ewma', 'parkinson'];
+
+const PERIODS_PER_YEAR = 365;
+const MIN_OBSERVATIONS = 10; // Fewer days than this is noise - price at the default instead
+const DEFAULT_ESTIMATOR = 'ewma';
+const DEFAULT_WINDOW = 30; // days
+const DEFAULT_EWMA_LAMBDA = 0.94;
+
+// Realized vol settings from the environment:
+//   REALIZED_VOL_ESTIMATOR  close_to_close, ewma or parkinson (default ewma)
+//   REALIZED_VOL_WINDOW     days of history per estimate (default 30)
+//   REALIZED_VOL_LAMBDA     EWMA decay per day (default 0.94)
+//   REALIZED_VOL_OVERRIDES  JSON per asset, e.g. {"UPUMP": {"estimator": "parkinson", "window": 14}}
+export function loadRealizedVolConfig(env = process.env) {
+  const config = {
+    estimator: DEFAULT_ESTIMATOR,
+    window: DEFAULT_WINDOW,
+    lambda: DEFAULT_EWMA_LAMBDA,
+    overrides: {}
+  };
+
+  const validEstimator = (value) => VOL_ESTIMATORS.includes(value);
+  const validWindow = (value) => Number.isInteger(value) && value >= MIN_OBSERVATIONS;
+
+  if (env.REALIZED_VOL_ESTIMATOR) {
+    if (validEstimator(env.REALIZED_VOL_ESTIMATOR)) {
+      config.estimator = env.REALIZED_VOL_ESTIMATOR;
+    } else {
+      log.warn('Ignoring invalid REALIZED_VOL_ESTIMATOR', { value: env.REALIZED_VOL_ESTIMATOR, estimators: VOL_ESTIMATORS });
+    }
+  }
+
+  if (env.REALIZED_VOL_WINDOW) {
+    const window = Number(env.REALIZED_VOL_WINDOW);
+    if (validWindow(window)) {
+      config.window = window;
+    } else {
+      log.warn('Ignoring invalid REALIZED_VOL_WINDOW', { value: env.REALIZED_VOL_WINDOW, minimum: MIN_OBSERVATIONS });
+    }
+  }
+
+  if (env.REALIZED_VOL_LAMBDA) {
+    const lambda = Number(env.REALIZED_VOL_LAMBDA);
+    if (lambda > 0 && lambda < 1) {
+      config.lambda = lambda;
+    } else {
+      log.warn('Ignoring invalid REALIZED_VOL_LAMBDA', { value: env.REALIZED_VOL_LAMBDA });
+    }
+  }
+
+  if (env.REALIZED_VOL_OVERRIDES) {
+    try {
+      for (const [asset, override] of Object.entries(JSON.parse(env.REALIZED_VOL_OVERRIDES))) {
+        if (!override || typeof override !== 'object') continue;
+        config.overrides[asset] = {
+          ...(validEstimator(override.estimator) && { estimator: override.estimator }),
+          ...(validWindow(override.window) && { window: override.window })
+        };
+      }
+    } catch (error) {
+      log.warn('Ignoring invalid REALIZED_VOL_OVERRIDES', { error });
+    }
+  }
+
+  return config;
+}
+
+// Estimator and window for one asset: its override, else the defaults
+export function realizedVolSettings(asset, config) {
+  const override = config.overrides[asset] || {};
+  return { estimator: override.estimator ?? config.estimator, window: override.window ?? config.window, lambda: config.lambda };
+}
+
+function logReturns(bars) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  }
+  return returns;
+}
+
+// Annualized sample standard deviation of the daily log returns of bars
+export function closeToCloseVol(bars) {
+  const returns = logReturns(bars);
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((total, r) => total + r, 0) / returns.length;
+  const variance = returns.reduce((total, r) => total + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * PERIODS_PER_YEAR);
+}
+
+// Annualized EWMA vol: variance seeded with the mean squared return, then
+// var = lambda * var + (1 - lambda) * r^2 for each day, oldest first
+export function ewmaVol(bars, lambda = DEFAULT_EWMA_LAMBDA) {
+  const returns = logReturns(bars);
+  if (returns.length < 2) return null;
+  let variance = returns.reduce((total, r) => total + r * r, 0) / returns.length;
+  for (const r of returns) {
+    variance = lambda * variance + (1 - lambda) * r * r;
+  }
+  return Math.sqrt(variance * PERIODS_PER_YEAR);
+}
+
+// Annualized Parkinson vol: sqrt(mean(ln(high / low)^2) / (4 ln 2))
+export function parkinsonVol(bars) {
+  if (bars.length === 0) return null;
+  const sum = bars.reduce((total, bar) => total + Math.log(bar.high / bar.low) ** 2, 0);
+  return Math.sqrt((sum / bars.length / (4 * Math.LN2)) * PERIODS_PER_YEAR);
+}
+
+// Estimate from the latest `window` days of bars. Parkinson falls back to
+// close-to-close on close-only history; the estimator actually used is
+// reported. null with fewer than MIN_OBSERVATIONS days
+export function estimateRealizedVol(bars, { estimator = DEFAULT_ESTIMATOR, window = DEFAULT_WINDOW, lambda = DEFAULT_EWMA_LAMBDA } = {}) {
+  const valid = bars.filter(bar => bar.close > 0);
+  const hasRanges = valid.length > 0 && valid.every(bar => bar.high > 0 && bar.low > 0 && bar.high >= bar.low);
+  const used = estimator === 'parkinson' && !hasRanges ? 'close_to_close' : estimator;
+
+  // Return-based estimators need the close before the window's first day
+  const recent = used === 'parkinson' ? valid.slice(-window) : valid.slice(-(window + 1));
+  const observations = used === 'parkinson' ? recent.length : recent.length - 1;
+  if (observations < MIN_OBSERVATIONS) return null;
+
+  const volatility = used === 'parkinson' ? parkinsonVol(recent)
+    : used === 'ewma' ? ewmaVol(recent, lambda)
+      : closeToCloseVol(recent);
+  if (!(volatility > 0)) return null;
+
+  return {
+    volatility,
+    estimator: used,
+    window,
+    observations,
+    from: new Date(recent[0].time).toISOString(),
+    to: new Date(recent[recent.length - 1].time).toISOString()
+  };
+}
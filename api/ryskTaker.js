@@ -0,0 +1,214 @@
+import { EventEmitter } from 'node:events';
+import WebSocket from 'ws';
+import { createLogger } from './logger.js';
+import { recordUpstream } from './health.js';
+
+const log = createLogger('rysk-taker');
+
+export const RYSK_TAKER_URL = 'wss://v12.rysk.finance/taker';
+
+// Long-lived JSON-RPC 2.0 client for the Rysk taker WebSocket
+// (protocol prototyped in test-rysk-websocket-v2.js).
+//
+// - request(method, params) correlates responses by id and times out
+// - subscribe(method, params) is replayed automatically after every reconnect
+// - heartbeats use WebSocket ping frames; a missed pong forces a reconnect
+// - reconnects back off exponentially (with jitter) up to maxReconnectDelay
+//
+// Events: 'open', 'close' (code, reason), 'notification' (method, params),
+// 'result' (method, params, result) for subscription responses, 'error' (err).
+// Errors are logged here and only emitted when someone listens for them, so a
+// refused connection never throws - the client just backs off and reconnects
+export function createRyskTakerClient({
+  url = RYSK_TAKER_URL,
+  headers = {
+    'Origin': 'https://app.rysk.finance',
+    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36'
+  },
+  requestTimeout = 10000,
+  heartbeatInterval = 15000,
+  reconnectDelay = 1000,
+  maxReconnectDelay = 30000
+} = {}) {
+  const events = new EventEmitter();
+  const pending = new Map(); // id -> { method, resolve, reject, timer }
+  const subscriptions = []; // { method, params } replayed on reconnect
+  let socket = null;
+  let nextId = 1;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let awaitingPong = false;
+  let stopped = true;
+
+  function connect() {
+    stopped = false;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+
+    log.info('Connecting', { url });
+    socket = new WebSocket(url, { headers });
+
+    socket.on('open', () => {
+      log.info('Connected');
+      recordUpstream('rysk', 'taker_connect');
+      reconnectAttempts = 0;
+      startHeartbeat();
+      events.emit('open');
+
+      for (const subscription of subscriptions) {
+        sendSubscribe(subscription);
+      }
+    });
+
+    socket.on('message', handleMessage);
+
+    socket.on('pong', () => {
+      awaitingPong = false;
+    });
+
+    socket.on('error', (err) => {
+      log.warn('Socket error', { error: err });
+      recordUpstream('rysk', 'taker_connect', err);
+      emitError(err);
+    });
+
+    socket.on('close', (code, reason) => {
+      log.warn('Connection closed', { code, reason: reason.length ? reason.toString() : undefined });
+      stopHeartbeat();
+      rejectPending(new Error('Rysk taker connection closed'));
+      socket = null;
+      events.emit('close', code, reason.toString());
+
+      if (!stopped) {
+        scheduleReconnect();
+      }
+    });
+  }
+
+  // An 'error' event without a listener would throw and take the process down
+  function emitError(err) {
+    if (events.listenerCount('error') > 0) {
+      events.emit('error', err);
+    }
+  }
+
+  function scheduleReconnect() {
+    const backoff = Math.min(maxReconnectDelay, reconnectDelay * Math.pow(2, reconnectAttempts));
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    reconnectAttempts++;
+    log.info('Reconnecting', { delayMs: delay, attempt: reconnectAttempts });
+    reconnectTimer = setTimeout(connect, delay);
+  }
+
+  function startHeartbeat() {
+    stopHeartbeat();
+    awaitingPong = false;
+    heartbeatTimer = setInterval(() => {
+      if (awaitingPong) {
+        log.warn('Heartbeat missed, terminating connection');
+        socket.terminate();
+        return;
+      }
+      awaitingPong = true;
+      socket.ping();
+    }, heartbeatInterval);
+  }
+
+  function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  function rejectPending(error) {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+  }
+
+  function handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      log.warn('Ignoring non-JSON message', { message: data.toString().substring(0, 200) });
+      return;
+    }
+
+    // Responses carry the id of the request they answer
+    if (message.id !== undefined && message.id !== null && pending.has(message.id)) {
+      const { method, resolve, reject, timer } = pending.get(message.id);
+      clearTimeout(timer);
+      pending.delete(message.id);
+
+      if (message.error) {
+        const error = new Error(`Rysk taker ${method} failed: ${message.error.message}`);
+        error.code = message.error.code;
+        reject(error);
+      } else {
+        resolve(message.result);
+      }
+      return;
+    }
+
+    // Anything with a method and no pending id is a server push
+    if (message.method) {
+      events.emit('notification', message.method, message.params);
+    }
+  }
+
+  function request(method, params = {}) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Rysk taker socket not connected'));
+    }
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Rysk taker ${method} timed out after ${requestTimeout}ms`));
+      }, requestTimeout);
+
+      pending.set(id, { method, resolve, reject, timer });
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  function sendSubscribe({ method, params }) {
+    request(method, params)
+      .then(result => events.emit('result', method, params, result))
+      .catch(err => {
+        log.warn('Subscription failed', { method, error: err });
+        emitError(err);
+      });
+  }
+
+  function subscribe(method, params = {}) {
+    const subscription = { method, params };
+    subscriptions.push(subscription);
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      sendSubscribe(subscription);
+    }
+  }
+
+  function close() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    stopHeartbeat();
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  return {
+    connect,
+    close,
+    request,
+    subscribe,
+    isConnected: () => Boolean(socket && socket.readyState === WebSocket.OPEN),
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener)
+  };
+}
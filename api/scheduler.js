@@ -0,0 +1,226 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('scheduler');
+
+// Refreshes land before the 5-minute cache goes stale
+const DEFAULT_REFRESH_INTERVAL = 4 * 60;
+const DEFAULT_MAX_BACKOFF = 30 * 60;
+
+// Schedule settings from the environment, in seconds:
+//   REFRESH_INTERVAL     every asset (default 240, 0 = only refresh on demand)
+//   REFRESH_INTERVALS    per-asset overrides, e.g. {"UPUMP": 900}
+//   REFRESH_MAX_BACKOFF  cap on the retry delay after failures (default 1800)
+// Returned in ms for createRefreshScheduler
+export function loadRefreshConfig(env = process.env) {
+  const seconds = (name, value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    if (Number.isFinite(parsed) && parsed >= 0) return parsed;
+    log.warn(`Ignoring invalid ${name}`, { value });
+    return fallback;
+  };
+
+  const config = {
+    interval: seconds('REFRESH_INTERVAL', env.REFRESH_INTERVAL, DEFAULT_REFRESH_INTERVAL) * 1000,
+    intervals: {},
+    maxBackoff: seconds('REFRESH_MAX_BACKOFF', env.REFRESH_MAX_BACKOFF, DEFAULT_MAX_BACKOFF) * 1000
+  };
+
+  if (env.REFRESH_INTERVALS) {
+    try {
+      for (const [asset, value] of Object.entries(JSON.parse(env.REFRESH_INTERVALS))) {
+        const interval = seconds(`REFRESH_INTERVALS.${asset}`, value, null);
+        if (interval !== null) config.intervals[asset] = interval * 1000;
+      }
+    } catch (error) {
+      log.warn('Ignoring invalid REFRESH_INTERVALS', { error });
+    }
+  }
+
+  return config;
+}
+
+// Background refresh schedule, independent of incoming requests. Each asset is
+// due every `interval` ms (per-asset overrides in `intervals`, 0 = never);
+// assets falling due together are refreshed in one run via refresh(assets),
+// which resolves to { failed: [asset] } - a rejection fails every asset in the
+// run. Failed assets are retried after retryDelay, doubling per consecutive
+// failure up to maxBackoff. Only one run is in flight at a time: refreshNow()
+// while a run is going joins it, or queues the assets it does not cover.
+// Across instances: lastRefreshedAt() resolves to { [asset]: epoch ms } of the
+// last scrape by any instance, and scheduled runs skip assets scraped elsewhere
+// within their interval; refresh resolving to { busy: true } (another instance
+// is refreshing) retries after retryDelay without counting as a failure.
+export function createRefreshScheduler({
+  assets,
+  interval,
+  intervals = {},
+  retryDelay = 30 * 1000,
+  maxBackoff = 30 * 60 * 1000,
+  refresh,
+  lastRefreshedAt = null
+}) {
+  const schedule = Object.fromEntries(assets.map(asset => [asset, {
+    interval: intervals[asset] ?? interval,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    consecutiveFailures: 0
+  }]));
+  let timer = null;
+  let running = null;
+  let runningAssets = [];
+  const forced = new Set(); // Requested through refreshNow() - never skipped
+
+  // Unscheduled assets (interval 0) only refresh on demand, failed or not
+  function nextDelay(entry) {
+    if (!(entry.interval > 0)) return null;
+    if (entry.consecutiveFailures === 0) return entry.interval;
+    return Math.min(retryDelay * 2 ** (entry.consecutiveFailures - 1), maxBackoff);
+  }
+
+  function nextRunAt() {
+    const times = Object.values(schedule).map(entry => entry.nextRunAt).filter(time => time !== null);
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  // Runs whatever is already due straight away, otherwise waits for the next due time
+  function armTimer() {
+    clearTimeout(timer);
+    timer = null;
+    const due = nextRunAt();
+    if (running || due === null) return;
+    const now = Date.now();
+    if (due <= now) {
+      run(assets.filter(asset => schedule[asset].nextRunAt !== null && schedule[asset].nextRunAt <= now));
+      return;
+    }
+    timer = setTimeout(armTimer, due - now);
+    timer.unref();
+  }
+
+  // Scheduled assets another instance scraped recently wait for their next due time
+  async function skipRefreshedElsewhere(selected) {
+    const scheduled = selected.filter(asset => !forced.has(asset));
+    if (!lastRefreshedAt || scheduled.length === 0) return selected;
+
+    let times = {};
+    try {
+      times = await lastRefreshedAt();
+    } catch (error) {
+      log.warn('Failed to read shared refresh times', { error });
+    }
+    const now = Date.now();
+    const skipped = scheduled.filter(asset => times[asset] + schedule[asset].interval > now + 1000);
+    for (const asset of skipped) {
+      schedule[asset].nextRunAt = times[asset] + schedule[asset].interval;
+    }
+    if (skipped.length > 0) {
+      log.debug('Refreshed by another instance - rescheduling', { assets: skipped });
+    }
+    return selected.filter(asset => !skipped.includes(asset));
+  }
+
+  function run(requested) {
+    running = (async () => {
+      runningAssets = requested;
+      for (const asset of requested) {
+        schedule[asset].nextRunAt = null;
+      }
+      const selected = await skipRefreshedElsewhere(requested);
+      for (const asset of requested) {
+        forced.delete(asset);
+      }
+      runningAssets = selected;
+      if (selected.length === 0) return;
+
+      let failed = selected;
+      let error = null;
+      let busy = false;
+      try {
+        ({ failed = [], busy = false } = (await refresh(selected)) || {});
+      } catch (refreshError) {
+        error = refreshError;
+        log.error('Scheduled refresh failed', { assets: selected, error });
+      }
+
+      const now = Date.now();
+      if (busy) {
+        for (const asset of selected) {
+          schedule[asset].nextRunAt = schedule[asset].interval > 0 ? now + retryDelay : null;
+        }
+        return;
+      }
+
+      for (const asset of selected) {
+        const entry = schedule[asset];
+        entry.lastRunAt = now;
+        if (failed.includes(asset)) {
+          entry.consecutiveFailures++;
+          entry.lastError = error ? error.message : 'Scrape failed';
+        } else {
+          entry.consecutiveFailures = 0;
+          entry.lastSuccessAt = now;
+          entry.lastError = null;
+        }
+        const delay = nextDelay(entry);
+        entry.nextRunAt = delay === null ? null : now + delay;
+      }
+
+      const backingOff = selected.filter(asset => schedule[asset].consecutiveFailures > 0 && schedule[asset].nextRunAt !== null);
+      if (backingOff.length > 0) {
+        log.warn('Refresh failed - backing off', {
+          assets: backingOff,
+          retryInSeconds: Math.round((schedule[backingOff[0]].nextRunAt - now) / 1000)
+        });
+      }
+    })().finally(() => {
+      running = null;
+      runningAssets = [];
+      armTimer();
+    });
+    return running;
+  }
+
+  return {
+    // Refresh every scheduled asset now, then keep to the schedule
+    start() {
+      const now = Date.now();
+      for (const entry of Object.values(schedule)) {
+        if (entry.interval > 0) entry.nextRunAt = now;
+      }
+      armTimer();
+    },
+
+    // Force a refresh regardless of the schedule and backoff. Resolves when the
+    // assets have been refreshed; queued reports that a running refresh
+    // did not cover them, so they follow it
+    refreshNow(selected = assets) {
+      if (!running) {
+        for (const asset of selected) {
+          forced.add(asset);
+        }
+        return { started: true, queued: [], done: run(selected) };
+      }
+      const queued = selected.filter(asset => !runningAssets.includes(asset));
+      for (const asset of queued) {
+        forced.add(asset);
+        schedule[asset].nextRunAt = Date.now();
+      }
+      // The queued assets run as soon as the current run finishes
+      const done = queued.length > 0 ? running.then(() => running) : running;
+      return { started: false, queued, done };
+    },
+
+    isRunning: () => running !== null,
+    nextRunAt,
+
+    status: () => ({
+      running: running !== null,
+      runningAssets,
+      nextRunAt: nextRunAt(),
+      assets: Object.fromEntries(Object.entries(schedule).map(([asset, entry]) => [asset, { ...entry }]))
+    })
+  };
+}
@@ -0,0 +1,34 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('fixture');
+
+// Replay quote source: serves a snapshot previously recorded to disk so the
+// /api/quotes pipeline can run offline and deterministically
+export function createFixtureSource({ filePath } = {}) {
+  if (!filePath) {
+    throw new Error('Fixture quote source requires QUOTE_FIXTURE_PATH');
+  }
+
+  return {
+    name: 'fixture',
+    fetchSnapshot: async () => {
+      log.info('Replaying recorded Rysk snapshot', { filePath });
+      const snapshot = JSON.parse(await readFile(filePath, 'utf8'));
+
+      if (!snapshot || !Array.isArray(snapshot.assets)) {
+        throw new Error(`Invalid snapshot fixture ${filePath}: missing assets array`);
+      }
+
+      return { ...snapshot, source: 'fixture' };
+    }
+  };
+}
+
+// Write a snapshot in the format the fixture source reads back
+export async function recordSnapshot(snapshot, filePath) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(snapshot, null, 2) + '\n');
+  log.info('Recorded snapshot', { source: snapshot.source, filePath });
+}
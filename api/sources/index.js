@@ -0,0 +1,45 @@
+import { createPuppeteerSource } from './puppeteer.js';
+import { createFixtureSource } from './fixture.js';
+import { createWebSocketSource } from './websocket.js';
+
+// A quote source produces a market snapshot:
+//   { source, capturedAt, assets: [{ name, spotPrice, spot, volatility, realizedVol, volSurface, carryCurve, strikeData }] }
+// where strikeData is [{ strikePrice, apr, premium, expiry, source, optionType }]
+// (optionType 'call' or 'put', calls when missing), spot is the optional
+// per-source detail behind spotPrice (see api/prices), realizedVol an optional
+// realized vol estimate (see api/realizedVol.js), volSurface is an optional
+// Deribit IV surface (see api/volSurface.js) and carryCurve an optional futures
+// basis curve (see api/rates.js). Pricing and
+// quote assembly happen downstream in api/index.js, so sources only gather data.
+// fetchSnapshot({ onProgress, assets }) may report per-asset progress as
+// onProgress(asset, { state: 'scraping' | 'done' | 'failed', strikes }), and may
+// fetch only the listed assets (extra assets are dropped downstream).
+// Streaming sources may also expose start() and onSnapshot(listener) to push
+// snapshots between refreshes, and sources holding resources (a browser) a
+// close() called on shutdown.
+const quoteSources = {
+  puppeteer: () => createPuppeteerSource({
+    concurrency: Number(process.env.SCRAPE_CONCURRENCY) || undefined,
+    assetTimeout: Number(process.env.SCRAPE_ASSET_TIMEOUT) * 1000 || undefined
+  }),
+  fixture: () => createFixtureSource({ filePath: process.env.QUOTE_FIXTURE_PATH }),
+  websocket: () => createWebSocketSource({
+    url: process.env.RYSK_WS_URL,
+    subscribeMethod: process.env.RYSK_WS_SUBSCRIBE_METHOD
+  })
+};
+
+export function registerQuoteSource(name, factory) {
+  quoteSources[name] = factory;
+}
+
+// Select the source via QUOTE_SOURCE (defaults to live Puppeteer scraping)
+export function getQuoteSource(name = process.env.QUOTE_SOURCE || 'puppeteer') {
+  const factory = quoteSources[name];
+  if (!factory) {
+    throw new Error(`Unknown quote source "${name}" (available: ${Object.keys(quoteSources).join(', ')})`);
+  }
+  return factory();
+}
+
+export { recordSnapshot } from './fixture.js';
@@ -0,0 +1,233 @@
+import { getAssetMarketData } from '../market.js';
+import { extractRyskStrikeData } from '../ryskPageParser.js';
+import { ASSETS } from '../assets.js';
+import { createBrowserPool } from '../browserPool.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('puppeteer');
+
+const RYSK_APP_URL = 'https://app.rysk.finance';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Common loading indicators on the earn pages
+const LOADING_SELECTORS = [
+  '[class*="loading"]',
+  '[class*="spinner"]',
+  '[class*="calculating"]',
+  '[class*="pending"]',
+  '.animate-spin',
+  '[data-loading="true"]'
+];
+
+// Live quote source: aggregated spot prices, volatilities from Deribit and
+// strike/APR data scraped from the client-side rendered Rysk V12 app. The
+// browser stays up between refreshes; asset pages are scraped concurrently,
+// `concurrency` at a time, each cut off after `assetTimeout` ms
+export function createPuppeteerSource({ concurrency = 3, assetTimeout = 90000, pool } = {}) {
+  const browserPool = pool || createBrowserPool({ size: concurrency, userAgent: USER_AGENT });
+  return {
+    name: 'puppeteer',
+    fetchSnapshot: (options) => fetchPuppeteerSnapshot(browserPool, { assetTimeout, ...options }),
+    close: () => browserPool.close()
+  };
+}
+
+// onProgress(asset, { state, strikes }) is called as each asset page is scraped;
+// assets limits the scrape to those registry assets
+async function fetchPuppeteerSnapshot(pool, { assetTimeout, onProgress = () => {}, assets: only } = {}) {
+  const selected = only ? ASSETS.filter(({ name }) => only.includes(name)) : ASSETS;
+  const capturedAt = new Date().toISOString();
+
+  // Aggregated spot prices (see api/prices); volatilities, strike/expiry-specific
+  // implied vols and futures basis curves from Deribit for BTC/ETH, realized
+  // vol from price history for the rest
+  const marketData = new Map((await getAssetMarketData({ capturedAt })).map(asset => [asset.name, asset]));
+
+  // A failed or timed out asset falls back to placeholders downstream; the
+  // others still count
+  const scrapeAsset = async (asset, spotPrice) => {
+    try {
+      const strikeData = await pool.withPage(page => {
+        onProgress(asset, { state: 'scraping' });
+        return navigateToAssetAndExtractData(page, asset, spotPrice);
+      }, { timeout: assetTimeout, label: `${asset} scrape` });
+      onProgress(asset, { state: 'done', strikes: strikeData.length });
+      return { strikeData, error: null };
+    } catch (error) {
+      log.error('Error scraping asset page', { asset, error });
+      onProgress(asset, { state: 'failed' });
+      return { strikeData: [], error };
+    }
+  };
+
+  log.info('Scraping Rysk V12 asset pages', { assets: selected.map(({ name }) => name) });
+  const results = await Promise.all(selected.map(({ name }) => scrapeAsset(name, marketData.get(name).spotPrice)));
+
+  // Nothing scraped at all (e.g. Chromium would not launch) is a source failure
+  if (results.every(result => result.error)) {
+    throw new Error(`Scraping failed for every asset: ${results[0].error.message}`);
+  }
+
+  const assets = selected.map(({ name }, index) => ({
+    ...marketData.get(name),
+    strikeData: results[index].strikeData
+  }));
+
+  return { source: 'puppeteer', capturedAt, assets };
+}
+
+// Wait until the page shows strike content, no loading indicators and text that
+// has stopped changing for quietMs - instead of fixed sleeps after navigation
+// and clicks. Gives up quietly after timeout: the parser copes with whatever
+// has rendered by then. changedFrom additionally waits for the text to differ
+// from an earlier innerText
+async function waitForSettledContent(page, asset, { timeout = 15000, quietMs = 750, changedFrom = null } = {}) {
+  try {
+    await page.evaluate(() => {
+      delete window.__ryskSettle;
+    });
+    await page.waitForFunction((loadingSelectors, quiet, previousText) => {
+      const text = document.body ? document.body.innerText : '';
+      const now = Date.now();
+      const settle = window.__ryskSettle;
+      if (!settle || settle.text !== text) {
+        window.__ryskSettle = { text, since: now };
+        return false;
+      }
+      if (previousText !== null && text === previousText) return false;
+      if (!/upfront|\bAPR\b/i.test(text)) return false;
+      if (loadingSelectors.some(selector => document.querySelector(selector))) return false;
+      return now - settle.since >= quiet;
+    }, { timeout, polling: 250 }, LOADING_SELECTORS, quietMs, changedFrom);
+    return true;
+  } catch (error) {
+    log.debug('Page did not settle, proceeding anyway', { asset, error });
+    return false;
+  }
+}
+
+// Helper function to navigate to asset page and extract REAL strike prices and APRs.
+// Errors propagate so the asset is reported as failed
+async function navigateToAssetAndExtractData(page, asset, spotPrice) {
+  const strikeData = [];
+
+  // Navigate directly to the asset-specific URL where real strike prices are shown
+  const assetUrl = `${RYSK_APP_URL}/earn/${asset}/`;
+  log.debug(`Navigating to ${assetUrl}`, { asset });
+  await page.goto(assetUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+  log.debug(`Page loaded, waiting for dynamic content...`, { asset });
+  await waitForSettledContent(page, asset, { timeout: 20000 });
+
+  // Simulate user interactions to trigger premium calculations
+  log.debug(`Simulating user interactions to trigger calculations...`, { asset });
+  try {
+    // Try to find and interact with strike price elements or buttons
+    const interactiveElements = await page.$$('button, [role="button"], .cursor-pointer, [class*="strike"], [class*="option"]');
+
+    for (let i = 0; i < Math.min(interactiveElements.length, 5); i++) {
+      try {
+        await interactiveElements[i].click();
+        log.debug(`Clicked interactive element ${i + 1}`, { asset });
+      } catch (clickError) {
+        // Ignore click errors, continue with next element
+      }
+    }
+
+    // Try hovering over potential premium areas
+    const potentialPremiumElements = await page.$$('[class*="premium"], [class*="upfront"], [class*="cost"]');
+    for (let element of potentialPremiumElements.slice(0, 3)) {
+      try {
+        await element.hover();
+      } catch (hoverError) {
+        // Ignore hover errors
+      }
+    }
+  } catch (interactionError) {
+    log.warn('Error during page interactions', { asset, error: interactionError });
+  }
+
+  // Wait for the triggered calculations and their loading indicators
+  log.debug(`Waiting for calculations to complete...`, { asset });
+  await waitForSettledContent(page, asset, { timeout: 10000 });
+
+  // Now extract the REAL strike prices and APRs from the asset page - covered
+  // calls first, then the cash-secured puts tab when the page has one. The
+  // clicks above may have left the puts tab open, so select calls explicitly
+  await switchToTab(page, asset, 'call');
+  strikeData.push(...await extractStrikesWithRetries(page, asset, spotPrice, 'call'));
+
+  if (await switchToTab(page, asset, 'put')) {
+    strikeData.push(...await extractStrikesWithRetries(page, asset, spotPrice, 'put'));
+  } else {
+    log.debug(`No cash-secured put tab found - calls only`, { asset });
+  }
+
+  // Note: Strike filtering now happens in main loop with more targeted logic
+  log.info('Extracted strikes', { asset, calls: strikeData.filter(s => s.optionType === 'call').length, puts: strikeData.filter(s => s.optionType === 'put').length });
+  log.debug('Extracted strike detail', {
+    asset,
+    strikes: strikeData.map(s => `${s.optionType} ${s.strikePrice} @ ${(s.apr*100).toFixed(2)}%${s.premium ? ` premium ${s.premium}` : ''} (${s.source})`)
+  });
+
+  return strikeData;
+}
+
+// Run the page parser for one side of the book, retrying while premiums are still missing
+async function extractStrikesWithRetries(page, asset, spotPrice, optionType) {
+  let data = [];
+  let attempts = 0;
+  const maxAttempts = 3;
+  
+  while (attempts < maxAttempts) {
+    log.debug(`${optionType} extraction attempt ${attempts + 1}/${maxAttempts}`, { asset });
+    
+    // The parser runs inside the page; it is self-contained so it can be serialized
+    data = await page.evaluate(
+      `(${extractRyskStrikeData.toString()})(document, ${JSON.stringify(spotPrice)}, ${JSON.stringify({ assetName: asset, optionType })})`
+    );
+    
+    // Check if we got premiums for all strikes
+    const strikesWithPremiums = data.filter(d => d.premium !== null && d.premium !== undefined).length;
+    const totalStrikes = data.length;
+    
+    log.debug(`Found ${strikesWithPremiums}/${totalStrikes} ${optionType} strikes with premiums`, { asset });
+    
+    // If we have all premiums or this is the last attempt, break
+    if (strikesWithPremiums === totalStrikes || attempts === maxAttempts - 1) {
+      break;
+    }
+    
+    // Retry once the page has re-rendered (premiums filled in) or after 3 seconds
+    log.debug(`Waiting for missing premiums before retrying...`, { asset });
+    const renderedText = await page.evaluate(() => document.body.innerText);
+    await waitForSettledContent(page, asset, { timeout: 3000, quietMs: 250, changedFrom: renderedText });
+    attempts++;
+  }
+  
+  return data;
+}
+
+// Click the earn page's covered call or cash-secured put tab. Returns false when
+// there is none (pages without tabs list covered calls only)
+async function switchToTab(page, asset, optionType) {
+  const clicked = await page.evaluate((type) => {
+    const labels = type === 'put'
+      ? /cash[-\s]?secured puts?|^(sell )?puts?$/i
+      : /covered calls?|^(sell )?calls?$/i;
+    const candidates = document.querySelectorAll('button, [role="tab"], a');
+    for (const element of candidates) {
+      const text = (element.textContent || '').trim();
+      if (text.length < 40 && labels.test(text)) {
+        element.click();
+        return true;
+      }
+    }
+    return false;
+  }, optionType);
+  if (!clicked) return false;
+  
+  log.debug(`Switched to ${optionType === 'put' ? 'cash-secured puts' : 'covered calls'}, waiting for strikes to render...`, { asset });
+  await waitForSettledContent(page, asset, { timeout: 10000 });
+  return true;
+}
@@ -0,0 +1,149 @@
+import { createRyskTakerClient } from '../ryskTaker.js';
+import { getAssetMarketData } from '../market.js';
+import { RYSK_ASSETS } from '../assets.js';
+import { createLogger } from '../logger.js';
+import { parseExpiry } from '../expiry.js';
+
+const log = createLogger('websocket');
+
+const INITIAL_QUOTES_TIMEOUT = 5000;
+const PUSH_DEBOUNCE = 1000;
+
+// Live quote source fed by the Rysk taker WebSocket instead of DOM scraping.
+// Strikes/APRs stream in continuously; spot prices and volatilities are
+// refreshed from CoinGecko/Deribit whenever a snapshot is fetched. Listeners
+// registered with onSnapshot() receive a fresh snapshot after each batch of
+// pushed quotes, so the /api/quotes cache updates between refreshes.
+// fetchImpl is passed to the market data feeds (see api/market.js).
+export function createWebSocketSource({ url, subscribeMethod = 'subscribe', client, fetchImpl } = {}) {
+  const taker = client || createRyskTakerClient({ url });
+  const strikesByAsset = new Map(RYSK_ASSETS.map(name => [name, new Map()]));
+  const listeners = new Set();
+  let marketData = null;
+  let started = false;
+  let pushTimer = null;
+  let initialQuotes = null;
+
+  function start() {
+    if (started) return;
+    started = true;
+
+    let resolveInitial;
+    initialQuotes = new Promise(resolve => {
+      resolveInitial = resolve;
+    });
+    const timeout = setTimeout(resolveInitial, INITIAL_QUOTES_TIMEOUT);
+
+    const handlePayload = (payload) => {
+      if (applyQuotes(extractQuotes(payload)) > 0) {
+        clearTimeout(timeout);
+        resolveInitial();
+        schedulePush();
+      }
+    };
+
+    taker.on('notification', (method, params) => handlePayload(params));
+    taker.on('result', (method, params, result) => handlePayload(result));
+
+    for (const asset of RYSK_ASSETS) {
+      taker.subscribe(subscribeMethod, { channel: 'quotes', asset });
+    }
+    taker.connect();
+  }
+
+  // Upsert pushed quotes by expiry, strike and call/put; returns how many were applied
+  function applyQuotes(items) {
+    for (const item of items) {
+      const strikes = strikesByAsset.get(item.asset);
+      const key = `${item.expiry}:${item.strikePrice}:${item.optionType}`;
+      if (item.removed) {
+        strikes.delete(key);
+      } else {
+        strikes.set(key, {
+          strikePrice: item.strikePrice,
+          apr: item.apr,
+          premium: item.premium,
+          expiry: item.expiry,
+          optionType: item.optionType,
+          source: 'websocket'
+        });
+      }
+    }
+    return items.length;
+  }
+
+  function schedulePush() {
+    if (!marketData || listeners.size === 0 || pushTimer) return;
+    pushTimer = setTimeout(() => {
+      pushTimer = null;
+      const snapshot = buildSnapshot();
+      for (const listener of listeners) {
+        listener(snapshot);
+      }
+    }, PUSH_DEBOUNCE);
+  }
+
+  function buildSnapshot() {
+    return {
+      source: 'websocket',
+      capturedAt: new Date().toISOString(),
+      assets: marketData.map(asset => ({
+        ...asset,
+        strikeData: [...strikesByAsset.get(asset.name).values()].sort((a, b) => a.strikePrice - b.strikePrice)
+      }))
+    };
+  }
+
+  return {
+    name: 'websocket',
+    start,
+    fetchSnapshot: async () => {
+      start();
+      marketData = await getAssetMarketData({ fetchImpl });
+      await initialQuotes;
+      if (!taker.isConnected()) {
+        log.warn('Rysk taker socket not connected - serving last received quotes');
+      }
+      return buildSnapshot();
+    },
+    onSnapshot: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => taker.close()
+  };
+}
+
+// Pushes may wrap quotes as { result }, { data } or { quotes }, singly or as arrays
+function extractQuotes(payload) {
+  const data = payload?.result ?? payload?.data ?? payload;
+  const items = Array.isArray(data) ? data : Array.isArray(data?.quotes) ? data.quotes : [data];
+  return items.map(normalizeQuote).filter(Boolean);
+}
+
+function normalizeQuote(item) {
+  if (!item || typeof item !== 'object') return null;
+
+  const asset = item.asset ?? item.underlying ?? item.symbol;
+  const strikePrice = Number(item.strike ?? item.strikePrice);
+  const apr = Number(item.apr);
+
+  if (!RYSK_ASSETS.includes(asset) || !Number.isFinite(strikePrice)) return null;
+  if (!item.removed && !(apr > 0)) return null;
+
+  return {
+    asset,
+    strikePrice,
+    apr,
+    premium: item.premium !== undefined && item.premium !== null ? Number(item.premium) : null,
+    expiry: parseExpiry(item.expiry ?? item.expiration ?? item.maturity),
+    optionType: parseOptionType(item),
+    removed: Boolean(item.removed)
+  };
+}
+
+// Calls unless the push says otherwise: optionType/type ('put', 'P') or isPut
+function parseOptionType(item) {
+  const type = String(item.optionType ?? item.type ?? '').toLowerCase();
+  return type === 'put' || type === 'p' || item.isPut === true ? 'put' : 'call';
+}
@@ -0,0 +1,52 @@
+const HEARTBEAT_INTERVAL = 25 * 1000; // Below the usual 30-60s idle timeout of proxies
+
+// Server-Sent Events fan-out for /api/stream. Every connected dashboard gets
+// each broadcast as `event: <name>` with a JSON `data:` line; a comment line
+// is sent between events so idle connections are not dropped.
+export function createEventStream({ heartbeatInterval = HEARTBEAT_INTERVAL } = {}) {
+  const clients = new Set();
+  let heartbeat = null;
+
+  const format = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  return {
+    // Take over an HTTP response and send it the initial events, e.g. the
+    // current status and quotes so a new client does not wait for a change
+    connect: (req, res, initialEvents = []) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+      });
+      res.write('retry: 5000\n\n');
+      for (const { event, data } of initialEvents) {
+        res.write(format(event, data));
+      }
+
+      clients.add(res);
+      if (!heartbeat) {
+        heartbeat = setInterval(() => {
+          for (const client of clients) client.write(': ping\n\n');
+        }, heartbeatInterval);
+        heartbeat.unref();
+      }
+
+      req.on('close', () => {
+        clients.delete(res);
+        if (clients.size === 0 && heartbeat) {
+          clearInterval(heartbeat);
+          heartbeat = null;
+        }
+      });
+    },
+
+    broadcast: (event, data) => {
+      if (clients.size === 0) return;
+      const message = format(event, data);
+      for (const client of clients) client.write(message);
+    },
+
+    clientCount: () => clients.size
+  };
+}
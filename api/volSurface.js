@@ -0,0 +1,128 @@
+import { parseExpiry, yearsToExpiry } from './expiry.js';
+
+// Implied volatility surface built from a Deribit option chain (mark IV per
+// instrument). The surface is plain JSON so it can travel inside quote source
+// snapshots and be replayed from fixtures:
+//   { currency, indexPrice, capturedAt, slices: [{ expiry, forward, points: [{ strike, iv }] }] }
+// Each slice is one listed expiry; points use the out-of-the-money side (puts
+// below the forward, calls above) since those marks are the most liquid.
+
+// Deribit instrument names look like BTC-29AUG25-120000-C
+function parseInstrumentName(name) {
+  const match = /^([A-Z]+)-(\d{1,2}[A-Z]{3}\d{2})-(\d+(?:d\d+)?)-([CP])$/.exec(name || '');
+  if (!match) return null;
+  return {
+    expiry: parseExpiry(match[2]),
+    strike: Number(match[3].replace('d', '.')),
+    type: match[4] === 'C' ? 'call' : 'put'
+  };
+}
+
+// Build a surface from public/get_book_summary_by_currency (kind=option) results
+export function buildVolSurface(currency, chain, { capturedAt = new Date().toISOString() } = {}) {
+  const nowSeconds = Math.floor(new Date(capturedAt).getTime() / 1000);
+  const slices = new Map();
+  let indexPrice = null;
+
+  for (const entry of chain) {
+    const instrument = parseInstrumentName(entry.instrument_name);
+    const iv = Number(entry.mark_iv) / 100; // Deribit quotes IV in percent
+    const forward = Number(entry.underlying_price);
+    if (!instrument || instrument.expiry === null || instrument.expiry <= nowSeconds) continue;
+    if (!(iv > 0) || !(forward > 0)) continue;
+
+    if (indexPrice === null && Number(entry.estimated_delivery_price) > 0) {
+      indexPrice = Number(entry.estimated_delivery_price);
+    }
+
+    if (!slices.has(instrument.expiry)) {
+      slices.set(instrument.expiry, { expiry: instrument.expiry, forward, strikes: new Map() });
+    }
+    const slice = slices.get(instrument.expiry);
+    const otm = instrument.type === 'call' ? instrument.strike >= forward : instrument.strike < forward;
+    const existing = slice.strikes.get(instrument.strike);
+    // Prefer the OTM side, but keep the other side when it is the only mark
+    if (!existing || (otm && !existing.otm)) {
+      slice.strikes.set(instrument.strike, { strike: instrument.strike, iv, otm });
+    }
+  }
+
+  return {
+    currency,
+    indexPrice,
+    capturedAt,
+    slices: [...slices.values()]
+      .map(slice => ({
+        expiry: slice.expiry,
+        forward: slice.forward,
+        points: [...slice.strikes.values()]
+          .map(({ strike, iv }) => ({ strike, iv }))
+          .sort((a, b) => a.strike - b.strike)
+      }))
+      .filter(slice => slice.points.length > 0)
+      .sort((a, b) => a.expiry - b.expiry)
+  };
+}
+
+// Linear interpolation in log-moneyness within one slice, flat beyond the wings
+function sliceVolatility(slice, logMoneyness) {
+  const points = slice.points.map(point => ({ k: Math.log(point.strike / slice.forward), iv: point.iv }));
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  if (logMoneyness <= first.k) return { iv: first.iv, extrapolated: logMoneyness < first.k };
+  if (logMoneyness >= last.k) return { iv: last.iv, extrapolated: logMoneyness > last.k };
+
+  for (let i = 1; i < points.length; i++) {
+    if (logMoneyness <= points[i].k) {
+      const left = points[i - 1];
+      const right = points[i];
+      const weight = (logMoneyness - left.k) / (right.k - left.k);
+      return { iv: left.iv + weight * (right.iv - left.iv), extrapolated: false };
+    }
+  }
+  return { iv: last.iv, extrapolated: true };
+}
+
+// Volatility for one strike/expiry off the surface. Moneyness is measured
+// against each slice's forward, rescaled to the quote's spot so a small
+// CoinGecko/Deribit index mismatch does not shift the smile. Between expiries
+// total variance (iv^2 * t) is interpolated linearly in time; outside the listed
+// expiries the nearest slice is used flat. Returns null when the surface is empty.
+export function surfaceVolatility(surface, strike, spot, timeToExpiry, nowSeconds) {
+  if (!surface || !surface.slices || surface.slices.length === 0) return null;
+  if (!(strike > 0) || !(spot > 0) || !(timeToExpiry > 0)) return null;
+
+  const spotScale = surface.indexPrice ? spot / surface.indexPrice : 1;
+  const slices = surface.slices
+    .map(slice => ({ ...slice, t: yearsToExpiry(slice.expiry, nowSeconds) }))
+    .filter(slice => slice.t > 0);
+  if (slices.length === 0) return null;
+
+  const volAt = (slice) => sliceVolatility(slice, Math.log(strike / (slice.forward * spotScale)));
+
+  if (timeToExpiry <= slices[0].t) {
+    const { iv, extrapolated } = volAt(slices[0]);
+    return { volatility: iv, extrapolated: extrapolated || timeToExpiry < slices[0].t };
+  }
+  const lastSlice = slices[slices.length - 1];
+  if (timeToExpiry >= lastSlice.t) {
+    const { iv, extrapolated } = volAt(lastSlice);
+    return { volatility: iv, extrapolated: extrapolated || timeToExpiry > lastSlice.t };
+  }
+
+  const rightIndex = slices.findIndex(slice => slice.t >= timeToExpiry);
+  const left = slices[rightIndex - 1];
+  const right = slices[rightIndex];
+  const leftVol = volAt(left);
+  const rightVol = volAt(right);
+  const leftVariance = leftVol.iv * leftVol.iv * left.t;
+  const rightVariance = rightVol.iv * rightVol.iv * right.t;
+  const weight = (timeToExpiry - left.t) / (right.t - left.t);
+  const variance = leftVariance + weight * (rightVariance - leftVariance);
+
+  return {
+    volatility: Math.sqrt(variance / timeToExpiry),
+    extrapolated: leftVol.extrapolated || rightVol.extrapolated
+  };
+}
@@ -0,0 +1,20 @@
+// Shared scaffold for the offline test scripts (test-*.js): check() prints a
+// ✅/❌ line per assertion and counts the failures; finish() reports them and
+// exits non-zero, so `npm test` fails when any check did
+export function createChecks() {
+  let failures = 0;
+
+  const check = (condition, message) => {
+    console.log(`${condition ? '✅' : '❌'} ${message}`);
+    if (!condition) failures++;
+  };
+
+  const finish = () => {
+    if (failures > 0) {
+      console.log(`\n${failures} check(s) failed`);
+      process.exit(1);
+    }
+  };
+
+  return { check, finish };
+}
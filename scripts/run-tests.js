@@ -0,0 +1,35 @@
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// `npm test`: runs the offline test scripts one after another and fails when
+// any of them does. test-rysk-websocket*.js are live connection probes against
+// Rysk and are not part of the suite
+const TESTS = [
+  'test-rysk-parser.js',
+  'test-vol-surface.js',
+  'test-websocket-source.js',
+  'test-browser-pool.js',
+  'test-quote-cache.js',
+  'test-history.js',
+  'test-alerts.js',
+  'test-spot-prices.js',
+  'test-realized-vol.js',
+  'test-positions.js',
+  'test-optimizer.js'
+];
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const only = process.argv.slice(2);
+const failed = [];
+
+for (const test of only.length > 0 ? TESTS.filter(name => only.some(filter => name.includes(filter))) : TESTS) {
+  console.log(`\n▶ ${test}`);
+  const result = spawnSync(process.execPath, [test], { cwd: root, stdio: 'inherit', timeout: 120 * 1000 });
+  if (result.status !== 0) failed.push(test);
+}
+
+if (failed.length > 0) {
+  console.log(`\n${failed.length} test script(s) failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
+console.log('\nAll test scripts passed');
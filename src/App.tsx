@@ -1,19 +1,59 @@
-import { useEffect, useState, useCallback } from 'react';
+import { Fragment, useEffect, useState, useCallback, useRef } from 'react';
 import './App.css';
 import ThemeSwitcher from './components/ThemeSwitcher';
+import TermStructure from './components/TermStructure';
+import DataQualityBadges from './components/DataQualityBadges';
+import AprHistoryChart from './components/AprHistoryChart';
+import VolSmile from './components/VolSmile';
+import StreamStatus from './components/StreamStatus';
+import ExportLinks from './components/ExportLinks';
+import Portfolio from './components/Portfolio';
+import Optimizer from './components/Optimizer';
+import type { AssetConfig, OptionType, PricingModel, Quote, RateSource, RefreshStatus, StreamConnection, VolatilityEstimator, VolatilitySource } from './types/quote';
 
-interface Quote {
-  asset: string;
-  strike: number;
-  expiry: number;
-  premium: number | null; // Only real scraped premiums from Rysk, null if not found
-  apr: number;
-  spotPrice: number;
-  timeToExpiry: number;
-  riskFreeRate: number;
-  volatility: number;
-  theoreticalApr?: number;
-  excessApr?: number;
+const DEFAULT_PRICING_MODEL = 'black-scholes';
+
+// Quotes arrive priced by the backend with the default model. Quotes priced
+// with another model than the selected one (or not at all) are repriced in
+// one call to the batch endpoint
+async function priceQuotes(quotesArray: Quote[], pricingModel: string, onBatch?: (count: number) => void): Promise<Quote[]> {
+  const unpricedIndexes = quotesArray
+    .map((quote, index) => (
+      (quote.theoreticalApr === undefined || quote.pricingModel !== pricingModel) && quote.spotPrice !== null && quote.volatility !== null ? index : -1
+    ))
+    .filter(index => index >= 0);
+  const quotesWithTheoreticalAPR: Quote[] = [...quotesArray];
+  if (unpricedIndexes.length === 0) {
+    return quotesWithTheoreticalAPR;
+  }
+
+  onBatch?.(unpricedIndexes.length);
+  try {
+    const batchResponse = await fetch('/api/theoretical_apr/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: pricingModel,
+        inputs: unpricedIndexes.map(index => {
+          const quote = quotesArray[index];
+          return { s: quote.spotPrice, k: quote.strike, t: quote.timeToExpiry, r: quote.riskFreeRate, q: quote.dividendYield ?? 0, type: quote.optionType, sigma: quote.volatility, apr: quote.apr };
+        })
+      })
+    });
+    if (!batchResponse.ok) {
+      throw new Error(`Batch pricing failed (${batchResponse.status})`);
+    }
+    const { results } = await batchResponse.json();
+    results.forEach((result: { index: number; theoreticalApr?: number; excessApr?: number; ryskImpliedVol?: number | null; error?: string }) => {
+      const quoteIndex = unpricedIndexes[result.index];
+      quotesWithTheoreticalAPR[quoteIndex] = result.error
+        ? { ...quotesArray[quoteIndex], theoreticalApr: null, excessApr: null, ryskImpliedVol: null }
+        : { ...quotesArray[quoteIndex], pricingModel, theoreticalApr: result.theoreticalApr, excessApr: result.excessApr, ryskImpliedVol: result.ryskImpliedVol ?? null };
+    });
+  } catch (error) {
+    console.warn('Failed to calculate theoretical APRs:', error);
+  }
+  return quotesWithTheoreticalAPR;
 }
 
 function App() {
@@ -23,6 +63,44 @@ function App() {
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [loadingMessage, setLoadingMessage] = useState('Initializing...');
+  const [expandedHistory, setExpandedHistory] = useState<string | null>(null);
+  const [hidePlaceholders, setHidePlaceholders] = useState(() => localStorage.getItem('hidePlaceholders') === 'true');
+  const [showGreeks, setShowGreeks] = useState(() => localStorage.getItem('showGreeks') === 'true');
+  const [pricingModel, setPricingModel] = useState(() => localStorage.getItem('pricingModel') || DEFAULT_PRICING_MODEL);
+  const [pricingModels, setPricingModels] = useState<PricingModel[]>([]);
+  const [assetConfigs, setAssetConfigs] = useState<Record<string, AssetConfig>>({});
+  const [optionTabs, setOptionTabs] = useState<Record<string, OptionType>>({});
+  const [streamConnection, setStreamConnection] = useState<StreamConnection>('connecting');
+  const [refreshStatus, setRefreshStatus] = useState<RefreshStatus | null>(null);
+  // Read by the stream listener, which lives for the whole session
+  const pricingModelRef = useRef(pricingModel);
+
+  useEffect(() => {
+    localStorage.setItem('hidePlaceholders', String(hidePlaceholders));
+  }, [hidePlaceholders]);
+
+  useEffect(() => {
+    localStorage.setItem('showGreeks', String(showGreeks));
+  }, [showGreeks]);
+
+  useEffect(() => {
+    localStorage.setItem('pricingModel', pricingModel);
+    pricingModelRef.current = pricingModel;
+  }, [pricingModel]);
+
+  useEffect(() => {
+    fetch('/api/pricing_models')
+      .then(response => (response.ok ? response.json() : []))
+      .then((models: PricingModel[]) => setPricingModels(models))
+      .catch(err => console.warn('Failed to load pricing models:', err));
+  }, []);
+
+  useEffect(() => {
+    fetch('/api/assets')
+      .then(response => (response.ok ? response.json() : []))
+      .then((assets: AssetConfig[]) => setAssetConfigs(Object.fromEntries(assets.map(asset => [asset.name, asset]))))
+      .catch(err => console.warn('Failed to load asset registry:', err));
+  }, []);
 
   const fetchQuotesWithTheoreticalAPR = useCallback(async () => {
     const isInitialLoad = quotes.length === 0;
@@ -58,65 +136,16 @@ function App() {
         return;
       }
 
-      if (isInitialLoad) {
-        setLoadingProgress(40);
-        setLoadingMessage(`Processing ${quotesArray.length} positions...`);
-      }
-
-      // Process quotes in smaller batches to avoid blocking the UI
-      const batchSize = 3;
-      const quotesWithTheoreticalAPR: Quote[] = [];
-      const totalBatches = Math.ceil(quotesArray.length / batchSize);
-      
-      for (let i = 0; i < quotesArray.length; i += batchSize) {
-        const batch = quotesArray.slice(i, i + batchSize);
-        const batchIndex = Math.floor(i / batchSize);
-        
+      const quotesWithTheoreticalAPR = await priceQuotes(quotesArray, pricingModel, count => {
         if (isInitialLoad) {
-          const progress = 40 + (batchIndex / totalBatches) * 50;
-          setLoadingProgress(Math.round(progress));
-          setLoadingMessage(`Calculating theoretical APRs... (${batchIndex + 1}/${totalBatches})`);
-        }
-        
-        const processedBatch = await Promise.all(
-          batch.map(async (quote: Quote) => {
-            if (quote.spotPrice === null || quote.volatility === null) {
-              return { ...quote, theoreticalApr: null, excessApr: null };
-            }
-
-            try {
-              const theoreticalResponse = await fetch(
-                `/api/theoretical_apr?s=${quote.spotPrice}&k=${quote.strike}&t=${quote.timeToExpiry}&r=${quote.riskFreeRate}&sigma=${quote.volatility}`
-              );
-              const theoreticalData = await theoreticalResponse.json();
-              const theoreticalApr = theoreticalData.theoreticalApr || 0;
-              const excessApr = quote.apr - theoreticalApr;
-              return { ...quote, theoreticalApr, excessApr };
-            } catch (error) {
-              console.warn(`Failed to calculate theoretical APR for ${quote.asset}:`, error);
-              return { ...quote, theoreticalApr: null, excessApr: null };
-            }
-          })
-        );
-        
-        quotesWithTheoreticalAPR.push(...processedBatch);
-        
-        // Allow UI to update between batches - use requestAnimationFrame for smoother updates
-        if (i + batchSize < quotesArray.length) {
-          await new Promise(resolve => {
-            requestAnimationFrame(() => {
-              setTimeout(resolve, 5); // Reduced from 10ms for faster loading
-            });
-          });
+          setLoadingProgress(60);
+          setLoadingMessage(`Calculating theoretical APRs for ${count} positions...`);
         }
-      }
+      });
 
       if (isInitialLoad) {
-        setLoadingProgress(95);
-        setLoadingMessage('Finalizing dashboard...');
-        // Small delay to show completion
-        await new Promise(resolve => setTimeout(resolve, 200));
         setLoadingProgress(100);
+        setLoadingMessage('Finalizing dashboard...');
       }
 
       setQuotes(quotesWithTheoreticalAPR);
@@ -134,7 +163,25 @@ function App() {
         setIsRefreshing(false);
       }
     }
-  }, [quotes.length]);
+  }, [quotes.length, pricingModel]);
+
+  // Refresh button: have the backend scrape now - the new quotes arrive over
+  // /api/stream. Without a live stream, reload /api/quotes instead
+  const requestRefresh = useCallback(async () => {
+    if (streamConnection !== 'live') {
+      fetchQuotesWithTheoreticalAPR();
+      return;
+    }
+    try {
+      const response = await fetch('/api/refresh', { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`Refresh request failed (${response.status})`);
+      }
+    } catch (err) {
+      console.warn('Failed to request a refresh:', err);
+      fetchQuotesWithTheoreticalAPR();
+    }
+  }, [streamConnection, fetchQuotesWithTheoreticalAPR]);
 
   useEffect(() => {
     // Use requestAnimationFrame to ensure theme switcher renders immediately
@@ -146,14 +193,63 @@ function App() {
     });
   }, [fetchQuotesWithTheoreticalAPR]);
 
-  // Group quotes by asset
-  const groupedQuotes = quotes.reduce((acc, quote) => {
+  // Live updates: the backend pushes its refresh status and every new set of
+  // quotes, which replace the tables once priced with the selected model.
+  // EventSource reconnects by itself after a dropped connection
+  useEffect(() => {
+    const stream = new EventSource('/api/stream');
+    let latestUpdate = 0; // Drop repricings that finish after a newer push
+
+    stream.onopen = () => setStreamConnection('live');
+    stream.onerror = () => setStreamConnection(stream.readyState === EventSource.CLOSED ? 'offline' : 'reconnecting');
+    stream.addEventListener('status', (event: MessageEvent) => {
+      setRefreshStatus(JSON.parse(event.data));
+    });
+    stream.addEventListener('quotes', (event: MessageEvent) => {
+      const { quotes: pushedQuotes } = JSON.parse(event.data) as { quotes: Quote[] };
+      if (pushedQuotes.length === 0) return;
+      const update = ++latestUpdate;
+      priceQuotes(pushedQuotes, pricingModelRef.current).then(pricedQuotes => {
+        if (update !== latestUpdate) return;
+        setQuotes(pricedQuotes);
+        setError(null);
+      });
+    });
+
+    return () => stream.close();
+  }, []);
+
+  // Reloading here or scraping on the backend (as last reported by a live stream)
+  const updating = isRefreshing || (streamConnection === 'live' && (refreshStatus?.isRefreshing ?? false));
+
+  // Placeholder rows are fabricated from spot when scraping fails - optionally hide them
+  const placeholderCount = quotes.filter(quote => quote.dataQuality?.placeholder).length;
+  const visibleQuotes = hidePlaceholders ? quotes.filter(quote => !quote.dataQuality?.placeholder) : quotes;
+
+  // Group quotes by asset, then by expiry
+  const groupedQuotes = visibleQuotes.reduce((acc, quote) => {
     if (!acc[quote.asset]) {
-      acc[quote.asset] = [];
+      acc[quote.asset] = {};
+    }
+    if (!acc[quote.asset][quote.expiry]) {
+      acc[quote.asset][quote.expiry] = [];
     }
-    acc[quote.asset].push(quote);
+    acc[quote.asset][quote.expiry].push(quote);
     return acc;
-  }, {} as Record<string, Quote[]>);
+  }, {} as Record<string, Record<number, Quote[]>>);
+
+  const listedExpiries = [...new Set(quotes.map(quote => quote.expiry))].sort((a, b) => a - b);
+
+  // Term structure compares covered call APRs; puts earn on different collateral
+  const callsByExpiry = (quotesByExpiry: Record<number, Quote[]>) => Object.fromEntries(
+    Object.entries(quotesByExpiry)
+      .map(([expiry, expiryQuotes]) => [expiry, expiryQuotes.filter(quote => quote.optionType === 'call')])
+      .filter(([, expiryQuotes]) => expiryQuotes.length > 0)
+  ) as Record<number, Quote[]>;
+
+  const daysToExpiry = (expiry: number) => {
+    return Math.max(0, Math.ceil((expiry * 1000 - Date.now()) / (1000 * 60 * 60 * 24)));
+  };
 
   const formatPercentage = (value: number) => {
     return `${(value * 100).toFixed(1)}%`;
@@ -164,14 +260,20 @@ function App() {
     return value > 0 ? `+${percentage} pp` : `${percentage} pp`;
   };
 
+  // Export query matching what is on screen: selected model, greeks and placeholder toggles
+  const exportQuery = (asset?: string, expiry?: number) => {
+    const params = new URLSearchParams({ include: showGreeks ? 'theo,greeks' : 'theo', model: pricingModel });
+    if (asset) params.set('asset', asset);
+    if (expiry) params.set('expiry', String(expiry));
+    if (hidePlaceholders) params.set('placeholders', 'false');
+    return params.toString();
+  };
 
 
-  const formatStrike = (strike: number | null, asset: string) => {
-    if (strike === null) return 'N/A';
-    if (asset === 'UBTC' || asset === 'UETH') {
-      return `${strike.toLocaleString()}`;
-    }
-    return `${strike.toFixed(4)}`;
+  // Strikes and spot prices use the asset registry's display precision
+  const formatAssetPrice = (price: number | null, asset: string) => {
+    if (price === null) return 'N/A';
+    return price.toLocaleString(undefined, { maximumFractionDigits: assetConfigs[asset]?.displayDecimals ?? 4 });
   };
 
   const formatPremium = (premium: number | null) => {
@@ -179,18 +281,54 @@ function App() {
     return premium > 1 ? `${premium.toFixed(2)}` : `${premium.toFixed(4)}`;
   };
 
-  const formatSpotPrice = (price: number | null, asset: string) => {
-    if (price === null) return 'N/A';
-    if (asset === 'UBTC' || asset === 'UETH') {
-      return `${price.toLocaleString()}`;
-    }
-    return `${price.toFixed(4)}`;
+  // Greeks scale with the underlying - keep a few significant digits for small-price tokens
+  const formatGreek = (value: number) => {
+    if (value === 0) return '0';
+    return Math.abs(value) >= 1 ? value.toFixed(2) : value.toPrecision(3);
   };
 
   const formatVolatility = (vol: number | null) => {
     return vol !== null ? `${(vol * 100).toFixed(1)}%` : 'N/A';
   };
 
+  const volatilitySourceLabels: Record<VolatilitySource, string> = {
+    deribit_surface: 'Deribit IV surface',
+    deribit_historical: 'Deribit historical',
+    realized: 'Realized',
+    default: 'Default',
+  };
+
+  const volatilityEstimatorLabels: Record<VolatilityEstimator, string> = {
+    close_to_close: 'close-to-close',
+    ewma: 'EWMA',
+    parkinson: 'Parkinson',
+  };
+
+  // Realized vols name their estimator and window, e.g. "Realized EWMA 30d"
+  const describeVolatilitySource = (quote?: Quote) => {
+    if (!quote?.volatilitySource) return null;
+    const estimate = quote.volatilityEstimate;
+    if (quote.volatilitySource === 'realized' && estimate) {
+      return `Realized ${volatilityEstimatorLabels[estimate.estimator]} ${estimate.window}d`;
+    }
+    return volatilitySourceLabels[quote.volatilitySource];
+  };
+
+  const rateSourceLabels: Record<RateSource, string> = {
+    deribit_basis: 'Deribit basis',
+    override: 'Override',
+    base: 'Base rate',
+  };
+
+  // Header vol: a range when strikes are priced off the surface, else the asset vol
+  const formatVolatilityRange = (assetQuotes: Quote[]) => {
+    const vols = assetQuotes.map(quote => quote.volatility).filter((vol): vol is number => vol !== null);
+    if (vols.length === 0) return 'N/A';
+    const minVol = Math.min(...vols);
+    const maxVol = Math.max(...vols);
+    return minVol === maxVol ? formatVolatility(minVol) : `${formatVolatility(minVol)}–${formatVolatility(maxVol)}`;
+  };
+
 
 
   if (error) {
@@ -286,18 +424,19 @@ function App() {
             </div>
           </div>
           <div className="flex items-center space-x-4">
-            {isRefreshing && (
+            <StreamStatus connection={streamConnection} status={refreshStatus} />
+            {updating && (
               <div className="flex items-center space-x-2 text-blue-400 text-sm">
                 <div className="animate-spin rounded-full h-4 w-4 border-2 border-blue-400 border-t-transparent"></div>
                 <span>Updating...</span>
               </div>
             )}
             <button 
-              onClick={fetchQuotesWithTheoreticalAPR}
-              disabled={loading || isRefreshing}
+              onClick={requestRefresh}
+              disabled={loading || updating}
               className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white rounded-lg transition-colors duration-200 text-sm font-medium disabled:cursor-not-allowed flex items-center space-x-2"
             >
-              {isRefreshing ? (
+              {updating ? (
                 <>
                   <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent"></div>
                   <span>Updating...</span>
@@ -331,104 +470,256 @@ function App() {
               <strong>Red:</strong> Poor pricing for sellers
             </div>
           </div>
+          <div className="mt-3 pt-3 border-t border-white/10 flex flex-col md:flex-row md:items-center md:justify-between gap-2 text-xs text-gray-300">
+            <div>
+              <span className="px-1.5 py-0.5 rounded font-semibold uppercase text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900">Placeholder</span> rows are not real Rysk strikes
+              {placeholderCount > 0 && ` (${placeholderCount} in current data)`}
+            </div>
+            <div className="flex items-center space-x-4">
+              {quotes.length > 0 && <ExportLinks label="Export all" query={exportQuery()} />}
+              {pricingModels.length > 0 && (
+                <label className="flex items-center space-x-2" title={pricingModels.find(model => model.id === pricingModel)?.description}>
+                  <span>Theo model</span>
+                  <select
+                    value={pricingModel}
+                    onChange={event => setPricingModel(event.target.value)}
+                    disabled={loading || isRefreshing}
+                    className="rounded bg-gray-800 border border-white/20 text-gray-200 text-xs px-1.5 py-0.5"
+                  >
+                    {pricingModels.map(model => (
+                      <option key={model.id} value={model.id}>{model.label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showGreeks}
+                  onChange={event => setShowGreeks(event.target.checked)}
+                  className="rounded"
+                />
+                <span>Show greeks &amp; P(ITM)</span>
+              </label>
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={hidePlaceholders}
+                  onChange={event => setHidePlaceholders(event.target.checked)}
+                  className="rounded"
+                />
+                <span>Hide placeholder rows</span>
+              </label>
+            </div>
+          </div>
         </div>
 
-        {/* Asset Cards */}
+        <Portfolio assets={Object.keys(assetConfigs)} quotes={quotes} />
+        <Optimizer assets={Object.keys(assetConfigs)} />
+
+        {/* Asset Cards - one per asset × expiry, with a term structure view when an asset lists several expiries */}
         <div className="space-y-6">
-          {Object.entries(groupedQuotes).map(([asset, assetQuotes]) => {
-            const spotPrice = assetQuotes[0]?.spotPrice;
-            const volatility = assetQuotes[0]?.volatility;
-            const expiry = assetQuotes[0]?.expiry;
-            
+          {Object.entries(groupedQuotes).map(([asset, quotesByExpiry]) => {
+            const expiries = Object.keys(quotesByExpiry).map(Number).sort((a, b) => a - b);
+            const callQuotesByExpiry = callsByExpiry(quotesByExpiry);
+
             return (
-              <div key={asset} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden shadow-sm">
-                {/* Asset Header */}
-                <div className="bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600 p-3">
-                  <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between">
-                    <div className="mb-2 lg:mb-0">
-                      <h2 className="text-lg font-bold text-gray-900 dark:text-white">{asset}</h2>
-                      <p className="text-gray-600 dark:text-gray-300 text-sm">Covered Call Options</p>
-                    </div>
-                    <div className="text-xs text-gray-600 dark:text-gray-300">
-                      Spot: {formatSpotPrice(spotPrice, asset)} | 
-                      Vol: {formatVolatility(volatility)} | 
-                      Expiry: {expiry ? new Date(expiry * 1000).toLocaleDateString() : 'N/A'}
-                    </div>
-                  </div>
-                </div>
+              <div key={asset} className="space-y-3">
+                {Object.keys(callQuotesByExpiry).length > 1 && (
+                  <TermStructure asset={asset} quotesByExpiry={callQuotesByExpiry} />
+                )}
+                <VolSmile asset={asset} quotesByExpiry={quotesByExpiry} />
+                {expiries.map(expiry => {
+                  const cardKey = `${asset}-${expiry}`;
+                  const expiryQuotes = quotesByExpiry[expiry];
+                  const callCount = expiryQuotes.filter(quote => quote.optionType === 'call').length;
+                  const putCount = expiryQuotes.length - callCount;
+                  // Calls by default, unless this expiry only lists puts
+                  const optionType = optionTabs[cardKey] ?? (callCount > 0 ? 'call' : 'put');
+                  const assetQuotes = expiryQuotes.filter(quote => quote.optionType === optionType);
+                  const spotPrice = expiryQuotes[0]?.spotPrice;
+                  const volatilityLabel = describeVolatilitySource(expiryQuotes[0]);
+                  const { riskFreeRate, rateSource, dividendYield } = expiryQuotes[0] || {};
+            
+                  return (
+                    <div key={cardKey} className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden shadow-sm">
+                      {/* Asset Header */}
+                      <div className="bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600 p-3">
+                        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between">
+                          <div className="mb-2 lg:mb-0">
+                            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+                              {asset} <span className="text-gray-500 dark:text-gray-400 font-medium">· {new Date(expiry * 1000).toLocaleDateString()}</span>
+                            </h2>
+                            <p className="text-gray-600 dark:text-gray-300 text-sm">{optionType === 'put' ? 'Cash-Secured Put Options' : 'Covered Call Options'}</p>
+                            <div className="inline-flex mt-2 rounded border border-gray-300 dark:border-gray-600 overflow-hidden text-xs font-medium" role="tablist">
+                              {(['call', 'put'] as const).map(type => (
+                                <button
+                                  key={type}
+                                  role="tab"
+                                  aria-selected={optionType === type}
+                                  disabled={(type === 'call' ? callCount : putCount) === 0}
+                                  onClick={() => setOptionTabs(tabs => ({ ...tabs, [cardKey]: type }))}
+                                  className={`px-3 py-1 disabled:text-gray-400 disabled:cursor-not-allowed ${optionType === type ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                                >
+                                  {type === 'call' ? 'Calls' : 'Puts'} ({type === 'call' ? callCount : putCount})
+                                </button>
+                              ))}
+                            </div>
+                            {expiryQuotes.every(quote => quote.dataQuality?.placeholder) && (
+                              <p className="text-red-600 dark:text-red-400 text-xs font-semibold mt-1">
+                                Placeholder strikes only - Rysk scraping found no real strikes for this asset
+                              </p>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-600 dark:text-gray-300">
+                            Spot: {formatAssetPrice(spotPrice, asset)} | 
+                            Vol: {formatVolatilityRange(assetQuotes)}{volatilityLabel ? ` (${volatilityLabel})` : ''} | 
+                            Rate: {riskFreeRate !== undefined ? `${(riskFreeRate * 100).toFixed(2)}%` : 'N/A'}{rateSource ? ` (${rateSourceLabels[rateSource]})` : ''}{dividendYield ? `, yield ${(dividendYield * 100).toFixed(2)}%` : ''} | 
+                            Expiry: {new Date(expiry * 1000).toLocaleDateString()} ({daysToExpiry(expiry)} days)
+                            <div className="mt-2 flex lg:justify-end">
+                              <ExportLinks query={exportQuery(asset, expiry)} />
+                            </div>
+                          </div>
+                        </div>
+                      </div>
                 
-                {/* Options Table */}
-                <div className="overflow-x-auto">
-                  <table className="min-w-full">
-                    <thead>
-                      <tr className="border-b border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700">
-                        <th className="py-3 px-4 text-left text-gray-700 dark:text-gray-300 font-semibold">Strike</th>
-                        <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Premium</th>
-                        <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Rysk APR</th>
-                        <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Theo APR</th>
-                        <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Δ Excess</th>
-                        <th className="py-3 px-4 text-center text-gray-700 dark:text-gray-300 font-semibold">Moneyness</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {assetQuotes.map((quote, index) => {
-                        const moneyness = quote.spotPrice ? quote.strike / quote.spotPrice : null;
-                        const moneynessLabel = moneyness === null ? 'N/A' : 
-                          moneyness > 1.05 ? 'OTM' : moneyness < 0.95 ? 'ITM' : 'ATM';
-                        const moneynessColor = moneyness === null ? 'text-gray-400 dark:text-gray-500' :
-                          moneyness > 1.05 ? 'text-blue-600 dark:text-blue-400' : moneyness < 0.95 ? 'text-purple-600 dark:text-purple-400' : 'text-gray-700 dark:text-gray-300';
+                      {/* Options Table */}
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full">
+                          <thead>
+                            <tr className="border-b border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700">
+                              <th className="py-3 px-4 text-left text-gray-700 dark:text-gray-300 font-semibold">Strike</th>
+                              <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Premium</th>
+                              <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Rysk APR</th>
+                              <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Theo APR</th>
+                              <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Δ Excess</th>
+                              <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold" title="Volatility implied by the Rysk APR vs the asset volatility">Rysk IV / Vol</th>
+                              <th className="py-3 px-4 text-center text-gray-700 dark:text-gray-300 font-semibold">Moneyness</th>
+                              {showGreeks && (
+                                <>
+                                  <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold" title={`Risk-neutral probability of finishing ITM - the chance of being ${optionType === 'put' ? 'assigned' : 'called away'}`}>P(ITM)</th>
+                                  <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Δ Delta</th>
+                                  <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold">Γ Gamma</th>
+                                  <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold" title="Per calendar day">Θ Theta</th>
+                                  <th className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-semibold" title="Per 1 vol point">Vega</th>
+                                </>
+                              )}
+                              <th className="py-3 px-4 text-center text-gray-700 dark:text-gray-300 font-semibold">History</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {assetQuotes.map((quote, index) => {
+                              const moneyness = quote.spotPrice ? quote.strike / quote.spotPrice : null;
+                              // Puts are out of the money below spot, calls above it
+                              const isOtm = moneyness !== null && (quote.optionType === 'put' ? moneyness < 0.95 : moneyness > 1.05);
+                              const isItm = moneyness !== null && (quote.optionType === 'put' ? moneyness > 1.05 : moneyness < 0.95);
+                              const moneynessLabel = moneyness === null ? 'N/A' : 
+                                isOtm ? 'OTM' : isItm ? 'ITM' : 'ATM';
+                              const moneynessColor = moneyness === null ? 'text-gray-400 dark:text-gray-500' :
+                                isOtm ? 'text-blue-600 dark:text-blue-400' : isItm ? 'text-purple-600 dark:text-purple-400' : 'text-gray-700 dark:text-gray-300';
                         
-                        const getExcessAPRColorClean = (value: number) => {
-                          if (value > 0.02) return 'text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900';
-                          if (value > 0) return 'text-green-600 bg-green-50 dark:text-green-400 dark:bg-green-800';
-                          if (value > -0.02) return 'text-yellow-700 bg-yellow-100 dark:text-yellow-300 dark:bg-yellow-900';
-                          return 'text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900';
-                        };
+                              const getExcessAPRColorClean = (value: number) => {
+                                if (value > 0.02) return 'text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900';
+                                if (value > 0) return 'text-green-600 bg-green-50 dark:text-green-400 dark:bg-green-800';
+                                if (value > -0.02) return 'text-yellow-700 bg-yellow-100 dark:text-yellow-300 dark:bg-yellow-900';
+                                return 'text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900';
+                              };
                         
-                        const excessAprColor = quote.excessApr !== null && quote.excessApr !== undefined ? 
-                          getExcessAPRColorClean(quote.excessApr) : 'text-gray-400 dark:text-gray-500';
+                              const excessAprColor = quote.excessApr !== null && quote.excessApr !== undefined ? 
+                                getExcessAPRColorClean(quote.excessApr) : 'text-gray-400 dark:text-gray-500';
+                              const historyKey = `${asset}-${expiry}-${quote.optionType}-${quote.strike}`;
                         
-                        return (
-                          <tr key={index} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
-                            <td className="py-3 px-4">
-                              <div className="text-gray-900 dark:text-white font-semibold">{formatStrike(quote.strike, asset)}</div>
-                            </td>
-                            <td className="py-3 px-4 text-right">
-                              <div className="text-gray-700 dark:text-gray-300 font-mono">{formatPremium(quote.premium)}</div>
-                            </td>
-                            <td className="py-3 px-4 text-right">
-                              <div className="text-blue-600 dark:text-blue-400 font-bold">{formatPercentage(quote.apr)}</div>
-                            </td>
-                            <td className="py-3 px-4 text-right">
-                              <div className="text-gray-700 dark:text-gray-300">
-                                {quote.theoreticalApr !== null && quote.theoreticalApr !== undefined ? 
-                                  formatPercentage(quote.theoreticalApr) : 
-                                  <span className="text-gray-400 dark:text-gray-500">—</span>
-                                }
-                              </div>
-                            </td>
-                            <td className="py-3 px-4 text-right">
-                              <div className={`inline-flex items-center px-2 py-1 rounded text-sm font-semibold ${excessAprColor}`}>
-                                {quote.excessApr !== null && quote.excessApr !== undefined ? 
-                                  formatExcessAPR(quote.excessApr) : 
-                                  '—'
-                                }
-                              </div>
-                            </td>
-                            <td className="py-3 px-4 text-center">
-                              <div className={`inline-flex flex-col items-center px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 ${moneynessColor}`}>
-                                <span className="font-semibold text-xs">{moneynessLabel}</span>
-                                <span className="text-xs opacity-75">
-                                  {moneyness !== null ? `${(moneyness * 100).toFixed(0)}%` : '—'}
-                                </span>
-                              </div>
-                            </td>
-                          </tr>
-                        );
-                      })}
-                    </tbody>
-                  </table>
-                </div>
+                              return (
+                                <Fragment key={index}>
+                                  <tr className={`border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors ${quote.dataQuality?.placeholder ? 'opacity-60' : ''}`}>
+                                    <td className="py-3 px-4" title={quote.source ? `Source: ${quote.source}` : undefined}>
+                                      <div className="text-gray-900 dark:text-white font-semibold">{formatAssetPrice(quote.strike, asset)}</div>
+                                      <DataQualityBadges quote={quote} />
+                                    </td>
+                                    <td className="py-3 px-4 text-right">
+                                      <div className="text-gray-700 dark:text-gray-300 font-mono">{formatPremium(quote.premium)}</div>
+                                    </td>
+                                    <td className="py-3 px-4 text-right">
+                                      <div className="text-blue-600 dark:text-blue-400 font-bold">{formatPercentage(quote.apr)}</div>
+                                    </td>
+                                    <td className="py-3 px-4 text-right">
+                                      <div className="text-gray-700 dark:text-gray-300">
+                                        {quote.theoreticalApr !== null && quote.theoreticalApr !== undefined ? 
+                                          formatPercentage(quote.theoreticalApr) : 
+                                          <span className="text-gray-400 dark:text-gray-500">—</span>
+                                        }
+                                      </div>
+                                    </td>
+                                    <td className="py-3 px-4 text-right">
+                                      <div className={`inline-flex items-center px-2 py-1 rounded text-sm font-semibold ${excessAprColor}`}>
+                                        {quote.excessApr !== null && quote.excessApr !== undefined ? 
+                                          formatExcessAPR(quote.excessApr) : 
+                                          '—'
+                                        }
+                                      </div>
+                                    </td>
+                                    <td className="py-3 px-4 text-right" title={quote.ryskImpliedVol === null ? 'Rysk APR is outside Black-Scholes no-arbitrage bounds' : undefined}>
+                                      <div className="text-gray-900 dark:text-white font-semibold">
+                                        {quote.ryskImpliedVol !== null && quote.ryskImpliedVol !== undefined ?
+                                          formatVolatility(quote.ryskImpliedVol) :
+                                          <span className="text-gray-400 dark:text-gray-500">—</span>
+                                        }
+                                      </div>
+                                      <div className="text-xs text-gray-500 dark:text-gray-400">{formatVolatility(quote.volatility)}</div>
+                                      {quote.volatilitySource && (
+                                        <div className="text-[10px] text-gray-400 dark:text-gray-500">{describeVolatilitySource(quote)}</div>
+                                      )}
+                                    </td>
+                                    <td className="py-3 px-4 text-center">
+                                      <div className={`inline-flex flex-col items-center px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 ${moneynessColor}`}>
+                                        <span className="font-semibold text-xs">{moneynessLabel}</span>
+                                        <span className="text-xs opacity-75">
+                                          {moneyness !== null ? `${(moneyness * 100).toFixed(0)}%` : '—'}
+                                        </span>
+                                      </div>
+                                    </td>
+                                    {showGreeks && (
+                                      quote.greeks ? (
+                                        <>
+                                          <td className="py-3 px-4 text-right">
+                                            <div className="text-gray-900 dark:text-white font-semibold">{formatPercentage(quote.greeks.probabilityItm)}</div>
+                                          </td>
+                                          <td className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-mono text-sm">{quote.greeks.delta.toFixed(3)}</td>
+                                          <td className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-mono text-sm">{formatGreek(quote.greeks.gamma)}</td>
+                                          <td className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-mono text-sm">{formatGreek(quote.greeks.theta)}</td>
+                                          <td className="py-3 px-4 text-right text-gray-700 dark:text-gray-300 font-mono text-sm">{formatGreek(quote.greeks.vega)}</td>
+                                        </>
+                                      ) : (
+                                        <td colSpan={5} className="py-3 px-4 text-center text-gray-400 dark:text-gray-500">—</td>
+                                      )
+                                    )}
+                                    <td className="py-3 px-4 text-center">
+                                      <button
+                                        onClick={() => setExpandedHistory(expandedHistory === historyKey ? null : historyKey)}
+                                        disabled={quote.dataQuality?.placeholder}
+                                        title={quote.dataQuality?.placeholder ? 'Placeholder rows are not recorded' : 'Rysk vs theoretical APR over time'}
+                                        className="px-2 py-1 rounded text-xs font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed"
+                                      >
+                                        {expandedHistory === historyKey ? 'Hide' : 'Chart'}
+                                      </button>
+                                    </td>
+                                  </tr>
+                                  {expandedHistory === historyKey && (
+                                    <tr className="border-b border-gray-100 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40">
+                                      <td colSpan={showGreeks ? 13 : 8}>
+                                        <AprHistoryChart asset={asset} strike={quote.strike} expiry={expiry} optionType={quote.optionType} />
+                                      </td>
+                                    </tr>
+                                  )}
+                                </Fragment>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  );
+                })}
               </div>
             );
           })}
@@ -440,10 +731,13 @@ function App() {
             <h4 className="text-gray-900 dark:text-white font-medium mb-2">Data Sources & Assumptions</h4>
             <div className="text-xs text-gray-600 dark:text-gray-300 space-y-1">
               <div><strong>Rysk APRs:</strong> Live data from Rysk V12 (app.rysk.finance)</div>
-              <div><strong>Theoretical APRs:</strong> Black-Scholes model with asset-specific volatilities</div>
-              <div><strong>Risk-free rate:</strong> 4% (US Treasury rate approximation)</div>
-              <div><strong>Contract size:</strong> 0.5 (as per Rysk specification)</div>
-              <div><strong>Expiry:</strong> Aug 29, 2025 ({Math.ceil((new Date('2025-08-29').getTime() - Date.now()) / (1000 * 60 * 60 * 24))} days remaining)</div>
+              <div><strong>Theoretical APRs:</strong> {pricingModels.find(model => model.id === pricingModel)?.label || 'Black-Scholes'} model, each strike priced off the Deribit IV surface (mark IV, interpolated by moneyness and time) where available, else the asset volatility</div>
+              <div><strong>Greeks &amp; P(ITM):</strong> Black-Scholes greeks of the call or put per unit of underlying; P(ITM) is the risk-neutral chance of being called away, N(d2), or assigned on a put, N(-d2)</div>
+              <div><strong>Cash-secured puts:</strong> APRs and premiums are on the strike held as cash collateral, covered calls on the spot value of the underlying</div>
+              <div><strong>Rysk IV:</strong> Volatility at which Black-Scholes reproduces the Rysk APR (Newton/bisection solve)</div>
+              <div><strong>Rates:</strong> Per asset and expiry - the Deribit futures basis for UBTC/UETH, else the base rate (RISK_FREE_RATE, default 4%) or a configured override; kHYPE staking yield is priced as a dividend yield (see /api/rates)</div>
+              <div><strong>Contract sizes:</strong> {Object.values(assetConfigs).map(config => `${config.name} ${config.contractSize}`).join(', ') || '—'} units of the underlying per contract (config/assets.json)</div>
+              <div><strong>Expiries:</strong> Per strike as listed on Rysk ({listedExpiries.length} listed{listedExpiries.length > 0 ? `, nearest in ${daysToExpiry(listedExpiries[0])} days` : ''})</div>
             </div>
           </div>
         </div>
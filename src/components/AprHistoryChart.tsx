@@ -0,0 +1,113 @@
+import { memo, useEffect, useState } from 'react';
+import type { OptionType } from '../types/quote';
+
+interface HistoryPoint {
+  t: number;
+  apr: number;
+  theoreticalApr: number | null;
+  spotPrice: number;
+  volatility: number;
+}
+
+interface HistorySeries {
+  asset: string;
+  strike: number;
+  expiry: number;
+  optionType: OptionType;
+  points: HistoryPoint[];
+}
+
+interface AprHistoryChartProps {
+  asset: string;
+  strike: number;
+  expiry: number;
+  optionType: OptionType;
+}
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 32;
+
+// Rysk APR vs theoretical APR over time for one strike, from /api/history
+const AprHistoryChart = memo(({ asset, strike, expiry, optionType }: AprHistoryChartProps) => {
+  const [points, setPoints] = useState<HistoryPoint[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(`/api/history?asset=${encodeURIComponent(asset)}&strike=${strike}&type=${optionType}`)
+      .then(async response => {
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.message || errorData.error || 'Failed to load APR history');
+        }
+        return response.json();
+      })
+      .then((data: { series: HistorySeries[] }) => {
+        if (cancelled) return;
+        const series = data.series.find(entry => entry.expiry === expiry);
+        setPoints(series ? series.points : []);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load APR history');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [asset, strike, expiry, optionType]);
+
+  if (error) {
+    return <div className="text-sm text-red-600 dark:text-red-400 p-3">{error}</div>;
+  }
+
+  if (points === null) {
+    return <div className="text-sm text-gray-500 dark:text-gray-400 p-3">Loading APR history...</div>;
+  }
+
+  if (points.length < 2) {
+    return (
+      <div className="text-sm text-gray-500 dark:text-gray-400 p-3">
+        Not enough history yet for this strike ({points.length} snapshot{points.length === 1 ? '' : 's'} recorded).
+      </div>
+    );
+  }
+
+  const minTime = points[0].t;
+  const maxTime = points[points.length - 1].t;
+  const aprValues = points.flatMap(point => (point.theoreticalApr !== null ? [point.apr, point.theoreticalApr] : [point.apr]));
+  const minApr = Math.min(...aprValues, 0);
+  const maxApr = Math.max(...aprValues, 0.01);
+
+  const x = (t: number) => CHART_PADDING + ((t - minTime) / (maxTime - minTime)) * (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = (apr: number) => CHART_HEIGHT - CHART_PADDING - ((apr - minApr) / (maxApr - minApr)) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  const ryskPath = points.map(point => `${x(point.t)},${y(point.apr)}`).join(' ');
+  const theoPath = points
+    .filter(point => point.theoreticalApr !== null)
+    .map(point => `${x(point.t)},${y(point.theoreticalApr as number)}`)
+    .join(' ');
+
+  return (
+    <div className="p-3">
+      <div className="flex items-center space-x-4 text-xs text-gray-600 dark:text-gray-300 mb-2">
+        <span className="flex items-center"><span className="w-3 h-0.5 bg-blue-500 mr-1 inline-block"></span>Rysk APR</span>
+        <span className="flex items-center"><span className="w-3 h-0.5 bg-gray-400 mr-1 inline-block"></span>Theo APR</span>
+        <span>{points.length} snapshots</span>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-44" role="img" aria-label={`${asset} ${strike} APR history`}>
+        <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300 dark:stroke-gray-600" />
+        <line x1={CHART_PADDING} y1={CHART_PADDING} x2={CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300 dark:stroke-gray-600" />
+        <text x={CHART_PADDING - 4} y={y(maxApr) + 4} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">{(maxApr * 100).toFixed(0)}%</text>
+        <text x={CHART_PADDING - 4} y={y(minApr) + 4} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">{(minApr * 100).toFixed(0)}%</text>
+        <text x={CHART_PADDING} y={CHART_HEIGHT - 10} className="fill-gray-500 dark:fill-gray-400 text-[10px]">{new Date(minTime).toLocaleString()}</text>
+        <text x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 10} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">{new Date(maxTime).toLocaleString()}</text>
+        {theoPath && <polyline points={theoPath} fill="none" strokeWidth={2} strokeDasharray="4 3" className="stroke-gray-400" />}
+        <polyline points={ryskPath} fill="none" strokeWidth={2} className="stroke-blue-500" />
+      </svg>
+    </div>
+  );
+});
+
+export default AprHistoryChart;
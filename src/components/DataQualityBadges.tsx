@@ -0,0 +1,55 @@
+import { memo } from 'react';
+import type { Quote } from '../types/quote';
+
+// Flags rows that are not straight Rysk data so nobody trades on a fill-in
+const DataQualityBadges = memo(({ quote }: { quote: Quote }) => {
+  const quality = quote.dataQuality;
+  if (!quality) return null;
+
+  const badges = [
+    quality.placeholder && {
+      label: 'Placeholder',
+      title: 'Not a real Rysk strike - generated from spot because scraping found no strikes',
+      className: 'text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900',
+    },
+    quality.defaultVolatility && {
+      label: 'Default vol',
+      title: 'Theo APR uses a hardcoded default volatility, not market data',
+      className: 'text-yellow-700 bg-yellow-100 dark:text-yellow-300 dark:bg-yellow-900',
+    },
+    quality.extrapolatedVolatility && {
+      label: 'Extrapolated vol',
+      title: 'Strike or expiry lies outside the Deribit option chain - vol held flat from the nearest listed point',
+      className: 'text-yellow-700 bg-yellow-100 dark:text-yellow-300 dark:bg-yellow-900',
+    },
+    quality.assumedExpiry && {
+      label: 'Assumed expiry',
+      title: 'Expiry not found on Rysk - priced to the fallback expiry',
+      className: 'text-yellow-700 bg-yellow-100 dark:text-yellow-300 dark:bg-yellow-900',
+    },
+    quality.staleSpot && {
+      label: 'Stale spot',
+      title: 'No spot price source has updated recently - priced off the last known spot',
+      className: 'text-yellow-700 bg-yellow-100 dark:text-yellow-300 dark:bg-yellow-900',
+    },
+    quality.spotDisagreement && {
+      label: 'Spot disagreement',
+      title: 'Spot price sources disagree beyond the allowed deviation - see /api/spot',
+      className: 'text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900',
+    },
+  ].filter(Boolean) as { label: string; title: string; className: string }[];
+
+  if (badges.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {badges.map(badge => (
+        <span key={badge.label} title={badge.title} className={`px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wide ${badge.className}`}>
+          {badge.label}
+        </span>
+      ))}
+    </div>
+  );
+});
+
+export default DataQualityBadges;
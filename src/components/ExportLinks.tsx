@@ -0,0 +1,16 @@
+import { memo } from 'react';
+
+// CSV / JSON download links for /api/quotes.csv and /api/quotes.json
+const ExportLinks = memo(({ label = 'Export', query }: { label?: string; query: string }) => {
+  const linkClassName = 'px-1.5 py-0.5 rounded border border-current/30 hover:bg-blue-600 hover:text-white transition-colors';
+
+  return (
+    <div className="flex items-center space-x-1 text-xs">
+      <span>{label}</span>
+      <a href={`/api/quotes.csv?${query}`} download className={linkClassName} title="Download as CSV">CSV</a>
+      <a href={`/api/quotes.json?${query}`} download className={linkClassName} title="Download as JSON">JSON</a>
+    </div>
+  );
+});
+
+export default ExportLinks;
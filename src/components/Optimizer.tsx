@@ -0,0 +1,186 @@
+import { memo, useEffect, useState } from 'react';
+import type { FormEvent } from 'react';
+import type { OptimizeObjective, Optimization, OptionType } from '../types/quote';
+
+interface OptimizerProps {
+  assets: string[];
+}
+
+const formatUsd = (value: number) => value.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 2 });
+const formatPercent = (value: number | null) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+// Allocation suggestions from /api/optimize: a USD budget per asset spread over
+// the listed strikes in whole contracts, under a ceiling on assignment risk
+const Optimizer = memo(({ assets }: OptimizerProps) => {
+  const [expanded, setExpanded] = useState(() => localStorage.getItem('showOptimizer') === 'true');
+  const [capital, setCapital] = useState<Record<string, string>>({});
+  const [maxAssignment, setMaxAssignment] = useState('25');
+  const [maxStrikeShare, setMaxStrikeShare] = useState('50');
+  const [objective, setObjective] = useState<OptimizeObjective>('premium');
+  const [optionType, setOptionType] = useState<OptionType | ''>('');
+  const [result, setResult] = useState<Optimization | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    localStorage.setItem('showOptimizer', String(expanded));
+  }, [expanded]);
+
+  const optimize = async (event: FormEvent) => {
+    event.preventDefault();
+    const budget = Object.fromEntries(
+      Object.entries(capital).filter(([, amount]) => Number(amount) > 0).map(([asset, amount]) => [asset, Number(amount)])
+    );
+    if (Object.keys(budget).length === 0) {
+      setError('Enter capital for at least one asset');
+      return;
+    }
+
+    setRunning(true);
+    try {
+      const response = await fetch('/api/optimize', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          capital: budget,
+          objective,
+          optionType: optionType || undefined,
+          maxAssignmentProbability: Number(maxAssignment) / 100,
+          maxStrikeShare: Number(maxStrikeShare) / 100,
+        }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to optimize');
+      }
+      setResult(await response.json());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to optimize');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const totals = result?.totals;
+  const inputClass = 'rounded bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 text-xs px-2 py-1';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden shadow-sm mb-6">
+      <button
+        onClick={() => setExpanded(value => !value)}
+        className="w-full bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600 p-3 flex flex-col md:flex-row md:items-center md:justify-between text-left"
+      >
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+          Allocation Optimizer <span className="text-gray-500 dark:text-gray-400 text-sm font-medium">{expanded ? '▾' : '▸'}</span>
+        </h2>
+        {totals && totals.contracts > 0 && (
+          <div className="text-xs text-gray-600 dark:text-gray-300 space-x-3">
+            <span>{formatUsd(totals.allocated)} of {formatUsd(totals.capital)}</span>
+            <span>Income {formatUsd(totals.expectedIncome)}</span>
+            <span>P(assign) {formatPercent(totals.weightedProbabilityItm)}</span>
+          </div>
+        )}
+      </button>
+
+      {expanded && (
+        <div className="p-3 space-y-3">
+          <form onSubmit={optimize} className="flex flex-wrap items-end gap-2 text-xs text-gray-600 dark:text-gray-300">
+            {assets.map(asset => (
+              <label key={asset} className="flex flex-col">
+                {asset} (USD)
+                <input
+                  type="number" step="any" min="0" value={capital[asset] ?? ''}
+                  onChange={event => setCapital({ ...capital, [asset]: event.target.value })}
+                  className={`${inputClass} w-24`}
+                />
+              </label>
+            ))}
+            <label className="flex flex-col">
+              Max P(assign) %
+              <input type="number" step="any" min="1" max="100" required value={maxAssignment} onChange={event => setMaxAssignment(event.target.value)} className={`${inputClass} w-20`} />
+            </label>
+            <label className="flex flex-col">
+              Max per strike %
+              <input type="number" step="any" min="1" max="100" required value={maxStrikeShare} onChange={event => setMaxStrikeShare(event.target.value)} className={`${inputClass} w-20`} />
+            </label>
+            <label className="flex flex-col">
+              Maximize
+              <select value={objective} onChange={event => setObjective(event.target.value as OptimizeObjective)} className={inputClass}>
+                <option value="premium">Premium (APR)</option>
+                <option value="excess_apr">Excess APR</option>
+              </select>
+            </label>
+            <label className="flex flex-col">
+              Type
+              <select value={optionType} onChange={event => setOptionType(event.target.value as OptionType | '')} className={inputClass}>
+                <option value="">Calls &amp; puts</option>
+                <option value="call">Calls</option>
+                <option value="put">Puts</option>
+              </select>
+            </label>
+            <button type="submit" disabled={running} className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white rounded font-medium">
+              {running ? 'Optimizing...' : 'Optimize'}
+            </button>
+          </form>
+
+          {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+
+          {result && result.assets.map(asset => (
+            <div key={asset.asset} className="space-y-1">
+              <div className="text-xs text-gray-600 dark:text-gray-300 space-x-3">
+                <span className="font-semibold text-gray-900 dark:text-white">{asset.asset}</span>
+                <span>{formatUsd(asset.allocated)} allocated, {formatUsd(asset.unallocated)} left</span>
+                <span>Income {formatUsd(asset.expectedIncome)}</span>
+                {asset.expectedExcess !== null && <span>Edge {formatUsd(asset.expectedExcess)}</span>}
+                <span>APR {formatPercent(asset.weightedApr)}</span>
+                <span title="Collateral-weighted; expected collateral assigned in brackets">
+                  P(assign) {formatPercent(asset.weightedProbabilityItm)} ({formatUsd(asset.expectedAssignedCollateral)})
+                </span>
+              </div>
+              {asset.allocations.length === 0 ? (
+                <div className="text-sm text-gray-500 dark:text-gray-400">
+                  {asset.candidates === 0 ? 'No listed strike under the assignment ceiling.' : `Not enough capital for one contract (${asset.contractSize} ${asset.asset}).`}
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                        <th className="py-2 px-2 text-left">Strike</th>
+                        <th className="py-2 px-2 text-right">Contracts</th>
+                        <th className="py-2 px-2 text-right">Collateral</th>
+                        <th className="py-2 px-2 text-right">Premium</th>
+                        <th className="py-2 px-2 text-right">APR</th>
+                        <th className="py-2 px-2 text-right">Excess APR</th>
+                        <th className="py-2 px-2 text-right">P(assign)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {asset.allocations.map(allocation => (
+                        <tr key={`${allocation.strike}-${allocation.expiry}-${allocation.optionType}`} className="border-b border-gray-100 dark:border-gray-700 text-gray-900 dark:text-gray-100">
+                          <td className="py-2 px-2">
+                            <span className="font-semibold">{allocation.strike.toLocaleString()} {allocation.optionType}</span>
+                            <span className="ml-1.5 text-gray-500 dark:text-gray-400">{new Date(allocation.expiry * 1000).toLocaleDateString()}</span>
+                          </td>
+                          <td className="py-2 px-2 text-right">{allocation.contracts} ({allocation.size})</td>
+                          <td className="py-2 px-2 text-right">{formatUsd(allocation.collateral)}</td>
+                          <td className="py-2 px-2 text-right">{formatUsd(allocation.premium)}</td>
+                          <td className="py-2 px-2 text-right">{formatPercent(allocation.apr)}</td>
+                          <td className="py-2 px-2 text-right">{formatPercent(allocation.excessApr)}</td>
+                          <td className="py-2 px-2 text-right">{formatPercent(allocation.probabilityItm)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default Optimizer;
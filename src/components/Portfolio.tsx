@@ -0,0 +1,223 @@
+import { memo, useCallback, useEffect, useState } from 'react';
+import type { FormEvent } from 'react';
+import type { OptionType, Portfolio as PortfolioData, Quote } from '../types/quote';
+
+interface PortfolioProps {
+  assets: string[];
+  quotes: Quote[]; // Positions are re-marked whenever the quotes change
+}
+
+interface PositionForm {
+  asset: string;
+  optionType: OptionType;
+  strike: string;
+  expiry: string;
+  size: string;
+  premium: string;
+}
+
+const EMPTY_FORM: Omit<PositionForm, 'asset'> = { optionType: 'call', strike: '', expiry: '', size: '', premium: '' };
+
+const formatUsd = (value: number) => value.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 2 });
+const formatPercent = (value: number | null) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+const pnlClass = (value: number) => (value >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400');
+
+// Our Rysk positions marked to model from /api/portfolio: unrealized P&L,
+// assignment risk and ITM flags, with a form to record new positions
+const Portfolio = memo(({ assets, quotes }: PortfolioProps) => {
+  const [portfolio, setPortfolio] = useState<PortfolioData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [expanded, setExpanded] = useState(() => localStorage.getItem('showPortfolio') === 'true');
+  const [form, setForm] = useState<PositionForm>({ asset: assets[0] ?? '', ...EMPTY_FORM });
+  const [saving, setSaving] = useState(false);
+
+  const loadPortfolio = useCallback(async () => {
+    try {
+      const response = await fetch('/api/portfolio');
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load portfolio');
+      }
+      setPortfolio(await response.json());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load portfolio');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPortfolio();
+  }, [loadPortfolio, quotes]);
+
+  useEffect(() => {
+    localStorage.setItem('showPortfolio', String(expanded));
+  }, [expanded]);
+
+  useEffect(() => {
+    if (!form.asset && assets.length > 0) setForm(current => ({ ...current, asset: assets[0] }));
+  }, [assets, form.asset]);
+
+  const addPosition = async (event: FormEvent) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await fetch('/api/positions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          asset: form.asset,
+          optionType: form.optionType,
+          strike: Number(form.strike),
+          expiry: form.expiry,
+          size: Number(form.size),
+          premium: Number(form.premium),
+        }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save position');
+      }
+      setForm(current => ({ asset: current.asset, ...EMPTY_FORM }));
+      await loadPortfolio();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save position');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removePosition = async (id: string) => {
+    const response = await fetch(`/api/positions/${id}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      setError('Failed to delete position');
+      return;
+    }
+    await loadPortfolio();
+  };
+
+  const totals = portfolio?.totals;
+  const inputClass = 'rounded bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 text-xs px-2 py-1';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden shadow-sm mb-6">
+      <button
+        onClick={() => setExpanded(value => !value)}
+        className="w-full bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600 p-3 flex flex-col md:flex-row md:items-center md:justify-between text-left"
+      >
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+          Portfolio <span className="text-gray-500 dark:text-gray-400 text-sm font-medium">{expanded ? '▾' : '▸'}</span>
+        </h2>
+        {totals && totals.positions > 0 && (
+          <div className="text-xs text-gray-600 dark:text-gray-300 space-x-3">
+            <span>{totals.positions} position{totals.positions === 1 ? '' : 's'}</span>
+            <span>Income {formatUsd(totals.totalIncome)}</span>
+            <span className={pnlClass(totals.unrealizedPnl)}>Unrealized P&amp;L {formatUsd(totals.unrealizedPnl)}</span>
+            {totals.itm > 0 && <span className="text-red-600 dark:text-red-400 font-semibold">{totals.itm} ITM</span>}
+          </div>
+        )}
+      </button>
+
+      {expanded && (
+        <div className="p-3 space-y-3">
+          {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+
+          {portfolio && portfolio.positions.length === 0 && (
+            <div className="text-sm text-gray-500 dark:text-gray-400">No positions recorded yet.</div>
+          )}
+
+          {portfolio && portfolio.positions.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-2 px-2 text-left">Position</th>
+                    <th className="py-2 px-2 text-right">Size</th>
+                    <th className="py-2 px-2 text-right">Spot</th>
+                    <th className="py-2 px-2 text-right">Premium</th>
+                    <th className="py-2 px-2 text-right">Mark</th>
+                    <th className="py-2 px-2 text-right">Unrealized P&amp;L</th>
+                    <th className="py-2 px-2 text-right">P(assign)</th>
+                    <th className="py-2 px-2 text-right">Yield (ann.)</th>
+                    <th className="py-2 px-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {portfolio.positions.map(position => {
+                    const mark = position.mark;
+                    return (
+                      <tr key={position.id} className="border-b border-gray-100 dark:border-gray-700 text-gray-900 dark:text-gray-100">
+                        <td className="py-2 px-2">
+                          <div className="font-semibold">
+                            {position.asset} {position.strike.toLocaleString()} {position.optionType}
+                            {mark?.itm && (
+                              <span title="In the money - likely to be assigned at expiry" className="ml-1.5 px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900">ITM</span>
+                            )}
+                            {mark?.expired && (
+                              <span className="ml-1.5 px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase text-gray-700 bg-gray-200 dark:text-gray-300 dark:bg-gray-700">Expired</span>
+                            )}
+                          </div>
+                          <div className="text-gray-500 dark:text-gray-400">{new Date(position.expiry * 1000).toLocaleDateString()}{position.notes ? ` · ${position.notes}` : ''}</div>
+                        </td>
+                        <td className="py-2 px-2 text-right">{position.size}</td>
+                        <td className="py-2 px-2 text-right">{mark ? mark.spotPrice.toLocaleString() : '—'}</td>
+                        <td className="py-2 px-2 text-right">{formatUsd(position.premium)}</td>
+                        <td className="py-2 px-2 text-right" title={mark ? `${formatPercent(mark.volatility)} vol from the ${mark.volatilityFrom.strike} ${mark.volatilityFrom.optionType} quote` : 'No cached quote for this asset'}>
+                          {mark ? formatUsd(mark.markValue) : '—'}
+                        </td>
+                        <td className={`py-2 px-2 text-right font-semibold ${mark ? pnlClass(mark.unrealizedPnl) : ''}`}>
+                          {mark ? `${formatUsd(mark.unrealizedPnl)} (${formatPercent(mark.pnlPercent)})` : '—'}
+                        </td>
+                        <td className="py-2 px-2 text-right">{mark ? formatPercent(mark.probabilityItm) : '—'}</td>
+                        <td className="py-2 px-2 text-right">{mark ? formatPercent(mark.annualizedYield) : '—'}</td>
+                        <td className="py-2 px-2 text-right">
+                          <button onClick={() => removePosition(position.id)} className="text-gray-400 hover:text-red-500" title="Delete position">✕</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <form onSubmit={addPosition} className="flex flex-wrap items-end gap-2 text-xs text-gray-600 dark:text-gray-300">
+            <label className="flex flex-col">
+              Asset
+              <select value={form.asset} onChange={event => setForm({ ...form, asset: event.target.value })} className={inputClass}>
+                {assets.map(asset => <option key={asset} value={asset}>{asset}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col">
+              Type
+              <select value={form.optionType} onChange={event => setForm({ ...form, optionType: event.target.value as OptionType })} className={inputClass}>
+                <option value="call">Call</option>
+                <option value="put">Put</option>
+              </select>
+            </label>
+            <label className="flex flex-col">
+              Strike
+              <input type="number" step="any" min="0" required value={form.strike} onChange={event => setForm({ ...form, strike: event.target.value })} className={`${inputClass} w-24`} />
+            </label>
+            <label className="flex flex-col">
+              Expiry
+              <input type="date" required value={form.expiry} onChange={event => setForm({ ...form, expiry: event.target.value })} className={inputClass} />
+            </label>
+            <label className="flex flex-col">
+              Size
+              <input type="number" step="any" min="0" required value={form.size} onChange={event => setForm({ ...form, size: event.target.value })} className={`${inputClass} w-20`} />
+            </label>
+            <label className="flex flex-col">
+              Premium (USD)
+              <input type="number" step="any" min="0" required value={form.premium} onChange={event => setForm({ ...form, premium: event.target.value })} className={`${inputClass} w-24`} />
+            </label>
+            <button type="submit" disabled={saving} className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white rounded font-medium">
+              {saving ? 'Saving...' : 'Add position'}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default Portfolio;
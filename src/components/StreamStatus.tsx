@@ -0,0 +1,52 @@
+import { memo } from 'react';
+import type { RefreshStatus, ScrapeState, StreamConnection } from '../types/quote';
+
+const connectionStyles: Record<StreamConnection, { label: string; dot: string }> = {
+  connecting: { label: 'Connecting...', dot: 'bg-yellow-400 animate-pulse' },
+  live: { label: 'Live', dot: 'bg-green-400' },
+  reconnecting: { label: 'Reconnecting...', dot: 'bg-yellow-400 animate-pulse' },
+  offline: { label: 'Offline', dot: 'bg-red-500' },
+};
+
+const scrapeStateStyles: Record<ScrapeState, string> = {
+  pending: 'text-gray-400 bg-gray-700/60',
+  scraping: 'text-blue-200 bg-blue-700/60 animate-pulse',
+  done: 'text-green-200 bg-green-800/60',
+  failed: 'text-red-200 bg-red-800/60',
+};
+
+// Connection to /api/stream plus per-asset progress while the backend refreshes
+const StreamStatus = memo(({ connection, status }: { connection: StreamConnection; status: RefreshStatus | null }) => {
+  const { label, dot } = connectionStyles[connection];
+  const updated = status?.lastScrapeTime ? new Date(status.lastScrapeTime).toLocaleTimeString() : null;
+  const nextRefresh = status?.nextRefreshAt ? new Date(status.nextRefreshAt).toLocaleTimeString() : null;
+  const progress = status?.isRefreshing ? Object.entries(status.progress) : [];
+
+  return (
+    <div className="flex items-center space-x-3 text-sm">
+      {progress.length > 0 && (
+        <div className="hidden md:flex items-center space-x-1" title="Backend refresh in progress">
+          {progress.map(([asset, { state, strikes }]) => (
+            <span
+              key={asset}
+              title={`${asset}: ${state}${strikes !== null ? ` (${strikes} strikes)` : ''}`}
+              className={`px-1.5 py-0.5 rounded text-[10px] font-semibold ${scrapeStateStyles[state]}`}
+            >
+              {asset}
+            </span>
+          ))}
+        </div>
+      )}
+      <div
+        className="flex items-center space-x-2 text-gray-300"
+        title={`Live updates ${label.toLowerCase()}${status ? ` - ${status.source} source` : ''}${nextRefresh ? `, next refresh ${nextRefresh}` : ''}`}
+      >
+        <span className={`inline-block w-2 h-2 rounded-full ${dot}`}></span>
+        <span>{label}</span>
+        {updated && connection === 'live' && <span className="text-gray-500 text-xs">updated {updated}</span>}
+      </div>
+    </div>
+  );
+});
+
+export default StreamStatus;
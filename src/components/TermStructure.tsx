@@ -0,0 +1,107 @@
+import { memo } from 'react';
+import type { Quote } from '../types/quote';
+
+interface TermStructureProps {
+  asset: string;
+  quotesByExpiry: Record<number, Quote[]>;
+}
+
+interface TermPoint {
+  expiry: number;
+  days: number;
+  strikes: number;
+  atmApr: number;
+  atmTheoApr: number | null;
+  maxApr: number;
+}
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 24;
+
+// APR term structure for one asset: the near-ATM strike of every listed expiry
+const TermStructure = memo(({ asset, quotesByExpiry }: TermStructureProps) => {
+  const points: TermPoint[] = Object.entries(quotesByExpiry)
+    .map(([expiry, expiryQuotes]) => {
+      const atm = expiryQuotes.reduce((best, quote) =>
+        Math.abs(quote.strike - quote.spotPrice) < Math.abs(best.strike - best.spotPrice) ? quote : best
+      );
+      return {
+        expiry: Number(expiry),
+        days: Math.max(0, Math.ceil((Number(expiry) * 1000 - Date.now()) / (1000 * 60 * 60 * 24))),
+        strikes: expiryQuotes.length,
+        atmApr: atm.apr,
+        atmTheoApr: atm.theoreticalApr ?? null,
+        maxApr: Math.max(...expiryQuotes.map(quote => quote.apr)),
+      };
+    })
+    .sort((a, b) => a.expiry - b.expiry);
+
+  const maxDays = Math.max(...points.map(point => point.days), 1);
+  const maxApr = Math.max(...points.flatMap(point => [point.atmApr, point.atmTheoApr ?? 0]), 0.01);
+  const x = (days: number) => CHART_PADDING + (days / maxDays) * (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = (apr: number) => CHART_HEIGHT - CHART_PADDING - (apr / maxApr) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  const ryskPath = points.map(point => `${x(point.days)},${y(point.atmApr)}`).join(' ');
+  const theoPoints = points.filter(point => point.atmTheoApr !== null);
+  const theoPath = theoPoints.map(point => `${x(point.days)},${y(point.atmTheoApr as number)}`).join(' ');
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden shadow-sm">
+      <div className="bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600 p-3">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white">{asset} Term Structure</h2>
+        <p className="text-gray-600 dark:text-gray-300 text-sm">Near-ATM APR by expiry</p>
+      </div>
+      <div className="flex flex-col lg:flex-row gap-4 p-3">
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          className="w-full lg:w-80 h-32 shrink-0"
+          role="img"
+          aria-label={`${asset} APR term structure`}
+        >
+          <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300 dark:stroke-gray-600" />
+          <polyline points={ryskPath} fill="none" strokeWidth={2} className="stroke-blue-500" />
+          {theoPoints.length > 0 && (
+            <polyline points={theoPath} fill="none" strokeWidth={2} strokeDasharray="4 3" className="stroke-gray-400" />
+          )}
+          {points.map(point => (
+            <g key={point.expiry}>
+              <circle cx={x(point.days)} cy={y(point.atmApr)} r={3} className="fill-blue-500" />
+              <text x={x(point.days)} y={CHART_HEIGHT - 8} textAnchor="middle" className="fill-gray-500 dark:fill-gray-400 text-[9px]">
+                {point.days}d
+              </text>
+            </g>
+          ))}
+        </svg>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 dark:border-gray-600">
+              <th className="py-2 px-3 text-left text-gray-700 dark:text-gray-300 font-semibold">Expiry</th>
+              <th className="py-2 px-3 text-right text-gray-700 dark:text-gray-300 font-semibold">Days</th>
+              <th className="py-2 px-3 text-right text-gray-700 dark:text-gray-300 font-semibold">Strikes</th>
+              <th className="py-2 px-3 text-right text-gray-700 dark:text-gray-300 font-semibold">ATM Rysk APR</th>
+              <th className="py-2 px-3 text-right text-gray-700 dark:text-gray-300 font-semibold">ATM Theo APR</th>
+              <th className="py-2 px-3 text-right text-gray-700 dark:text-gray-300 font-semibold">Max APR</th>
+            </tr>
+          </thead>
+          <tbody>
+            {points.map(point => (
+              <tr key={point.expiry} className="border-b border-gray-100 dark:border-gray-700">
+                <td className="py-2 px-3 text-gray-900 dark:text-white">{new Date(point.expiry * 1000).toLocaleDateString()}</td>
+                <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{point.days}</td>
+                <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{point.strikes}</td>
+                <td className="py-2 px-3 text-right text-blue-600 dark:text-blue-400 font-bold">{(point.atmApr * 100).toFixed(1)}%</td>
+                <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">
+                  {point.atmTheoApr !== null ? `${(point.atmTheoApr * 100).toFixed(1)}%` : '—'}
+                </td>
+                <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{(point.maxApr * 100).toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+});
+
+export default TermStructure;
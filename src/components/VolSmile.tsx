@@ -0,0 +1,104 @@
+import { memo } from 'react';
+import type { Quote } from '../types/quote';
+
+interface VolSmileProps {
+  asset: string;
+  quotesByExpiry: Record<number, Quote[]>;
+}
+
+interface SmilePoint {
+  strike: number;
+  iv: number;
+}
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 32;
+
+// One line per expiry, nearest first
+const LINE_CLASSES = ['stroke-blue-500', 'stroke-purple-500', 'stroke-teal-500', 'stroke-orange-500'];
+const DOT_CLASSES = ['fill-blue-500', 'fill-purple-500', 'fill-teal-500', 'fill-orange-500'];
+const LEGEND_CLASSES = ['bg-blue-500', 'bg-purple-500', 'bg-teal-500', 'bg-orange-500'];
+
+// Volatility smile for one asset: Rysk implied vol by strike for every listed
+// expiry, against the asset volatility used for the theoretical APRs
+const VolSmile = memo(({ asset, quotesByExpiry }: VolSmileProps) => {
+  const series = Object.entries(quotesByExpiry)
+    .map(([expiry, expiryQuotes]) => ({
+      expiry: Number(expiry),
+      points: expiryQuotes
+        .filter(quote => !quote.dataQuality?.placeholder && quote.ryskImpliedVol !== null && quote.ryskImpliedVol !== undefined)
+        .map(quote => ({ strike: quote.strike, iv: quote.ryskImpliedVol as number }))
+        .sort((a, b) => a.strike - b.strike),
+    }))
+    .filter(entry => entry.points.length > 0)
+    .sort((a, b) => a.expiry - b.expiry);
+
+  const allPoints: SmilePoint[] = series.flatMap(entry => entry.points);
+  if (allPoints.length < 2) return null;
+
+  const firstQuote = Object.values(quotesByExpiry)[0][0];
+  const spotPrice = firstQuote.spotPrice;
+  const assetVol = firstQuote.volatility;
+
+  const minStrike = Math.min(...allPoints.map(point => point.strike), spotPrice);
+  const maxStrike = Math.max(...allPoints.map(point => point.strike), spotPrice);
+  const maxIv = Math.max(...allPoints.map(point => point.iv), assetVol ?? 0, 0.01) * 1.1;
+  const strikeRange = maxStrike - minStrike || 1;
+
+  const x = (strike: number) => CHART_PADDING + ((strike - minStrike) / strikeRange) * (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = (iv: number) => CHART_HEIGHT - CHART_PADDING - (iv / maxIv) * (CHART_HEIGHT - 2 * CHART_PADDING);
+  const formatStrike = (strike: number) => (strike >= 1000 ? strike.toLocaleString() : strike.toFixed(4));
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden shadow-sm">
+      <div className="bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600 p-3">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white">{asset} Volatility Smile</h2>
+        <p className="text-gray-600 dark:text-gray-300 text-sm">Volatility implied by Rysk call and put APRs, by strike</p>
+      </div>
+      <div className="p-3">
+        <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600 dark:text-gray-300 mb-2">
+          {series.map((entry, index) => (
+            <span key={entry.expiry} className="flex items-center">
+              <span className={`w-3 h-0.5 mr-1 inline-block ${LEGEND_CLASSES[index % LEGEND_CLASSES.length]}`}></span>
+              {new Date(entry.expiry * 1000).toLocaleDateString()}
+            </span>
+          ))}
+          {assetVol !== null && (
+            <span className="flex items-center"><span className="w-3 h-0.5 bg-gray-400 mr-1 inline-block"></span>Asset vol {(assetVol * 100).toFixed(1)}%</span>
+          )}
+        </div>
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-44" role="img" aria-label={`${asset} Rysk implied volatility smile`}>
+          <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300 dark:stroke-gray-600" />
+          <line x1={CHART_PADDING} y1={CHART_PADDING} x2={CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300 dark:stroke-gray-600" />
+          <text x={CHART_PADDING - 4} y={y(maxIv) + 4} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">{(maxIv * 100).toFixed(0)}%</text>
+          <text x={CHART_PADDING - 4} y={y(0) + 4} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">0%</text>
+          <text x={CHART_PADDING} y={CHART_HEIGHT - 10} className="fill-gray-500 dark:fill-gray-400 text-[10px]">{formatStrike(minStrike)}</text>
+          <text x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 10} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">{formatStrike(maxStrike)}</text>
+          <line x1={x(spotPrice)} y1={CHART_PADDING} x2={x(spotPrice)} y2={CHART_HEIGHT - CHART_PADDING} strokeDasharray="2 3" className="stroke-gray-300 dark:stroke-gray-600" />
+          <text x={x(spotPrice)} y={CHART_PADDING - 6} textAnchor="middle" className="fill-gray-500 dark:fill-gray-400 text-[10px]">Spot</text>
+          {assetVol !== null && (
+            <line x1={CHART_PADDING} y1={y(assetVol)} x2={CHART_WIDTH - CHART_PADDING} y2={y(assetVol)} strokeWidth={1.5} strokeDasharray="4 3" className="stroke-gray-400" />
+          )}
+          {series.map((entry, index) => (
+            <g key={entry.expiry}>
+              <polyline
+                points={entry.points.map(point => `${x(point.strike)},${y(point.iv)}`).join(' ')}
+                fill="none"
+                strokeWidth={2}
+                className={LINE_CLASSES[index % LINE_CLASSES.length]}
+              />
+              {entry.points.map(point => (
+                <circle key={point.strike} cx={x(point.strike)} cy={y(point.iv)} r={3} className={DOT_CLASSES[index % DOT_CLASSES.length]}>
+                  <title>{`${formatStrike(point.strike)}: ${(point.iv * 100).toFixed(1)}%`}</title>
+                </circle>
+              ))}
+            </g>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+});
+
+export default VolSmile;
@@ -0,0 +1,204 @@
+// Where a quote's volatility came from
+export type VolatilitySource = 'deribit_surface' | 'deribit_historical' | 'realized' | 'default';
+
+// Realized vol estimator behind a 'realized' volatility
+export type VolatilityEstimator = 'close_to_close' | 'ewma' | 'parkinson';
+
+export interface VolatilityEstimate {
+  estimator: VolatilityEstimator;
+  window: number; // Days of price history
+  observations: number; // Days actually used
+  source: string; // Price history source (hyperliquid, coingecko)
+}
+
+// Covered call or cash-secured put
+export type OptionType = 'call' | 'put';
+
+// Where a quote's rate came from (see /api/rates)
+export type RateSource = 'override' | 'deribit_basis' | 'base';
+
+// Provenance flags attached to every quote by the backend
+export interface DataQuality {
+  feed: string; // Quote source that produced the snapshot (puppeteer, websocket, fixture)
+  placeholder: boolean; // Strike fabricated from spot because no Rysk strikes were found
+  defaultVolatility: boolean; // Hardcoded default vol rather than market data
+  extrapolatedVolatility?: boolean; // Surface vol held flat outside the listed Deribit strikes/expiries
+  assumedExpiry: boolean; // Expiry not found on Rysk - fallback expiry used
+  calculatedPremium: boolean; // Premium derived from APR rather than scraped
+  staleSpot?: boolean; // No spot source updated within SPOT_MAX_AGE - last known price used
+  spotDisagreement?: boolean; // Spot sources differ by more than SPOT_MAX_DEVIATION
+}
+
+// Black-Scholes greeks of the option (call or put), per unit of underlying
+export interface Greeks {
+  delta: number;
+  gamma: number;
+  theta: number; // Per calendar day
+  vega: number; // Per 1 vol point
+  probabilityItm: number; // Risk-neutral chance of finishing ITM (called away / put assigned)
+}
+
+export interface Quote {
+  asset: string;
+  strike: number;
+  expiry: number; // Unix seconds - each strike carries the expiry it is listed under
+  optionType: OptionType;
+  premium: number | null; // Only real scraped premiums from Rysk, null if not found
+  apr: number; // On spot for calls, on the strike (cash collateral) for puts
+  spotPrice: number;
+  timeToExpiry: number; // Years
+  riskFreeRate: number; // Carry for this asset/expiry - futures basis, override or base rate
+  rateSource?: RateSource;
+  dividendYield?: number; // Staking yield priced as a continuous dividend yield (kHYPE)
+  volatility: number; // Per strike when priced off the Deribit IV surface
+  volatilitySource?: VolatilitySource;
+  volatilityEstimate?: VolatilityEstimate | null; // Set when volatilitySource is 'realized'
+  greeks?: Greeks;
+  pricingModel?: string; // Model behind theoreticalApr (see /api/pricing_models)
+  theoreticalApr?: number | null; // Priced server-side off the quote's volatility
+  excessApr?: number | null; // apr - theoreticalApr
+  ryskImpliedVol?: number | null; // Vol at which Black-Scholes reproduces the Rysk APR, null if unsolvable
+  source?: string; // Extraction strategy (dom_element_pair, websocket, placeholder, ...)
+  dataQuality?: DataQuality;
+}
+
+// Theoretical pricing model offered by /api/pricing_models
+export interface PricingModel {
+  id: string;
+  label: string;
+  description: string;
+  params: string[];
+  default: boolean;
+}
+
+export type ScrapeState = 'pending' | 'scraping' | 'done' | 'failed';
+
+// Backend refresh state pushed by /api/stream
+export interface RefreshStatus {
+  isRefreshing: boolean;
+  refreshStartedAt: number | null; // Epoch ms
+  lastScrapeTime: number | null; // Epoch ms of the last cache update
+  cacheAge: number | null; // ms
+  nextRefreshAt: number | null; // Epoch ms of the next scheduled refresh
+  source: string; // Quote source (puppeteer, fixture, websocket)
+  progress: Record<string, { state: ScrapeState; strikes: number | null }>;
+}
+
+export type StreamConnection = 'connecting' | 'live' | 'reconnecting' | 'offline';
+
+// Asset registry entry from /api/assets (config/assets.json)
+export interface AssetConfig {
+  name: string;
+  coingeckoId: string | null;
+  deribitCurrency: string | null; // null when priced at realized vol (or defaultVolatility)
+  contractSize: number;
+  defaultVolatility: number;
+  displayDecimals: number; // Decimals shown for strikes and spot prices
+}
+
+// Option position we hold, from /api/positions
+export interface Position {
+  id: string;
+  asset: string;
+  optionType: OptionType;
+  strike: number;
+  expiry: number; // Unix seconds
+  size: number; // Units of the underlying
+  premium: number; // Total USD received
+  openedAt: string; // ISO
+  notes: string | null;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+// Mark-to-model of a position against the current quotes (Black-Scholes)
+export interface PositionMark {
+  spotPrice: number;
+  volatility: number;
+  rate: number;
+  dividendYield: number;
+  timeToExpiry: number; // Years, 0 once expired
+  expired: boolean;
+  itm: boolean;
+  moneyness: number; // strike / spot
+  intrinsicValue: number; // Per unit
+  optionValue: number; // Per unit
+  markValue: number; // Cost to buy the position back
+  unrealizedPnl: number; // premium - markValue
+  pnlPercent: number | null; // Of the premium received
+  probabilityItm: number; // Assignment risk
+  delta: number;
+  collateral: number; // USD locked: underlying for calls, strike cash for puts
+  annualizedYield: number | null; // Premium on collateral over the position's term
+  volatilitySource: VolatilitySource | null;
+  volatilityFrom: { strike: number; expiry: number; optionType: OptionType }; // Quote the vol was taken from
+}
+
+export interface PortfolioTotals {
+  positions: number;
+  open: number;
+  expired: number;
+  unmarked: number; // No cached quote for the asset
+  itm: number;
+  totalIncome: number; // Premium received on every position
+  markValue: number;
+  unrealizedPnl: number;
+  collateral: number;
+}
+
+// /api/portfolio
+export interface Portfolio {
+  asOf: string;
+  quotesAt: string | null;
+  positions: (Position & { mark: PositionMark | null })[];
+  totals: PortfolioTotals & { byAsset: Record<string, PortfolioTotals> };
+}
+
+// What /api/optimize maximizes: USD premium, or premium above the model value
+export type OptimizeObjective = 'premium' | 'excess_apr';
+
+export interface OptimizedAllocation {
+  strike: number;
+  expiry: number;
+  optionType: OptionType;
+  contracts: number; // Whole Rysk contracts
+  size: number; // Units of the underlying
+  collateral: number;
+  premium: number;
+  excessValue: number | null; // Premium above the model value
+  apr: number;
+  theoreticalApr: number | null;
+  excessApr: number | null;
+  probabilityItm: number; // Assignment risk
+  delta: number | null; // Of the options sold, in units of the underlying
+}
+
+export interface AllocationSummary {
+  capital: number;
+  allocated: number;
+  unallocated: number; // Less than a lot, or no strike left under the risk ceiling
+  contracts: number;
+  expectedIncome: number;
+  expectedExcess: number | null;
+  weightedApr: number | null; // Collateral-weighted
+  weightedProbabilityItm: number | null;
+  maxProbabilityItm: number | null;
+  expectedAssignedCollateral: number;
+}
+
+// /api/optimize
+export interface Optimization {
+  asOf: string;
+  quotesAt: string | null;
+  objective: OptimizeObjective;
+  maxAssignmentProbability: number;
+  maxStrikeShare: number;
+  assets: (AllocationSummary & {
+    asset: string;
+    contractSize: number;
+    candidates: number; // Strikes under the risk ceiling
+    delta: number;
+    allocations: OptimizedAllocation[];
+  })[];
+  totals: AllocationSummary;
+}
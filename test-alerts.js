@@ -0,0 +1,101 @@
+import http from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createAlertEngine, validateAlertRule } from './api/alerts.js';
+import { createChecks } from './scripts/checks.js';
+
+// Runs alert rules against a handful of quotes and delivers them to a local HTTP
+// receiver, checking matching, payload formats, cooldown and failed deliveries.
+const received = [];
+let failNext = false;
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ path: req.url, body: JSON.parse(body) });
+    res.writeHead(failNext ? 500 : 200).end();
+    failNext = false;
+  });
+});
+await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+const webhookBase = `http://127.0.0.1:${receiver.address().port}`;
+
+const dir = mkdtempSync(path.join(tmpdir(), 'rysk-alerts-'));
+const engine = await createAlertEngine({ filePath: path.join(dir, 'rules.json') });
+
+const quote = (strike, apr, theoreticalApr, extra = {}) => ({
+  asset: 'UBTC', strike, expiry: 1756425600, optionType: 'call', apr, theoreticalApr,
+  excessApr: apr - theoreticalApr, spotPrice: 118437, dataQuality: { placeholder: false }, ...extra
+});
+const quotes = [
+  quote(124000, 0.2749, 0.2400),
+  quote(128000, 0.1812, 0.1645),
+  quote(132000, 0.1125, 0.0907),
+  quote(104000, 0.1023, 0.1080, { optionType: 'put' }),
+  quote(125000, 0.40, 0.10, { dataQuality: { placeholder: true } })
+];
+
+const { check, finish } = createChecks();
+
+check(validateAlertRule({ webhookUrl: `${webhookBase}/x` }).error !== undefined, 'rule without thresholds is rejected');
+check(validateAlertRule({ minApr: 0.1, webhookUrl: 'ftp://example.com' }).error !== undefined, 'non-http webhook is rejected');
+check(validateAlertRule({ minApr: 0.1, webhookUrl: `${webhookBase}/x`, format: 'telegram' }).error !== undefined, 'telegram rule needs a chat id');
+
+const { rule } = await engine.create({
+  name: 'UBTC calls paying 2%+ over theo', asset: 'UBTC', optionType: 'call',
+  minMoneyness: 1.02, minExcessApr: 0.02, webhookUrl: `${webhookBase}/generic`, cooldownMinutes: 30
+});
+const { rule: slackRule } = await engine.create({ minApr: 0.25, webhookUrl: `${webhookBase}/slack`, format: 'slack' });
+const { rule: telegramRule } = await engine.create({
+  optionType: 'put', minApr: 0.1, webhookUrl: `${webhookBase}/telegram`, format: 'telegram', telegramChatId: '-100123'
+});
+
+const start = Date.now();
+let results = await engine.evaluate(quotes, start);
+check(results.length === 3 && results.every(result => result.delivered), `first refresh fires all 3 rules (${results.length})`);
+
+const generic = received.find(entry => entry.path === '/generic')?.body;
+check(generic?.quotes.length === 2 && generic.quotes.every(entry => entry.excessApr >= 0.02), 'generic payload lists both strikes over 2% excess');
+check(typeof received.find(entry => entry.path === '/slack')?.body.text === 'string', 'slack payload has text');
+check(received.find(entry => entry.path === '/telegram')?.body.chat_id === '-100123', 'telegram payload has chat_id');
+check(!received.some(entry => JSON.stringify(entry.body).includes('125,000')), 'placeholder rows never alert');
+
+received.length = 0;
+results = await engine.evaluate(quotes, start + 10 * 60 * 1000);
+check(results.length === 0 && received.length === 0, 'nothing re-sent within the cooldown');
+
+const bumped = [...quotes, quote(136000, 0.09, 0.05)];
+results = await engine.evaluate(bumped, start + 11 * 60 * 1000);
+check(results.length === 1 && received[0]?.body.quotes.length === 1 && received[0].body.quotes[0].strike === 136000,
+  'a newly matching strike fires on its own during the cooldown');
+
+received.length = 0;
+failNext = true;
+results = await engine.evaluate(quotes, start + 31 * 60 * 1000);
+check(results.find(result => result.ruleId === rule.id)?.delivered === false, 'failed delivery is reported');
+results = await engine.evaluate(quotes, start + 32 * 60 * 1000);
+check(results.some(result => result.ruleId === rule.id && result.delivered), 'failed delivery is retried on the next refresh');
+
+const { rule: updated } = await engine.update(slackRule.id, { enabled: false });
+check(updated.enabled === false && updated.format === 'slack', 'update keeps the fields it does not send');
+check(await engine.remove(telegramRule.id) && engine.list().length === 2, 'delete removes the rule');
+
+const reloaded = await createAlertEngine({ filePath: path.join(dir, 'rules.json') });
+const reloadedRule = reloaded.get(rule.id);
+check(reloaded.list().length === 2 && reloadedRule?.lastTriggeredAt === new Date(start + 32 * 60 * 1000).toISOString(),
+  `rules persist across restarts, with lastTriggeredAt (${reloadedRule?.lastTriggeredAt})`);
+check(reloaded.get(slackRule.id)?.lastTriggeredAt === new Date(start).toISOString(), 'update keeps lastTriggeredAt');
+check(reloadedRule && !('firedAt' in reloadedRule), 'cooldown bookkeeping stays out of the rule');
+
+// The reloaded engine remembers the cooldowns: nothing fires again right after a restart
+received.length = 0;
+results = await reloaded.evaluate(quotes, start + 40 * 60 * 1000);
+check(results.length === 0 && received.length === 0, 'a restart does not re-fire strikes within their cooldown');
+results = await reloaded.evaluate(quotes, start + 63 * 60 * 1000);
+check(results.length === 1 && results[0].ruleId === rule.id && results[0].delivered, 'they fire again once the cooldown has passed');
+
+receiver.close();
+rmSync(dir, { recursive: true, force: true });
+
+finish();
@@ -0,0 +1,94 @@
+import { EventEmitter } from 'node:events';
+import { createBrowserPool } from './api/browserPool.js';
+import { createChecks } from './scripts/checks.js';
+
+// Runs the browser pool against a fake Puppeteer browser (injected through
+// launch): leases queue beyond the pool size, pages are reused, a timed out
+// lease closes its page, and a lease cut off by a disconnect is retried once
+// on a relaunched browser.
+const launched = [];
+
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.id = launched.length + 1;
+  browser.connected = true;
+  browser.pages = [];
+  browser.newPage = async () => {
+    const page = new EventEmitter();
+    let closed = false;
+    page.id = `${browser.id}.${browser.pages.length + 1}`;
+    page.isClosed = () => closed;
+    page.close = async () => { closed = true; };
+    page.browser = () => browser;
+    page.setUserAgent = async (userAgent) => { page.userAgent = userAgent; };
+    browser.pages.push(page);
+    return page;
+  };
+  // Chromium crashing or the connection dropping
+  browser.disconnect = () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  browser.close = async () => browser.disconnect();
+  launched.push(browser);
+  return browser;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const { check, finish } = createChecks();
+
+const pool = createBrowserPool({ size: 2, userAgent: 'test-agent', launch: async () => fakeBrowser() });
+
+// Four leases on a pool of two: never more than two at once, all complete
+let running = 0;
+let peak = 0;
+const order = [];
+const lease = (name, ms) => pool.withPage(async page => {
+  running++;
+  peak = Math.max(peak, running);
+  order.push(`start ${name}`);
+  await sleep(ms);
+  running--;
+  order.push(`end ${name}`);
+  return page.id;
+});
+const pageIds = await Promise.all([lease('a', 60), lease('b', 30), lease('c', 10), lease('d', 10)]);
+check(peak === 2 && order.indexOf('start c') > order.indexOf('end b'), `4 leases on a pool of 2: at most ${peak} at once, c queued until b finished`);
+check(launched.length === 1 && new Set(pageIds).size === 2 && launched[0].pages.every(page => page.userAgent === 'test-agent'),
+  `One browser launch, pages reused across leases (${[...new Set(pageIds)].join(', ')})`);
+
+// A lease over its timeout fails and its page is closed, not put back
+let timedOutPage = null;
+const timedOut = await pool.withPage(async page => {
+  timedOutPage = page;
+  await sleep(200);
+}, { timeout: 30, label: 'Slow page' }).catch(error => error);
+check(timedOut instanceof Error && timedOut.message === 'Slow page timed out after 30ms' && timedOutPage.isClosed(),
+  `Timed out lease rejected (${timedOut.message}) and its page closed`);
+const afterTimeout = await pool.withPage(async page => page);
+check(afterTimeout !== timedOutPage && !afterTimeout.isClosed(), 'The closed page is not handed out again');
+
+// The browser disconnects mid-lease: the lease is retried once on a new browser
+let attempts = 0;
+const retried = await pool.withPage(async page => {
+  attempts++;
+  if (attempts === 1) {
+    page.browser().disconnect();
+    throw new Error('Target closed');
+  }
+  return page.browser().id;
+});
+check(attempts === 2 && retried === 2 && launched.length === 2, `Disconnect mid-lease retried on relaunched browser #${retried}`);
+
+// Only once: a second disconnect fails the lease
+const failed = await pool.withPage(async page => {
+  page.browser().disconnect();
+  throw new Error('Target closed');
+}).catch(error => error);
+check(failed instanceof Error && failed.browserDisconnected && launched.length === 3, `Lease losing its browser twice fails (${launched.length} launches)`);
+
+await pool.close();
+const afterClose = await pool.withPage(async () => null).catch(error => error);
+check(!launched[launched.length - 1].connected && afterClose?.message === 'Browser pool is closed', 'close() closes the browser and refuses new leases');
+
+finish();
@@ -0,0 +1,57 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync, appendFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createHistoryStore, loadRetentionDays } from './api/history.js';
+import { createChecks } from './scripts/checks.js';
+
+// The file-backed APR history store: queries stream the JSON-lines file and
+// skip lines that do not parse (a corrupt line, a truncated last line left by
+// a crash), the next append starts on a fresh line, and points older than the
+// retention window are pruned.
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 7, 1);
+
+const dir = mkdtempSync(path.join(tmpdir(), 'rysk-history-'));
+const filePath = path.join(dir, 'apr-history.jsonl');
+const { check, finish } = createChecks();
+
+const point = (t, strike, extra = {}) => ({ t, asset: 'UBTC', strike, expiry: 1756425600, optionType: 'call', apr: 0.25, theoreticalApr: 0.2, spotPrice: 118437, volatility: 0.35, source: 'fixture', ...extra });
+const line = (entry) => JSON.stringify(entry) + '\n';
+
+const store = await createHistoryStore({ redisUrl: null, filePath, retentionDays: 30 });
+check((await store.query({ from: 0, to: NOW })).length === 0, 'Missing file: empty history, no error');
+
+// Two good points, a corrupt line, another good point, then a half-written one
+writeFileSync(filePath, [
+  line(point(NOW - 2 * DAY, 124000)),
+  line(point(NOW - DAY, 124000)),
+  'not json at all\n',
+  line(point(NOW - DAY, 128000, { optionType: 'put' })),
+  JSON.stringify(point(NOW, 124000)).slice(0, 40)
+].join(''));
+
+const all = await store.query({ from: 0, to: NOW });
+check(all.length === 3, `Corrupt and truncated lines skipped: ${all.length} points read`);
+const calls = await store.query({ asset: 'UBTC', strike: 124000, optionType: 'call', from: NOW - 1.5 * DAY, to: NOW });
+check(calls.length === 1 && calls[0].t === NOW - DAY, 'Series and time filters applied while reading');
+
+// The append after the truncated line starts on its own line
+await store.append([point(NOW, 124000)], NOW);
+const afterAppend = await store.query({ from: 0, to: NOW });
+check(afterAppend.length === 4 && afterAppend.some(entry => entry.t === NOW), `Append after a truncated line is readable (${afterAppend.length} points)`);
+
+// The first append also pruned: unreadable lines are gone, recent points kept
+check(readFileSync(filePath, 'utf8').split('\n').filter(Boolean).every(text => JSON.parse(text)), 'Prune rewrote the file without unreadable lines');
+
+// Points older than the retention window are dropped
+appendFileSync(filePath, line(point(NOW - 45 * DAY, 124000)));
+const { dropped, kept } = await store.prune(NOW);
+const remaining = await store.query({ from: 0, to: NOW });
+check(dropped === 1 && kept === 4 && remaining.every(entry => entry.t >= NOW - 30 * DAY), `Retention: ${dropped} point older than 30 days pruned, ${kept} kept`);
+
+check(loadRetentionDays({}) === 90 && loadRetentionDays({ HISTORY_RETENTION_DAYS: '14' }) === 14 && loadRetentionDays({ HISTORY_RETENTION_DAYS: 'x' }) === 90,
+  'HISTORY_RETENTION_DAYS: default 90, invalid values ignored');
+
+rmSync(dir, { recursive: true, force: true });
+
+finish();
@@ -0,0 +1,109 @@
+import { optimizeAllocation, validateOptimizeRequest } from './api/optimizer.js';
+import { createChecks } from './scripts/checks.js';
+
+// Allocation optimizer offline: a hand-built quote board for UBTC (0.05 BTC
+// lots) and UETH (0.5 ETH lots) is allocated under different budgets, risk
+// ceilings and objectives, checking lot sizes, caps and the risk totals.
+const CONTRACT_SIZES = { UBTC: 0.05, UETH: 0.5 };
+const contractSize = (asset) => CONTRACT_SIZES[asset] ?? 0.5;
+
+const EXPIRY = Date.UTC(2025, 7, 29) / 1000;
+const T = 28 / 365;
+
+// Premium per contract as the server computes it: apr * collateral * T * lot
+function quote(asset, strike, { optionType = 'call', spotPrice, apr, theoreticalApr, probabilityItm, delta = probabilityItm, placeholder = false }) {
+  const collateral = optionType === 'put' ? strike : spotPrice;
+  return {
+    asset,
+    strike,
+    expiry: EXPIRY,
+    optionType,
+    spotPrice,
+    apr,
+    theoreticalApr,
+    excessApr: apr - theoreticalApr,
+    timeToExpiry: T,
+    premium: apr * collateral * T * contractSize(asset),
+    greeks: { probabilityItm, delta },
+    dataQuality: { placeholder }
+  };
+}
+
+const quotes = [
+  quote('UBTC', 120000, { spotPrice: 100000, apr: 0.30, theoreticalApr: 0.10, probabilityItm: 0.35 }),
+  quote('UBTC', 110000, { spotPrice: 100000, apr: 0.20, theoreticalApr: 0.15, probabilityItm: 0.20 }),
+  quote('UBTC', 115000, { spotPrice: 100000, apr: 0.15, theoreticalApr: 0.05, probabilityItm: 0.12 }),
+  quote('UBTC', 130000, { spotPrice: 100000, apr: 0.08, theoreticalApr: 0.09, probabilityItm: 0.05 }),
+  quote('UBTC', 125000, { spotPrice: 100000, apr: 0.90, theoreticalApr: 0.05, probabilityItm: 0.01, placeholder: true }),
+  quote('UETH', 3000, { optionType: 'put', spotPrice: 3500, apr: 0.25, theoreticalApr: 0.20, probabilityItm: 0.15, delta: -0.15 }),
+  quote('UETH', 4000, { spotPrice: 3500, apr: 0.18, theoreticalApr: 0.12, probabilityItm: 0.18 })
+];
+
+const { check, finish } = createChecks();
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+const usd = (value) => `$${value.toFixed(2)}`;
+const strikes = (asset) => asset.allocations.map(allocation => `${allocation.contracts}x ${allocation.strike}`).join(', ');
+
+// Validation
+check(validateOptimizeRequest({}).error?.startsWith('capital must'), 'Missing capital rejected');
+check(validateOptimizeRequest({ capital: { FOO: 100 } }).error?.startsWith('capital assets must'), 'Unknown asset rejected');
+check(validateOptimizeRequest({ capital: { UBTC: -1 } }).error === 'capital for UBTC must be a positive USD amount', 'Negative capital rejected');
+check(validateOptimizeRequest({ capital: { UBTC: 1000 }, maxAssignmentProbability: 1.5 }).error?.startsWith('maxAssignmentProbability must'), 'Probability above 1 rejected');
+check(validateOptimizeRequest({ capital: { UBTC: 1000 }, objective: 'delta' }).error?.startsWith('objective must'), 'Unknown objective rejected');
+const { request: defaults } = validateOptimizeRequest({ capital: { UBTC: '20000' } });
+check(defaults.capital.UBTC === 20000 && defaults.objective === 'premium' && defaults.maxAssignmentProbability === 0.25 && defaults.maxStrikeShare === 0.5,
+  'Defaults: premium objective, 25% max P(assign), half the capital per strike');
+
+// UBTC lots lock 0.05 * 100000 = $5000. The 120k call is over the 25% ceiling
+// and the placeholder is never used, so the 110k takes its half ($10000, two
+// lots), the 115k the other half, and the 130k nothing
+const premium = optimizeAllocation(quotes, { ...defaults, capital: { UBTC: 20000 } }, { contractSize });
+const ubtc = premium.assets[0];
+check(ubtc.candidates === 3 && ubtc.allocations.every(allocation => allocation.strike !== 120000 && allocation.strike !== 125000),
+  `UBTC: ${ubtc.candidates} candidates under 25% P(assign), placeholder skipped`);
+check(strikes(ubtc) === '2x 110000, 2x 115000' && close(ubtc.allocated, 20000) && ubtc.unallocated === 0,
+  `Premium objective: ${strikes(ubtc)}, ${usd(ubtc.allocated)} allocated`);
+const expectedIncome = 2 * 0.20 * 5000 * T + 2 * 0.15 * 5000 * T;
+check(close(ubtc.expectedIncome, expectedIncome) && close(ubtc.weightedApr, 0.175) && close(ubtc.weightedProbabilityItm, 0.16) && ubtc.maxProbabilityItm === 0.20,
+  `Income ${usd(ubtc.expectedIncome)}, weighted APR ${(ubtc.weightedApr * 100).toFixed(1)}%, weighted P(assign) ${(ubtc.weightedProbabilityItm * 100).toFixed(1)}%`);
+check(close(ubtc.expectedAssignedCollateral, 0.20 * 10000 + 0.12 * 10000) && close(ubtc.delta, -(0.20 + 0.12) * 0.1),
+  `Expected assigned collateral ${usd(ubtc.expectedAssignedCollateral)}, delta ${ubtc.delta.toFixed(3)} BTC`);
+
+// Capital that is not a whole number of lots is left over
+const odd = optimizeAllocation(quotes, { ...defaults, capital: { UBTC: 12000 } }, { contractSize }).assets[0];
+check(strikes(odd) === '1x 110000, 1x 115000' && close(odd.unallocated, 2000), `$12000: ${strikes(odd)}, ${usd(odd.unallocated)} left over`);
+
+// A looser ceiling lets the 120k call in, and all capital on one strike
+const loose = optimizeAllocation(quotes, { ...defaults, capital: { UBTC: 20000 }, maxAssignmentProbability: 0.4, maxStrikeShare: 1 }, { contractSize }).assets[0];
+check(strikes(loose) === '4x 120000' && close(loose.maxProbabilityItm, 0.35), `40% ceiling, no share cap: ${strikes(loose)}`);
+
+// Excess APR ranks by edge over fair value: 115k (+10%) ahead of 110k (+5%),
+// and the 130k quoted below fair value is never sold
+const excess = optimizeAllocation(quotes, { ...defaults, capital: { UBTC: 30000 }, objective: 'excess_apr' }, { contractSize }).assets[0];
+check(strikes(excess) === '3x 115000, 3x 110000' && close(excess.expectedExcess, 3 * 0.10 * 5000 * T + 3 * 0.05 * 5000 * T),
+  `Excess APR objective: ${strikes(excess)}, edge ${usd(excess.expectedExcess)}`);
+
+// Puts lock the strike in cash; lot sizes come from contractSize per asset
+const both = optimizeAllocation(quotes, { ...defaults, capital: { UBTC: 10000, UETH: 4000 } }, { contractSize });
+const ueth = both.assets.find(asset => asset.asset === 'UETH');
+check(ueth.contractSize === 0.5 && strikes(ueth) === '1x 3000, 1x 4000' && ueth.allocations[0].optionType === 'put' && close(ueth.allocated, 1500 + 1750),
+  `UETH: ${strikes(ueth)} - the put locks $1500 of strike, the call $1750 of ETH`);
+check(close(both.totals.capital, 14000) && close(both.totals.allocated, 10000 + 3250) && close(both.totals.expectedIncome, both.assets[0].expectedIncome + ueth.expectedIncome),
+  `Totals: ${usd(both.totals.allocated)} of ${usd(both.totals.capital)} allocated, income ${usd(both.totals.expectedIncome)}`);
+
+// Mixed expiries rank by annualized value: a 7-day strike at 30% a year beats a
+// 30-day strike at 20%, though the 30-day one pays more premium per lot
+const weekly = { ...quote('UETH', 4100, { spotPrice: 3500, apr: 0.30, theoreticalApr: 0.20, probabilityItm: 0.10 }), timeToExpiry: 7 / 365 };
+weekly.premium = 0.30 * 3500 * weekly.timeToExpiry * 0.5;
+const monthly = { ...quote('UETH', 4200, { spotPrice: 3500, apr: 0.20, theoreticalApr: 0.15, probabilityItm: 0.10 }), timeToExpiry: 30 / 365 };
+monthly.premium = 0.20 * 3500 * monthly.timeToExpiry * 0.5;
+const mixed = optimizeAllocation([monthly, weekly], { ...defaults, capital: { UETH: 1750 }, maxStrikeShare: 1 }, { contractSize }).assets[0];
+check(monthly.premium > weekly.premium && strikes(mixed) === '1x 4100', `Annualized ranking: ${strikes(mixed)} (7-day, 30% APR) over the 30-day 20% strike`);
+
+// Only calls, and nothing fits a budget below one lot
+const callsOnly = optimizeAllocation(quotes, { ...defaults, capital: { UETH: 4000 }, optionType: 'call', maxStrikeShare: 1 }, { contractSize }).assets[0];
+const tooSmall = optimizeAllocation(quotes, { ...defaults, capital: { UBTC: 4000 } }, { contractSize }).assets[0];
+check(strikes(callsOnly) === '2x 4000' && tooSmall.allocations.length === 0 && tooSmall.weightedApr === null && tooSmall.unallocated === 4000,
+  `Calls only: ${strikes(callsOnly)}; $4000 of UBTC buys no lot`);
+
+finish();
@@ -0,0 +1,82 @@
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createPositionBook, validatePosition, markPosition, nearestQuote, summarizePortfolio } from './api/positions.js';
+import { blackScholesCall, blackScholesPut } from './api/pricing.js';
+import { createChecks } from './scripts/checks.js';
+
+// Records positions in a temporary book, then marks them to model against
+// fixed market inputs, checking P&L, assignment risk, ITM flags and totals.
+const dir = mkdtempSync(path.join(tmpdir(), 'rysk-positions-'));
+const filePath = path.join(dir, 'positions.json');
+const book = await createPositionBook({ filePath });
+
+const NOW = Date.UTC(2025, 7, 1) / 1000;
+const EXPIRY = Date.UTC(2025, 7, 29) / 1000;
+
+const { check, finish } = createChecks();
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Validation
+check(validatePosition({ asset: 'FOO', strike: 1, size: 1, premium: 1, expiry: '2025-08-29' }).error?.startsWith('asset must be'), 'Unknown asset rejected');
+check(validatePosition({ asset: 'UBTC', strike: -5, size: 1, premium: 1, expiry: '2025-08-29' }).error === 'strike must be a positive number', 'Negative strike rejected');
+check(validatePosition({ asset: 'UBTC', strike: 1, size: 1, expiry: '2025-08-29' }).error?.startsWith('premium must be'), 'Missing premium rejected');
+check(validatePosition({ asset: 'UBTC', strike: 1, size: 1, premium: 1, expiry: 'soon' }).error?.startsWith('expiry must be'), 'Unparseable expiry rejected');
+check(validatePosition({ asset: 'UBTC', strike: 1, size: 1, premium: 1, expiry: '2025-08-29', openedAt: '2025-09-01' }).error === 'openedAt must be before expiry', 'Opened after expiry rejected');
+
+// CRUD round trip through the file
+const { position: call } = await book.create({ asset: 'UBTC', strike: 124000, expiry: '29 Aug 2025', size: 0.05, premium: 180, openedAt: '2025-07-25' });
+const { position: put } = await book.create({ asset: 'UETH', optionType: 'put', strike: 3600, expiry: EXPIRY, size: 0.5, premium: 45, openedAt: '2025-07-25' });
+check(call.expiry === EXPIRY && call.optionType === 'call' && put.optionType === 'put', `Created: ${call.asset} ${call.strike} call, ${put.asset} ${put.strike} put, expiry ${new Date(call.expiry * 1000).toISOString().slice(0, 10)}`);
+
+const { position: updated } = await book.update(call.id, { notes: 'rolled from 120k' });
+const { notFound } = await book.update('missing', { notes: 'x' });
+check(updated.notes === 'rolled from 120k' && updated.strike === 124000 && updated.createdAt === call.createdAt && notFound, 'Update keeps the other fields; unknown id is not found');
+
+const reopened = await createPositionBook({ filePath });
+check(reopened.list().length === 2 && JSON.parse(readFileSync(filePath, 'utf8'))[0].notes === 'rolled from 120k', 'Positions persisted to the file');
+
+// Marking: the call is OTM, so its mark is the Black-Scholes value of what we sold
+const otm = markPosition(call, { spotPrice: 118437, volatility: 0.35, rate: 0.05 }, NOW);
+const t = (EXPIRY - NOW) / (365 * 24 * 3600);
+const expectedValue = blackScholesCall(118437, 124000, t, 0.05, 0.35) * 0.05;
+check(close(otm.markValue, expectedValue) && close(otm.unrealizedPnl, 180 - expectedValue) && !otm.itm,
+  `OTM call: mark $${otm.markValue.toFixed(2)}, P&L $${otm.unrealizedPnl.toFixed(2)}, P(assign) ${(otm.probabilityItm * 100).toFixed(1)}%`);
+check(close(otm.collateral, 118437 * 0.05) && otm.annualizedYield > 0, `Call collateral $${otm.collateral.toFixed(2)}, annualized yield ${(otm.annualizedYield * 100).toFixed(1)}%`);
+
+// Spot rallies through the strike: ITM, losing money, assignment likely
+const itm = markPosition(call, { spotPrice: 130000, volatility: 0.35, rate: 0.05 }, NOW);
+check(itm.itm && itm.unrealizedPnl < 0 && itm.probabilityItm > 0.5 && close(itm.intrinsicValue, 6000),
+  `ITM call: P&L $${itm.unrealizedPnl.toFixed(2)}, P(assign) ${(itm.probabilityItm * 100).toFixed(1)}%`);
+
+// Puts are valued with blackScholesPut and collateralized by the strike in cash
+const putMark = markPosition(put, { spotPrice: 3800, volatility: 0.6, rate: 0.05 }, NOW);
+check(close(putMark.optionValue, blackScholesPut(3800, 3600, t, 0.05, 0.6)) && close(putMark.collateral, 1800) && !putMark.itm,
+  `OTM put: mark $${putMark.markValue.toFixed(2)}, collateral $${putMark.collateral}`);
+
+// After expiry the mark is intrinsic value
+const expired = markPosition(call, { spotPrice: 125000, volatility: 0.35, rate: 0.05 }, EXPIRY + 3600);
+check(expired.expired && close(expired.markValue, 1000 * 0.05) && expired.probabilityItm === 1 && expired.timeToExpiry === 0,
+  `Expired ITM call: marked at intrinsic $${expired.markValue.toFixed(2)}`);
+
+// Volatility comes from the nearest quote: same expiry first, then strike
+const quotes = [
+  { asset: 'UBTC', strike: 124000, expiry: EXPIRY + 7 * 86400, optionType: 'call', volatility: 0.40 },
+  { asset: 'UBTC', strike: 130000, expiry: EXPIRY, optionType: 'call', volatility: 0.36 },
+  { asset: 'UBTC', strike: 120000, expiry: EXPIRY, optionType: 'call', volatility: 0.34 },
+  { asset: 'UETH', strike: 124000, expiry: EXPIRY, optionType: 'call', volatility: 0.60 }
+];
+check(nearestQuote(call, quotes)?.volatility === 0.34, 'Nearest quote: same expiry, closest strike in log terms');
+check(nearestQuote({ ...call, asset: 'UPUMP' }, quotes) === null, 'No quotes for the asset: nothing to mark against');
+
+// Totals: income counts every position, P&L only the marked ones
+const summary = summarizePortfolio([{ ...call, mark: itm }, { ...put, mark: putMark }, { ...put, asset: 'UPUMP', mark: null }]);
+check(summary.positions === 3 && summary.unmarked === 1 && summary.itm === 1 && summary.totalIncome === 270 &&
+  close(summary.unrealizedPnl, itm.unrealizedPnl + putMark.unrealizedPnl) && summary.byAsset.UBTC.positions === 1,
+  `Totals: income $${summary.totalIncome}, P&L $${summary.unrealizedPnl.toFixed(2)}, ${summary.itm} ITM, ${summary.unmarked} unmarked`);
+
+check(await book.remove(put.id) && !(await book.remove(put.id)) && book.list().length === 1, 'Delete removes once');
+
+rmSync(dir, { recursive: true, force: true });
+
+finish();
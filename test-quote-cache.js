@@ -0,0 +1,78 @@
+import { EventEmitter } from 'node:events';
+import { createQuoteCache } from './api/quoteCache.js';
+import { createChecks } from './scripts/checks.js';
+
+// Runs the shared quote cache against a fake Redis client (injected through
+// client): quotes and scrape times go through Redis while it is up, and once
+// the client gives up reconnecting the cache carries on in memory from the
+// last quotes it saw instead of failing every call.
+function fakeRedis(store = new Map()) {
+  const client = new EventEmitter();
+  client.isOpen = false;
+  client.connect = async () => { client.isOpen = true; };
+  client.duplicate = () => fakeRedis(store);
+  client.subscribe = async () => {};
+  client.get = async (key) => store.get(key) ?? null;
+  client.hGetAll = async (key) => ({ ...store.get(key) });
+  client.set = async (key, value) => {
+    if (store.has(key)) return null;
+    store.set(key, value);
+    return 'OK';
+  };
+  client.eval = async () => 1;
+  client.multi = () => {
+    const multi = {
+      set: (key, value) => { store.set(key, value); return multi; },
+      hSet: (key, fields) => { store.set(key, { ...store.get(key), ...fields }); return multi; },
+      publish: () => multi,
+      exec: async () => []
+    };
+    return multi;
+  };
+  client.destroy = () => { client.isOpen = false; };
+  client.close = async () => { client.isOpen = false; };
+  // reconnectStrategy returning an Error: the socket closes, then reports the cause
+  client.giveUp = () => {
+    client.isOpen = false;
+    client.get = client.hGetAll = client.set = client.eval = async () => { throw new Error('The client is closed'); };
+    client.multi = () => { throw new Error('The client is closed'); };
+    client.emit('error', new Error('Redis reconnect attempts exhausted'));
+  };
+  return client;
+}
+
+const { check, finish } = createChecks();
+
+const client = fakeRedis();
+const cache = await createQuoteCache({ client });
+const quotes = [{ asset: 'UBTC', strike: 124000, apr: 0.25 }];
+await cache.save(quotes, 1000, ['UBTC']);
+const lock = await cache.acquireLock();
+check(cache.kind === 'redis' && (await cache.load())?.quotes.length === 1 && (await cache.scrapeTimes()).UBTC === 1000 && lock !== null,
+  'Redis up: quotes, scrape times and the refresh lock go through Redis');
+
+// A connection error while Redis still retries keeps the Redis cache
+client.emit('error', new Error('Socket closed unexpectedly'));
+check(cache.kind === 'redis', 'A dropped connection that is still retrying keeps the Redis cache');
+
+client.giveUp();
+await lock.release();
+const restored = await cache.load();
+check(cache.kind === 'memory' && restored?.quotes.length === 1 && (await cache.scrapeTimes()).UBTC === 1000,
+  `Reconnects exhausted: in-memory cache from the last quotes (${restored?.quotes.length} quote, UBTC scraped at ${(await cache.scrapeTimes()).UBTC})`);
+
+await cache.save([...quotes, { asset: 'UETH', strike: 4200, apr: 0.3 }], 2000, ['UETH']);
+const times = await cache.scrapeTimes();
+const memoryLock = await cache.acquireLock();
+check((await cache.load()).quotes.length === 2 && times.UBTC === 1000 && times.UETH === 2000 && memoryLock !== null,
+  'After the fallback saves, scrape times and the lock keep working in memory');
+await memoryLock.release();
+await cache.close();
+
+// Redis down at startup: in memory from the start
+const unreachable = fakeRedis();
+unreachable.connect = async () => { throw new Error('connect ECONNREFUSED 127.0.0.1:6379'); };
+const startup = await createQuoteCache({ client: unreachable });
+check(startup.kind === 'memory' && (await startup.load()) === null, 'Redis unreachable at startup: empty in-memory cache');
+
+finish();
@@ -0,0 +1,104 @@
+import { closeToCloseVol, ewmaVol, parkinsonVol, estimateRealizedVol, loadRealizedVolConfig, realizedVolSettings } from './api/realizedVol.js';
+import { getLiveRealizedVols } from './api/market.js';
+import { createChecks } from './scripts/checks.js';
+
+// Realized vol offline: the estimators are checked against synthetic daily bars
+// whose vol is known in closed form, then the Hyperliquid candle and CoinGecko
+// history fetches are stubbed to run the per-asset estimates (and the history
+// cache) end to end.
+const DAY = 24 * 60 * 60 * 1000;
+const TODAY = Math.floor(Date.now() / DAY) * DAY;
+const ANNUALIZE = Math.sqrt(365);
+
+// days bars ending yesterday, log returns alternating +move/-move, each day's
+// high/low range ln(high / low) = range
+function syntheticBars(days, { move = 0.03, range = 0.05, start = 40 } = {}) {
+  const bars = [];
+  let close = start;
+  for (let i = 0; i < days; i++) {
+    close *= Math.exp(i % 2 === 0 ? move : -move);
+    bars.push({ time: TODAY - (days - i) * DAY, open: close, high: close * Math.exp(range / 2), low: close * Math.exp(-range / 2), close });
+  }
+  return bars;
+}
+
+const { check, finish } = createChecks();
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+const pct = (vol) => `${(vol * 100).toFixed(2)}%`;
+
+// 31 bars = 30 returns of ±3%: zero mean, sample variance 0.03^2 * 30/29
+const bars = syntheticBars(31);
+const expectedCloseToClose = 0.03 * Math.sqrt(30 / 29) * ANNUALIZE;
+check(close(closeToCloseVol(bars), expectedCloseToClose), `close-to-close ${pct(closeToCloseVol(bars))} (expected ${pct(expectedCloseToClose)})`);
+
+// Every squared return is 0.03^2, so the EWMA variance never moves off it
+check(close(ewmaVol(bars, 0.94), 0.03 * ANNUALIZE), `EWMA ${pct(ewmaVol(bars, 0.94))} (expected ${pct(0.03 * ANNUALIZE)})`);
+
+// ln(high / low) = 5% every day
+const expectedParkinson = 0.05 / Math.sqrt(4 * Math.LN2) * ANNUALIZE;
+check(close(parkinsonVol(bars), expectedParkinson), `Parkinson ${pct(parkinsonVol(bars))} (expected ${pct(expectedParkinson)})`);
+
+// EWMA reacts to a recent jump faster than close-to-close
+const shocked = [...syntheticBars(31).slice(0, 28), ...syntheticBars(3, { move: 0.15, start: 40 })].map((bar, i) => ({ ...bar, time: TODAY - (31 - i) * DAY }));
+check(ewmaVol(shocked) > closeToCloseVol(shocked), `EWMA ${pct(ewmaVol(shocked))} above close-to-close ${pct(closeToCloseVol(shocked))} after a recent jump`);
+
+// Windows take the latest days only
+const windowed = estimateRealizedVol(syntheticBars(90), { estimator: 'close_to_close', window: 30 });
+check(windowed.observations === 30 && windowed.window === 30 && windowed.to === new Date(TODAY - DAY).toISOString(),
+  `30-day window of 90 days: ${windowed.observations} returns, ${windowed.from.slice(0, 10)} to ${windowed.to.slice(0, 10)}`);
+
+// Parkinson on close-only history falls back to close-to-close, and says so
+const closesOnly = bars.map(bar => ({ ...bar, open: null, high: null, low: null }));
+const fallback = estimateRealizedVol(closesOnly, { estimator: 'parkinson', window: 30 });
+check(fallback.estimator === 'close_to_close' && close(fallback.volatility, expectedCloseToClose), `Parkinson without highs/lows reports ${fallback.estimator}`);
+
+check(estimateRealizedVol(syntheticBars(8), { window: 30 }) === null, 'Under 10 days of history: no estimate');
+
+// Config: defaults, per-asset overrides, invalid values ignored
+const config = loadRealizedVolConfig({
+  REALIZED_VOL_ESTIMATOR: 'parkinson',
+  REALIZED_VOL_WINDOW: '3',
+  REALIZED_VOL_OVERRIDES: '{"UPUMP": {"estimator": "close_to_close", "window": 14}, "kHYPE": {"estimator": "garch"}}'
+});
+check(config.estimator === 'parkinson' && config.window === 30, `Config: estimator ${config.estimator}, too-short window ignored (${config.window})`);
+const upump = realizedVolSettings('UPUMP', config);
+const khype = realizedVolSettings('kHYPE', config);
+check(upump.estimator === 'close_to_close' && upump.window === 14 && khype.estimator === 'parkinson',
+  `Overrides: UPUMP ${upump.estimator} ${upump.window}d, kHYPE ${khype.estimator} (unknown estimator ignored)`);
+
+// End to end: Hyperliquid candles for WHYPE/UPUMP, CoinGecko closes for kHYPE
+const jsonResponse = (body) => ({ ok: true, status: 200, statusText: 'OK', json: async () => body });
+const calls = [];
+
+async function stubFetch(url, options = {}) {
+  calls.push(url);
+  if (url.includes('hyperliquid')) {
+    const { type, req } = JSON.parse(options.body);
+    if (type !== 'candleSnapshot') return { ok: false, status: 400, statusText: 'Bad Request', json: async () => ({}) };
+    const days = (req.endTime - req.startTime) / DAY;
+    // Today's open candle is included, as Hyperliquid does
+    const candles = [...syntheticBars(days, { move: req.coin === 'PUMP' ? 0.08 : 0.03 }), { time: TODAY, high: 1, low: 1, close: 1 }];
+    return jsonResponse(candles.map(bar => ({ t: bar.time, T: bar.time + DAY - 1, s: req.coin, i: '1d', o: String(bar.open), h: String(bar.high), l: String(bar.low), c: String(bar.close) })));
+  }
+  if (url.includes('coingecko') && url.includes('/market_chart')) {
+    const days = Number(/days=(\d+)/.exec(url)[1]);
+    // Daily closes at midnight, then the live price
+    return jsonResponse({ prices: [...syntheticBars(days + 1).map(bar => [bar.time + DAY, bar.close]), [Date.now(), 1]] });
+  }
+  return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+}
+
+const estimates = await getLiveRealizedVols({ fetchImpl: stubFetch, config: loadRealizedVolConfig({ REALIZED_VOL_ESTIMATOR: 'parkinson' }) });
+check(!('UBTC' in estimates) && !('UETH' in estimates), 'Deribit assets (UBTC, UETH) not estimated');
+check(estimates.WHYPE?.source === 'hyperliquid' && estimates.WHYPE.estimator === 'parkinson' && close(estimates.WHYPE.volatility, expectedParkinson),
+  `WHYPE: ${estimates.WHYPE && pct(estimates.WHYPE.volatility)} ${estimates.WHYPE?.estimator} from ${estimates.WHYPE?.source} (open candle dropped)`);
+check(estimates.kHYPE?.source === 'coingecko' && estimates.kHYPE.estimator === 'close_to_close' && estimates.kHYPE.observations === 30,
+  `kHYPE: ${estimates.kHYPE && pct(estimates.kHYPE.volatility)} ${estimates.kHYPE?.estimator} from ${estimates.kHYPE?.source} (closes only, live price dropped)`);
+
+// A second run within the hour is served from the history cache
+const fetched = calls.length;
+await getLiveRealizedVols({ fetchImpl: stubFetch });
+check(calls.length === fetched, `History cached: ${calls.length - fetched} extra fetches on the second run`);
+
+finish();
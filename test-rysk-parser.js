@@ -0,0 +1,36 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseRyskAssetPage } from './api/ryskPageParser.js';
+import { createChecks } from './scripts/checks.js';
+
+// Runs the Rysk page parser over the saved HTML corpus in api/fixtures/pages
+// and compares each result with its golden output. Pass --update to rewrite
+// the goldens after an intended extraction change.
+const fixturesDir = new URL('./api/fixtures/pages/', import.meta.url);
+const update = process.argv.includes('--update');
+const fixtures = JSON.parse(readFileSync(new URL('index.json', fixturesDir), 'utf8'));
+
+const { check, finish } = createChecks();
+
+for (const fixture of fixtures) {
+  const html = readFileSync(new URL(fixture.page, fixturesDir), 'utf8');
+  const strikeData = parseRyskAssetPage(html, fixture.spotPrice, { assetName: fixture.asset, optionType: fixture.optionType });
+  const goldenUrl = new URL(fixture.golden, fixturesDir);
+  const actual = JSON.stringify(strikeData, null, 2) + '\n';
+
+  if (update) {
+    writeFileSync(goldenUrl, actual);
+    console.log(`📝 ${fixture.page}: wrote ${strikeData.length} strikes to ${fixture.golden}`);
+    continue;
+  }
+
+  const expected = readFileSync(goldenUrl, 'utf8');
+  check(actual === expected, `${fixture.page}: ${strikeData.length} strikes ${actual === expected ? 'match' : 'differ from'} ${fixture.golden}`);
+  if (actual !== expected) {
+    console.log('Expected:', expected);
+    console.log('Actual:', actual);
+  }
+  // Goldens lock in what the parser gets today; these are what it still misses
+  if (fixture.knownMiss) console.log(`   ⚠️  known miss: ${fixture.knownMiss}`);
+}
+
+finish();
@@ -0,0 +1,117 @@
+import { getSpotPrices } from './api/prices/index.js';
+import { aggregateSpotPrice } from './api/prices/aggregate.js';
+import { dependenciesDegraded, spotHealth } from './api/health.js';
+import { createChecks } from './scripts/checks.js';
+
+// Aggregates spot prices offline: every price source is stubbed by URL with
+// canned responses, then the combined prices, outlier rejection, stale fallback
+// and per-source detail are checked against the registry's price feeds.
+// Hyperliquid and Binance prices are stamped on receipt, so the canned
+// timestamps are relative to the real clock
+const NOW = Math.floor(Date.now() / 1000) * 1000;
+const config = { sources: ['coingecko', 'hyperliquid', 'binance', 'pyth'], maxAge: 5 * 60 * 1000, maxDeviation: 0.02 };
+const PYTH_BTC = 'e62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43';
+const PYTH_ETH = 'ff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace';
+
+const jsonResponse = (body) => ({ ok: true, status: 200, statusText: 'OK', json: async () => body });
+const errorResponse = { ok: false, status: 503, statusText: 'Service Unavailable', json: async () => ({}) };
+
+// ETH on Binance is off by 10% (an outlier); CoinGecko's HYPE price is 20 minutes old
+function createStubFetch({ failing = [] } = {}) {
+  return async (url) => {
+    const source = ['coingecko', 'hyperliquid', 'binance', 'pyth'].find(name => url.includes(name));
+    if (failing.includes(source)) return errorResponse;
+    switch (source) {
+      case 'coingecko':
+        return jsonResponse({
+          bitcoin: { usd: 100100, last_updated_at: NOW / 1000 - 30 },
+          ethereum: { usd: 3995, last_updated_at: NOW / 1000 - 30 },
+          'wrapped-hype': { usd: 40, last_updated_at: NOW / 1000 - 20 * 60 },
+          'kinetic-staked-hype': { usd: 41, last_updated_at: NOW / 1000 - 60 }
+        });
+      case 'hyperliquid':
+        return jsonResponse({ HYPE: '40.8', PUMP: '0.0061', BTC: '100000' });
+      case 'binance':
+        return jsonResponse([{ symbol: 'BTCUSDT', price: '99950.00' }, { symbol: 'ETHUSDT', price: '4400.00' }]);
+      case 'pyth':
+        return jsonResponse({
+          parsed: [
+            { id: PYTH_BTC, price: { price: '10002000000000', expo: -8, publish_time: NOW / 1000 - 5 } },
+            { id: PYTH_ETH, price: { price: '400500000000', expo: -8, publish_time: NOW / 1000 - 5 } }
+          ]
+        });
+      default:
+        return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+    }
+  };
+}
+
+const { check, finish } = createChecks();
+
+const describe = ({ price, stale, disagreement, sources }) =>
+  `${price} from ${sources.map(source => `${source.source}:${source.status}`).join(', ')}${stale ? ' stale' : ''}${disagreement ? ' disagreement' : ''}`;
+
+const spot = await getSpotPrices({ fetchImpl: createStubFetch(), config, now: () => NOW });
+
+// BTC: three sources within 0.2% - median of all three
+check(spot.UBTC.price === 100020 && !spot.UBTC.disagreement && spot.UBTC.sources.length === 3,
+  `UBTC: ${describe(spot.UBTC)}`);
+
+// ETH: Binance 10% above the others is rejected and flagged; Pyth is scaled by 10^expo
+const ethBinance = spot.UETH.sources.find(source => source.source === 'binance');
+const ethPyth = spot.UETH.sources.find(source => source.source === 'pyth');
+check(ethBinance?.status === 'outlier' && spot.UETH.disagreement && spot.UETH.price === 4000,
+  `UETH: ${describe(spot.UETH)}`);
+check(ethPyth?.price === 4005, `UETH: Pyth price ${ethPyth?.price} scaled by expo -8`);
+
+// HYPE: CoinGecko is 20 minutes old, so only the fresh Hyperliquid mid is used
+const hypeCoinGecko = spot.WHYPE.sources.find(source => source.source === 'coingecko');
+check(spot.WHYPE.price === 40.8 && hypeCoinGecko?.status === 'stale' && !spot.WHYPE.stale,
+  `WHYPE: ${describe(spot.WHYPE)}`);
+check(hypeCoinGecko?.ageSeconds === 1200, `WHYPE: CoinGecko reported ${hypeCoinGecko?.ageSeconds}s old`);
+
+// Feeds not in the registry (Hyperliquid BTC) are ignored
+check(!spot.UBTC.sources.some(source => source.source === 'hyperliquid'), 'UBTC: Hyperliquid BTC mid not used (no feed in registry)');
+check(spotHealth().belowMinimum.length === 0 && !dependenciesDegraded(), 'Every asset has a fresh source: health not degraded');
+
+// A failing source only loses its own prices
+const withoutPyth = await getSpotPrices({ fetchImpl: createStubFetch({ failing: ['pyth', 'binance'] }), config, now: () => NOW });
+check(withoutPyth.UBTC.price === 100100 && withoutPyth.WHYPE.price === 40.8 && withoutPyth.UETH.price === 3995,
+  `Pyth and Binance down: UBTC ${withoutPyth.UBTC.price}, UETH ${withoutPyth.UETH.price} from CoinGecko alone`);
+check(!dependenciesDegraded(), 'Pyth and Binance down: still enough sources, health not degraded');
+
+// Asking for two fresh sources: the HYPE tokens and UPUMP have one each
+await getSpotPrices({ fetchImpl: createStubFetch(), config: { ...config, minSources: 2 }, now: () => NOW });
+check(spotHealth().belowMinimum.join() === 'WHYPE,kHYPE,UPUMP' && dependenciesDegraded(),
+  `SPOT_MIN_SOURCES=2: degraded, short of sources ${spotHealth().belowMinimum.join(', ')}`);
+
+// Every source down - no price rather than an error
+const allDown = await getSpotPrices({ fetchImpl: createStubFetch({ failing: config.sources }), config, now: () => NOW });
+check(Object.values(allDown).every(entry => entry.price === null && entry.sources.length === 0), 'Every source down: all prices null');
+check(spotHealth().allSourcesFailed && dependenciesDegraded(), 'Every source down: health degraded');
+
+// Aggregation edge cases
+const observation = (source, price, ageSeconds = 0) => ({ source, price, timestamp: NOW - ageSeconds * 1000 });
+const options = { now: NOW, maxAge: config.maxAge, maxDeviation: config.maxDeviation };
+
+const allStale = aggregateSpotPrice([observation('a', 100, 900), observation('b', 101, 600)], options);
+check(allStale.stale && allStale.price === 100.5 && allStale.sources.every(source => source.status === 'used'),
+  `All stale: falls back to ${describe(allStale)}`);
+
+const twoApart = aggregateSpotPrice([observation('a', 100), observation('b', 110)], options);
+check(twoApart.disagreement && twoApart.price === 105, `Two sources 10% apart: ${describe(twoApart)}`);
+
+const twoClose = aggregateSpotPrice([observation('a', 100), observation('b', 101)], options);
+check(!twoClose.disagreement && twoClose.price === 100.5, `Two sources 1% apart: ${describe(twoClose)}`);
+
+const split = aggregateSpotPrice([observation('a', 100), observation('b', 100), observation('c', 120), observation('d', 120)], options);
+check(split.disagreement && split.price === 110 && split.sources.every(source => source.status === 'used'),
+  `No cluster around the median: keeps all, ${describe(split)}`);
+
+const invalid = aggregateSpotPrice([observation('a', 0), observation('b', NaN), observation('c', 50)], options);
+check(invalid.price === 50 && invalid.sources.length === 1, `Zero and NaN prices ignored: ${describe(invalid)}`);
+
+const empty = aggregateSpotPrice([], options);
+check(empty.price === null && !empty.stale && empty.sources.length === 0, 'No observations: price null, not stale');
+
+finish();
@@ -0,0 +1,80 @@
+import { readFileSync } from 'node:fs';
+import { getAssetMarketData, getLiveVolatilities, getLiveVolSurfaces, getLiveCarryCurves } from './api/market.js';
+import { surfaceVolatility } from './api/volSurface.js';
+import { parseExpiry, yearsToExpiry } from './api/expiry.js';
+import { curveRate } from './api/rates.js';
+import { createChecks } from './scripts/checks.js';
+
+// Builds the Deribit IV surfaces offline: every Deribit fetch is stubbed with
+// the saved option chains and futures in api/fixtures/deribit, then the strikes
+// of the sample Rysk snapshot are priced off the surface (and carry curve) as of
+// its capture time.
+const fixturesDir = new URL('./api/fixtures/', import.meta.url);
+const snapshot = JSON.parse(readFileSync(new URL('rysk-snapshot.sample.json', fixturesDir), 'utf8'));
+const capturedAt = Math.floor(new Date(snapshot.capturedAt).getTime() / 1000);
+
+const jsonResponse = (body) => ({ ok: true, status: 200, statusText: 'OK', json: async () => body });
+
+async function stubFetch(url, options = {}) {
+  const { method, params } = JSON.parse(options.body);
+  if (method === 'public/get_historical_volatility') {
+    return jsonResponse({ result: [[Date.now(), params.currency === 'BTC' ? 31.49 : 50.21]] });
+  }
+  if (method === 'public/get_book_summary_by_currency') {
+    const file = params.kind === 'future' ? 'futures' : 'book-summary';
+    return jsonResponse(JSON.parse(readFileSync(new URL(`deribit/${params.currency}-${file}.sample.json`, fixturesDir), 'utf8')));
+  }
+  return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+}
+
+const volatilities = await getLiveVolatilities({ fetchImpl: stubFetch });
+const volSurfaces = await getLiveVolSurfaces({ fetchImpl: stubFetch, capturedAt: snapshot.capturedAt });
+const carryCurves = await getLiveCarryCurves({ fetchImpl: stubFetch, capturedAt: snapshot.capturedAt });
+const { check, finish } = createChecks();
+
+for (const asset of snapshot.assets) {
+  const surface = volSurfaces[asset.name];
+  const historical = asset.name === 'UBTC' ? volatilities.BTC : volatilities.ETH;
+  if (!surface) {
+    check(!['UBTC', 'UETH'].includes(asset.name), `${asset.name}: no IV surface`);
+    continue;
+  }
+
+  check(surface.slices.length === 3, `${asset.name}: ${surface.slices.length} expiries in surface`);
+
+  // A listed strike on a listed expiry must return its own (OTM) mark
+  const slice = surface.slices[1];
+  const listed = slice.points[slice.points.length - 1];
+  const listedT = yearsToExpiry(slice.expiry, capturedAt);
+  const atListed = surfaceVolatility(surface, listed.strike, surface.indexPrice, listedT, capturedAt);
+  check(Math.abs(atListed.volatility - listed.iv) < 1e-9 && !atListed.extrapolated,
+    `${asset.name}: ${listed.strike} on slice ${slice.expiry} returns its mark (${(listed.iv * 100).toFixed(2)}%)`);
+
+  for (const strikeInfo of asset.strikeData) {
+    const timeToExpiry = yearsToExpiry(parseExpiry(strikeInfo.expiry), capturedAt);
+    const point = surfaceVolatility(surface, strikeInfo.strikePrice, asset.spotPrice, timeToExpiry, capturedAt);
+    check(point !== null && point.volatility > 0,
+      `${asset.name} ${strikeInfo.strikePrice} ${strikeInfo.expiry}: ${(point.volatility * 100).toFixed(2)}% (historical ${(historical * 100).toFixed(2)}%)${point.extrapolated ? ' extrapolated' : ''}`);
+  }
+
+  // Strikes beyond the listed wing are held flat at the last mark and flagged
+  const wing = surfaceVolatility(surface, listed.strike * 1.3, surface.indexPrice, listedT, capturedAt);
+  check(Math.abs(wing.volatility - listed.iv) < 1e-9 && wing.extrapolated, `${asset.name}: wing beyond ${listed.strike} is flat and flagged extrapolated`);
+
+  // Basis curve skips the perpetual and the future expiring within two days
+  const curve = carryCurves[asset.name];
+  check(curve !== null && curve.points.length === 4, `${asset.name}: ${curve ? curve.points.length : 0} dated futures in basis curve`);
+  for (const expiry of [...new Set(asset.strikeData.map(strikeInfo => parseExpiry(strikeInfo.expiry)))]) {
+    const rate = curveRate(curve, expiry, capturedAt);
+    check(rate > 0 && rate < 0.2, `${asset.name} ${new Date(expiry * 1000).toISOString().slice(0, 10)}: basis ${(rate * 100).toFixed(2)}%`);
+  }
+}
+
+// The per-asset market data the live sources use builds the same surfaces and
+// curves as of the capture time it is given
+const marketData = await getAssetMarketData({ fetchImpl: stubFetch, capturedAt: snapshot.capturedAt });
+const sameAsDirect = marketData.every(asset => JSON.stringify(asset.volSurface) === JSON.stringify(volSurfaces[asset.name] ?? null)
+  && JSON.stringify(asset.carryCurve) === JSON.stringify(carryCurves[asset.name] ?? null));
+check(sameAsDirect, 'getAssetMarketData passes capturedAt through to the surfaces and basis curves');
+
+finish();
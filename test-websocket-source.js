@@ -0,0 +1,95 @@
+import { WebSocketServer } from 'ws';
+import { createRyskTakerClient } from './api/ryskTaker.js';
+import { createWebSocketSource } from './api/sources/websocket.js';
+import { RYSK_ASSETS } from './api/assets.js';
+import { createChecks } from './scripts/checks.js';
+
+// Runs the Rysk taker client and the websocket quote source against a local
+// mock JSON-RPC server: responses matched to request ids, subscriptions resent
+// after the server drops the connection, a pushed quote reaching the source's
+// snapshots, and a refused connection backing off instead of crashing.
+const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+await new Promise(resolve => server.on('listening', resolve));
+const url = `ws://127.0.0.1:${server.address().port}`;
+
+const received = []; // Every JSON-RPC request the server got
+let connections = 0;
+let current = null;
+
+server.on('connection', socket => {
+  connections++;
+  current = socket;
+  socket.on('message', data => {
+    const message = JSON.parse(data.toString());
+    received.push(message);
+    const reply = (body) => socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, ...body }));
+
+    if (message.method === 'subscribe') {
+      const strike = { UBTC: 124000, UETH: 4200 }[message.params.asset];
+      reply({ result: strike ? { quotes: [{ asset: message.params.asset, strike, apr: 0.25, expiry: '2099-08-29' }] } : { quotes: [] } });
+    } else if (message.method === 'echo') {
+      // Answer later requests first, so only the id can match them up
+      setTimeout(() => reply({ result: message.params }), message.params.delay);
+    } else {
+      reply({ error: { code: -32601, message: 'Method not found' } });
+    }
+  });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) return false;
+    await sleep(20);
+  }
+  return true;
+}
+
+const { check, finish } = createChecks();
+
+// Market data feeds are stubbed to fail fast - the snapshot only needs strikes here
+const offlineFetch = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable', json: async () => ({}) });
+
+const client = createRyskTakerClient({ url, reconnectDelay: 50, maxReconnectDelay: 200, requestTimeout: 2000 });
+const source = createWebSocketSource({ client, fetchImpl: offlineFetch });
+const snapshots = [];
+source.onSnapshot(snapshot => snapshots.push(snapshot));
+
+const first = await source.fetchSnapshot();
+const subscribes = () => received.filter(message => message.method === 'subscribe');
+const strikes = (snapshot, asset) => snapshot.assets.find(entry => entry.name === asset).strikeData.map(strike => strike.strikePrice);
+check(subscribes().length === RYSK_ASSETS.length && strikes(first, 'UBTC').join() === '124000' && strikes(first, 'UETH').join() === '4200',
+  `Subscribed to ${subscribes().length} assets; subscription results in the first snapshot (UBTC ${strikes(first, 'UBTC')}, UETH ${strikes(first, 'UETH')})`);
+
+// Responses out of order still resolve the request that sent them
+const [slow, fast] = await Promise.all([client.request('echo', { delay: 150, tag: 'slow' }), client.request('echo', { delay: 10, tag: 'fast' })]);
+check(slow.tag === 'slow' && fast.tag === 'fast', 'Out-of-order responses matched by request id');
+const failed = await client.request('nope').catch(error => error);
+check(failed instanceof Error && failed.code === -32601, `Error response rejects its request: ${failed.message}`);
+
+// Dropping the connection: the client reconnects and subscribes again
+current.terminate();
+const resubscribed = await waitFor(() => connections === 2 && subscribes().length === 2 * RYSK_ASSETS.length);
+check(resubscribed && client.isConnected(), `Reconnected (${connections} connections) and resent ${subscribes().length - RYSK_ASSETS.length} subscriptions`);
+
+// A pushed quote lands in the next snapshot sent to listeners
+current.send(JSON.stringify({ jsonrpc: '2.0', method: 'quotes', params: { asset: 'UBTC', strike: 130000, apr: 0.18, expiry: '2099-08-29' } }));
+const pushed = await waitFor(() => snapshots.some(snapshot => strikes(snapshot, 'UBTC').includes(130000)));
+const latest = snapshots[snapshots.length - 1];
+check(pushed && strikes(latest, 'UBTC').join() === '124000,130000', `Pushed strike reaches the snapshot listeners (UBTC ${latest && strikes(latest, 'UBTC')})`);
+
+source.close();
+
+// Nothing listening: a refused connection is logged and retried, not thrown
+const refused = createRyskTakerClient({ url: 'ws://127.0.0.1:1', reconnectDelay: 20, maxReconnectDelay: 50 });
+let closes = 0;
+refused.on('close', () => closes++);
+refused.connect();
+const retried = await waitFor(() => closes >= 3);
+refused.close();
+check(retried, `Refused connection retried ${closes} times without an unhandled error`);
+
+await new Promise(resolve => server.close(resolve));
+
+finish();